@@ -0,0 +1,118 @@
+// Daily Regulation Tracker - Sync server
+//
+// A complete backend for the REST sync adapter (scripts/sync-adapters.js),
+// small enough to run on a home server or a Raspberry Pi:
+//
+//   node dev/sync-server.js [port] [data-file]
+//
+// Then enter http://<host>:<port> as the sync server in the app's settings.
+// Events are kept in memory and, when a data file is given, written there
+// after every change and read back on start. Set SYNC_TOKEN to require that
+// token from every device. Each profile's days are kept apart, so one
+// server can hold everyone on a device.
+//
+//   GET  /profiles/<id>/days/<date>         -> { "events": [...] }, 404 when empty
+//   POST /profiles/<id>/days/<date>/events  <- { "events": [...] }
+
+const http = require('http');
+const fs = require('fs');
+
+const port = Number(process.argv[2]) || 8788;
+const dataFile = process.argv[3];
+const token = process.env.SYNC_TOKEN || '';
+
+// profile id -> date -> events
+let profiles = {};
+if (dataFile && fs.existsSync(dataFile)) {
+    profiles = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    // Files from before profiles were kept apart hold dates at the top;
+    // they go to the profile every device starts with
+    if (Object.keys(profiles).some(key => /^\d{4}-\d{2}-\d{2}$/.test(key))) {
+        profiles = { default: profiles };
+    }
+}
+
+function eventKey(event) {
+    return `${event.at}|${event.taskId}|${event.completed}|${event.device || ''}`;
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (request, response) => {
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+    if (token && request.headers.authorization !== `Bearer ${token}`) {
+        send(response, 401, { error: 'Unauthorized' });
+        return;
+    }
+
+    const match = new URL(request.url, `http://localhost:${port}`).pathname
+        .match(/^\/profiles\/([^/]+)\/days\/(\d{4}-\d{2}-\d{2})(\/events)?$/);
+    if (!match) {
+        send(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    const profileId = decodeURIComponent(match[1]);
+    const dateKey = match[2];
+    const days = profiles[profileId] || {};
+    if (request.method === 'GET' && !match[3]) {
+        if (!days[dateKey]) {
+            send(response, 404, { error: 'No events for this day' });
+            return;
+        }
+        send(response, 200, { events: days[dateKey] });
+    } else if (request.method === 'POST' && match[3]) {
+        let events;
+        try {
+            events = JSON.parse(await readBody(request)).events;
+        } catch (error) {
+            send(response, 400, { error: 'Invalid JSON' });
+            return;
+        }
+        if (!Array.isArray(events)) {
+            send(response, 400, { error: 'Expected { "events": [...] }' });
+            return;
+        }
+
+        // Retried pushes repeat events that are already stored
+        const stored = days[dateKey] || [];
+        const seen = new Set(stored.map(eventKey));
+        days[dateKey] = stored.concat(events.filter(event => {
+            const key = eventKey(event);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }));
+        profiles[profileId] = days;
+        if (dataFile) {
+            fs.writeFileSync(dataFile, JSON.stringify(profiles));
+        }
+        send(response, 204);
+    } else {
+        send(response, 405, { error: 'Method not allowed' });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Daily Care sync server listening on http://localhost:${port}/`);
+});
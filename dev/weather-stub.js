@@ -0,0 +1,167 @@
+// Daily Regulation Tracker - Local weather stand-in
+//
+// Serves the app together with fake Open-Meteo and geocoding responses, so
+// the forecast panel, weather rules and location picker can be tried without
+// network access or waiting for the right weather:
+//
+//   node dev/weather-stub.js [scenario] [port]
+//
+// Scenarios: sunny (UV 8), rain (80% chance of rain), storm (thunderstorms
+// this afternoon), mild (nothing triggers). Then open http://localhost:8787/.
+// Searching for places matches a few fixed ones, e.g. "spring" gives several
+// Springfields.
+//
+// Tests require() it and start their own server with
+// createServer(scenario, now) on a free port, with now() fixing the day the
+// forecast is for.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+
+const scenarios = {
+    sunny: { code: 0, uv: 8, rain: 5, stormHours: [] },
+    rain: { code: 63, uv: 2, rain: 80, stormHours: [] },
+    storm: { code: 3, uv: 4, rain: 40, stormHours: [14, 15, 16, 17] },
+    mild: { code: 2, uv: 3, rain: 10, stormHours: [] }
+};
+
+const contentTypes = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png'
+};
+
+const places = [
+    { name: 'Springfield', admin1: 'Illinois', country: 'United States', latitude: 39.80172, longitude: -89.64371 },
+    { name: 'Springfield', admin1: 'Missouri', country: 'United States', latitude: 37.21533, longitude: -93.29824 },
+    { name: 'Springfield', admin1: 'Massachusetts', country: 'United States', latitude: 42.10148, longitude: -72.58981 },
+    { name: 'Denver', admin1: 'Colorado', country: 'United States', latitude: 39.73915, longitude: -104.9847 },
+    { name: 'Berlin', admin1: 'Berlin', country: 'Germany', latitude: 52.52437, longitude: 13.41053 },
+    { name: 'Madrid', admin1: 'Madrid', country: 'Spain', latitude: 40.4165, longitude: -3.70256 }
+];
+
+function formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Only today follows the scenario; later days settle into mild weather
+function buildForecast(scenario, now = new Date()) {
+    const weather = scenarios[scenario] || scenarios.sunny;
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    const hourly = { time: [], temperature_2m: [], precipitation_probability: [], weather_code: [] };
+    const daily = {
+        time: [], weather_code: [], temperature_2m_max: [], temperature_2m_min: [],
+        uv_index_max: [], precipitation_probability_max: []
+    };
+
+    for (let day = 0; day < 7; day++) {
+        const date = new Date(start);
+        date.setDate(start.getDate() + day);
+        const dateKey = formatDate(date);
+        const isToday = day === 0;
+
+        for (let hour = 0; hour < 24; hour++) {
+            const storm = isToday && weather.stormHours.includes(hour);
+            hourly.time.push(`${dateKey}T${String(hour).padStart(2, '0')}:00`);
+            hourly.temperature_2m.push(12 + 8 * Math.sin((hour - 9) / 24 * 2 * Math.PI) + day);
+            hourly.precipitation_probability.push(storm ? 90 : (isToday ? weather.rain : 10));
+            hourly.weather_code.push(storm ? 95 : (isToday ? weather.code : 2));
+        }
+
+        daily.time.push(dateKey);
+        daily.weather_code.push(isToday ? (weather.stormHours.length > 0 ? 95 : weather.code) : 2);
+        daily.temperature_2m_max.push(20 + day);
+        daily.temperature_2m_min.push(4 + day);
+        daily.uv_index_max.push(isToday ? weather.uv : 3);
+        daily.precipitation_probability_max.push(isToday ? Math.max(weather.rain, weather.stormHours.length ? 90 : 0) : 10);
+    }
+
+    const currentIndex = now.getHours();
+    return {
+        current: {
+            time: hourly.time[currentIndex],
+            temperature_2m: hourly.temperature_2m[currentIndex],
+            relative_humidity_2m: 55,
+            weather_code: hourly.weather_code[currentIndex]
+        },
+        hourly: hourly,
+        daily: daily
+    };
+}
+
+// The fake API shares the app's origin, so it tells the service worker not
+// to cache it; a cached forecast would hide a change of scenario
+function sendJson(response, body) {
+    response.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.end(JSON.stringify(body));
+}
+
+function sendFile(response, filePath, origin) {
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+
+        if (path.basename(filePath) === 'index.html') {
+            const config = `<script>window.DAILY_CARE_API = ${JSON.stringify({
+                forecast: `${origin}/stub/forecast`,
+                geocode: `${origin}/stub/geocode`,
+                reverseGeocode: `${origin}/stub/reverse-geocode`
+            })};</script>`;
+            content = content.toString().replace('<script src=', `${config}\n    <script src=`);
+        }
+
+        response.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(content);
+    });
+}
+
+function createServer(scenario, now = () => new Date()) {
+    return http.createServer((request, response) => {
+        const origin = `http://${request.headers.host}`;
+        const url = new URL(request.url, origin);
+
+        if (url.pathname === '/stub/forecast') {
+            sendJson(response, buildForecast(scenario, now()));
+        } else if (url.pathname === '/stub/geocode') {
+            const query = (url.searchParams.get('name') || '').toLowerCase();
+            sendJson(response, { results: places.filter(place => place.name.toLowerCase().startsWith(query)) });
+        } else if (url.pathname === '/stub/reverse-geocode') {
+            sendJson(response, { city: `Stubville (${scenario})` });
+        } else {
+            const relative = url.pathname === '/' ? 'index.html' : url.pathname.slice(1);
+            const filePath = path.join(root, path.normalize(relative));
+            if (!filePath.startsWith(root)) {
+                response.writeHead(403);
+                response.end();
+                return;
+            }
+            sendFile(response, filePath, origin);
+        }
+    });
+}
+
+if (require.main === module) {
+    const scenario = process.argv[2] || 'sunny';
+    const port = Number(process.argv[3]) || 8787;
+    createServer(scenario).listen(port, () => {
+        console.log(`Serving Daily Care with "${scenario}" weather at http://localhost:${port}/`);
+    });
+}
+
+module.exports = { scenarios, buildForecast, createServer };
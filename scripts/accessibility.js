@@ -0,0 +1,148 @@
+// Daily Regulation Tracker - Accessibility
+//
+// Motion and contrast follow the system (prefers-reduced-motion,
+// prefers-contrast) unless set otherwise in accessibilitySettings, and are
+// applied as classes on <body>: "reduce-motion" swaps the celebrations for
+// gentle feedback, "high-contrast" switches to the high-contrast theme.
+// Progress and milestones are also announced through a live region for
+// screen readers.
+
+class AccessibilitySettings {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.settingsKey = 'accessibilitySettings';
+        this.settings = this.loadSettings();
+        this.motionQuery = this.watch('(prefers-reduced-motion: reduce)');
+        this.contrastQuery = this.watch('(prefers-contrast: more)');
+        this.announceTimer = null;
+        this.pendingMessages = [];
+        this.apply();
+    }
+
+    loadSettings() {
+        const defaults = { motion: 'auto', contrast: 'auto' };
+        const stored = this.tracker.storage.getItem(this.settingsKey);
+        if (stored) {
+            try {
+                return { ...defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('Invalid accessibility settings:', error);
+            }
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        this.tracker.storage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    // Re-applies when the system setting changes while the app is open
+    watch(query) {
+        if (!window.matchMedia) return null;
+
+        const list = window.matchMedia(query);
+        if (list.addEventListener) {
+            list.addEventListener('change', () => this.apply());
+        }
+        return list;
+    }
+
+    get reduceMotion() {
+        if (this.settings.motion === 'auto') {
+            return Boolean(this.motionQuery && this.motionQuery.matches);
+        }
+        return this.settings.motion === 'reduce';
+    }
+
+    get highContrast() {
+        if (this.settings.contrast === 'auto') {
+            return Boolean(this.contrastQuery && this.contrastQuery.matches);
+        }
+        return this.settings.contrast === 'high';
+    }
+
+    apply() {
+        document.body.classList.toggle('reduce-motion', this.reduceMotion);
+        document.body.classList.toggle('high-contrast', this.highContrast);
+    }
+
+    // Messages arriving together (a tick and the milestone it reached) are
+    // read as one. Clearing first makes screen readers repeat a message
+    // that's the same as the last one.
+    announce(message) {
+        const region = document.getElementById('liveRegion');
+        if (!region) return;
+
+        this.pendingMessages.push(message);
+        region.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            region.textContent = this.pendingMessages.join(' ');
+            this.pendingMessages = [];
+        }, 100);
+    }
+
+    // Up and down arrows move between the tasks' checkboxes
+    setupKeyboardNavigation() {
+        const container = document.getElementById('scheduleContainer');
+        if (!container) return;
+
+        container.addEventListener('keydown', (event) => {
+            if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+
+            const targets = [...container.querySelectorAll('.task-checkbox, .quantity-controls [data-direction="1"]')];
+            const index = targets.indexOf(event.target);
+            if (index === -1) return;
+
+            const next = targets[index + (event.key === 'ArrowDown' ? 1 : -1)];
+            if (next) {
+                event.preventDefault();
+                next.focus();
+            }
+        });
+    }
+
+    setupSettingsPanel() {
+        const i18n = this.tracker.i18n;
+        const fields = [
+            {
+                id: 'motionSelect',
+                setting: 'motion',
+                options: [
+                    ['auto', i18n.t('settings.matchSystem')],
+                    ['reduce', i18n.t('settings.motionReduced')],
+                    ['full', i18n.t('settings.motionFull')]
+                ]
+            },
+            {
+                id: 'contrastSelect',
+                setting: 'contrast',
+                options: [
+                    ['auto', i18n.t('settings.matchSystem')],
+                    ['high', i18n.t('settings.contrastHigh')],
+                    ['standard', i18n.t('settings.contrastStandard')]
+                ]
+            }
+        ];
+
+        fields.forEach(field => {
+            const select = document.getElementById(field.id);
+            if (!select) return;
+
+            field.options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = this.settings[field.setting];
+
+            // Unlike the language, these take effect without a reload
+            select.addEventListener('change', () => {
+                this.settings[field.setting] = select.value;
+                this.saveSettings();
+                this.apply();
+            });
+        });
+    }
+}
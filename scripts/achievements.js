@@ -0,0 +1,285 @@
+// Daily Regulation Tracker - Achievements
+//
+// Every completed task earns XP according to its category, and XP adds up
+// to levels. Achievements are declared in AchievementTracker.rules: each
+// names a measure (see AchievementTracker.measures) and the count it has to
+// reach, so adding one only takes an entry there plus its name and
+// description in the catalogs.
+//
+// XP and progress are worked out from the history index, so unticking a
+// task takes its XP back. Unlocks and the highest level reached are kept
+// under "achievements", so each is only announced once:
+//
+//   { unlocked: { <achievementId>: <date> }, level }
+
+class AchievementTracker {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.storageKey = 'achievements';
+        this.state = this.loadState();
+        this.xp = 0;
+        this.todayXp = 0;
+        this.level = 1;
+        this.progress = new Map();
+    }
+
+    static get categoryXp() {
+        return {
+            health: 15,
+            fitness: 15,
+            sleep: 12,
+            wellness: 12,
+            hydration: 10,
+            hygiene: 10,
+            nutrition: 10,
+            planning: 8,
+            routine: 5
+        };
+    }
+
+    static get defaultXp() {
+        return 10;
+    }
+
+    static get rules() {
+        return [
+            { id: 'firstTask', icon: 'fa-seedling', measure: 'tasks', count: 1 },
+            { id: 'perfectDay', icon: 'fa-star', measure: 'perfectDays', count: 1 },
+            { id: 'earlyBird', icon: 'fa-sun', measure: 'sectionDoneBy', section: 'morning', time: '09:00', count: 1 },
+            { id: 'perfectWeek', icon: 'fa-calendar-check', measure: 'perfectStreak', count: 7 },
+            { id: 'hundredTasks', icon: 'fa-medal', measure: 'tasks', count: 100 },
+            { id: 'hydrationMonth', icon: 'fa-droplet', measure: 'categoryDays', category: 'hydration', count: 30 },
+            { id: 'perfectMonth', icon: 'fa-crown', measure: 'perfectStreak', count: 30 },
+            { id: 'levelFive', icon: 'fa-trophy', measure: 'level', count: 5 }
+        ];
+    }
+
+    // How far along a rule is, given every tracked day (oldest first)
+    static get measures() {
+        return {
+            tasks: (days) => days.reduce((sum, day) => sum + day.completed, 0),
+            perfectDays: (days) => days.filter(day => day.total > 0 && day.percentage === 100).length,
+            // Rest days don't break it, as with the streak badge
+            perfectStreak: (days, rule, achievements) => achievements.tracker.streaks.perfectStreak.best,
+            categoryDays: (days, rule) => days.filter(day => AchievementTracker.allDone(
+                Object.values(day.sections)
+                    .flatMap(section => section.tasks)
+                    .filter(task => task.category === rule.category)
+            )).length,
+            sectionDoneBy: (days, rule) => days.filter(day => day.sections[rule.section] && AchievementTracker.allDone(
+                day.sections[rule.section].tasks,
+                AchievementTracker.getTime(day.dateKey, rule.time)
+            )).length,
+            level: (days, rule, achievements) => achievements.level
+        };
+    }
+
+    // Tasks ticked before times were recorded can't prove a deadline was met
+    static allDone(tasks, deadline = null) {
+        return tasks.length > 0 && tasks.every(task => task.completed &&
+            (deadline === null || (typeof task.completedAt === 'number' && task.completedAt < deadline)));
+    }
+
+    static getTime(dateKey, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const date = DateKeys.parse(dateKey);
+        date.setHours(hours, minutes, 0, 0);
+        return date.getTime();
+    }
+
+    // Level 2 takes 100 XP, level 3 another 200, level 4 another 300...
+    static getLevelXp(level) {
+        return 50 * level * (level - 1);
+    }
+
+    static getLevel(xp) {
+        let level = 1;
+        while (xp >= AchievementTracker.getLevelXp(level + 1)) {
+            level++;
+        }
+        return level;
+    }
+
+    loadState() {
+        const defaults = { unlocked: {}, level: 1 };
+        const stored = this.tracker.storage.getItem(this.storageKey);
+        if (stored) {
+            try {
+                return { ...defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('Invalid achievements:', error);
+            }
+        }
+        return defaults;
+    }
+
+    saveState() {
+        this.tracker.storage.setItem(this.storageKey, JSON.stringify(this.state));
+    }
+
+    // Anything already earned when the app opens is recorded without fanfare
+    init() {
+        this.refresh();
+    }
+
+    getTaskXp(task) {
+        const xp = AchievementTracker.categoryXp[task.category];
+        return xp === undefined ? AchievementTracker.defaultXp : xp;
+    }
+
+    // Quantity tasks part of the way to their target earn part of the XP
+    getDayXp(record) {
+        const xp = Object.values(record.sections)
+            .flatMap(section => section.tasks)
+            .reduce((sum, task) => sum + task.credit * this.getTaskXp(task), 0);
+        return Math.round(xp);
+    }
+
+    // Recomputes XP and progress after a change (streaks must be refreshed
+    // first) and returns what was newly earned, for the caller to announce
+    refresh() {
+        const todayKey = this.tracker.getCurrentDateKey();
+        const days = [...this.tracker.history.days.values()]
+            .sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+
+        this.xp = 0;
+        this.todayXp = 0;
+        days.forEach(record => {
+            const xp = this.getDayXp(record);
+            this.xp += xp;
+            if (record.dateKey === todayKey) this.todayXp = xp;
+        });
+        this.level = AchievementTracker.getLevel(this.xp);
+
+        const earned = [];
+        if (this.level > this.state.level) {
+            this.state.level = this.level;
+            earned.push({ type: 'level', level: this.level });
+        }
+
+        AchievementTracker.rules.forEach(rule => {
+            const measure = AchievementTracker.measures[rule.measure];
+            const value = measure ? measure(days, rule, this) : 0;
+            this.progress.set(rule.id, Math.min(value, rule.count));
+
+            if (value >= rule.count && !this.state.unlocked[rule.id]) {
+                this.state.unlocked[rule.id] = todayKey;
+                earned.push({ type: 'achievement', rule: rule });
+            }
+        });
+
+        if (earned.length > 0) {
+            this.saveState();
+        }
+        this.render();
+        return earned;
+    }
+
+    isUnlocked(rule) {
+        return Boolean(this.state.unlocked[rule.id]);
+    }
+
+    getName(rule) {
+        return this.tracker.i18n.t(`achievements.${rule.id}.name`);
+    }
+
+    getDescription(rule) {
+        const i18n = this.tracker.i18n;
+        const params = { count: rule.count };
+        if (rule.time) {
+            params.time = i18n.formatTime(new Date(AchievementTracker.getTime(this.tracker.getCurrentDateKey(), rule.time)));
+        }
+        return i18n.t(`achievements.${rule.id}.description`, params);
+    }
+
+    describe(reward) {
+        const i18n = this.tracker.i18n;
+        return reward.type === 'level'
+            ? i18n.t('achievements.levelUp', { level: reward.level })
+            : i18n.t('achievements.unlocked', { name: this.getName(reward.rule) });
+    }
+
+    render() {
+        const i18n = this.tracker.i18n;
+        const title = i18n.t('achievements.levelTitle', { level: this.level, xp: i18n.formatNumber(this.xp) });
+
+        const badge = document.getElementById('levelBadge');
+        if (badge) {
+            badge.hidden = this.xp === 0;
+            badge.innerHTML = '<i class="fas fa-star"></i> ';
+            badge.appendChild(document.createTextNode(i18n.t('achievements.level', { level: this.level })));
+            badge.title = title;
+        }
+
+        const rules = AchievementTracker.rules;
+        const count = document.getElementById('achievementsCount');
+        if (count) {
+            count.textContent = i18n.t('achievements.unlockedCount', {
+                count: rules.filter(rule => this.isUnlocked(rule)).length,
+                total: rules.length
+            });
+        }
+
+        const content = document.getElementById('achievementsContent');
+        if (!content) return;
+
+        content.innerHTML = '';
+        content.appendChild(this.createLevel(title));
+
+        const list = document.createElement('ul');
+        list.className = 'achievement-list';
+        rules.forEach(rule => list.appendChild(this.createAchievement(rule)));
+        content.appendChild(list);
+    }
+
+    createLevel(title) {
+        const i18n = this.tracker.i18n;
+        const start = AchievementTracker.getLevelXp(this.level);
+        const next = AchievementTracker.getLevelXp(this.level + 1);
+        const percentage = Math.round(((this.xp - start) / (next - start)) * 100);
+
+        const block = document.createElement('div');
+        block.className = 'achievement-level';
+        block.innerHTML = `
+            <div class="achievement-level-header">
+                <span class="achievement-level-title"></span>
+                <span class="achievement-level-today"></span>
+            </div>
+            <div class="stats-bar" role="progressbar" aria-valuemin="${start}" aria-valuemax="${next}" aria-valuenow="${this.xp}">
+                <span class="stats-bar-fill" style="width: ${percentage}%"></span>
+            </div>
+            <span class="achievement-level-next"></span>
+        `;
+        block.querySelector('.achievement-level-title').textContent = title;
+        block.querySelector('.achievement-level-today').textContent = i18n.t('achievements.todayXp', { xp: i18n.formatNumber(this.todayXp) });
+        block.querySelector('.achievement-level-next').textContent = i18n.t('achievements.nextLevel', {
+            xp: i18n.formatNumber(next - this.xp),
+            level: this.level + 1
+        });
+        block.querySelector('[role="progressbar"]').setAttribute('aria-label', title);
+        return block;
+    }
+
+    createAchievement(rule) {
+        const i18n = this.tracker.i18n;
+        const unlocked = this.isUnlocked(rule);
+        const item = document.createElement('li');
+        item.className = 'achievement' + (unlocked ? ' unlocked' : '');
+        item.innerHTML = `
+            <span class="achievement-icon"><i class="fas ${unlocked ? rule.icon : 'fa-lock'}"></i></span>
+            <span class="achievement-text">
+                <span class="achievement-name"></span>
+                <span class="achievement-description"></span>
+                <span class="achievement-status"></span>
+            </span>
+        `;
+        item.querySelector('.achievement-name').textContent = this.getName(rule);
+        item.querySelector('.achievement-description').textContent = this.getDescription(rule);
+        item.querySelector('.achievement-status').textContent = unlocked
+            ? i18n.t('achievements.unlockedOn', {
+                date: i18n.formatDate(DateKeys.parse(this.state.unlocked[rule.id]), { year: 'numeric', month: 'short', day: 'numeric' })
+            })
+            : `${i18n.formatNumber(this.progress.get(rule.id) || 0)} / ${i18n.formatNumber(rule.count)}`;
+        return item;
+    }
+}
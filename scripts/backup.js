@@ -0,0 +1,444 @@
+// Daily Regulation Tracker - Backup Export & Import
+
+class DataBackup {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.format = 'daily-care-backup';
+        // Version 1 backups were keyed by UTC date, version 2 by local date;
+        // version 3 stores days as completion logs instead of id lists
+        this.version = 3;
+        // Per-day keys are grouped by prefix, everything else is a single key
+        this.keyGroups = {
+            days: 'dailyTracker_',
+            snapshots: 'scheduleSnapshot_',
+            reminders: 'reminders_',
+            quantities: 'quantities_',
+            journal: 'journal_',
+            weatherTasks: 'weatherTasks_',
+            medicationLog: 'medicationLog_'
+        };
+        // Groups where a day can differ between this device and a backup;
+        // reminder state and snapshots are bookkeeping and never ask
+        this.conflictGroups = ['days', 'quantities', 'medicationLog', 'weatherTasks', 'journal'];
+        this.singleKeys = {
+            schedule: 'customSchedule',
+            streakSettings: 'streakSettings',
+            dateSettings: 'dateSettings',
+            reminderSettings: 'reminderSettings',
+            localeSettings: 'localeSettings',
+            accessibilitySettings: 'accessibilitySettings',
+            weatherLocation: 'weatherLocation',
+            favoriteLocations: 'favoriteLocations',
+            medications: 'medications',
+            achievements: 'achievements',
+            quoteSettings: 'quoteSettings',
+            userQuotes: 'userQuotes',
+            timerSettings: 'timerSettings'
+        };
+    }
+
+    setupEventListeners() {
+        const exportJson = document.getElementById('exportJsonButton');
+        const exportCsv = document.getElementById('exportCsvButton');
+        const importButton = document.getElementById('importButton');
+        const importInput = document.getElementById('importInput');
+
+        if (exportJson) {
+            exportJson.addEventListener('click', () => this.exportJson());
+        }
+        if (exportCsv) {
+            exportCsv.addEventListener('click', () => this.exportCsv());
+        }
+        if (importButton && importInput) {
+            importButton.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', async () => {
+                const file = importInput.files[0];
+                importInput.value = '';
+                if (file) {
+                    await this.importFile(file);
+                }
+            });
+        }
+    }
+
+    createBackup() {
+        const backup = {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString()
+        };
+
+        Object.keys(this.keyGroups).forEach(group => {
+            backup[group] = this.readGroup(this.keyGroups[group]);
+        });
+
+        Object.keys(this.singleKeys).forEach(name => {
+            const stored = this.tracker.storage.getItem(this.singleKeys[name]);
+            backup[name] = stored ? JSON.parse(stored) : null;
+        });
+
+        return backup;
+    }
+
+    readGroup(prefix) {
+        const entries = {};
+        this.tracker.storage.keys().forEach(key => {
+            if (!key.startsWith(prefix)) return;
+
+            const dateKey = key.slice(prefix.length);
+            if (!DateKeys.isDateKey(dateKey)) return;
+
+            try {
+                entries[dateKey] = JSON.parse(this.tracker.storage.getItem(key));
+            } catch (error) {
+                console.error(`Skipping unreadable entry ${key}:`, error);
+            }
+        });
+        return entries;
+    }
+
+    exportJson() {
+        const json = JSON.stringify(this.createBackup(), null, 2);
+        this.download(`daily-care-backup-${this.tracker.getCurrentDateKey()}.json`, json, 'application/json');
+    }
+
+    exportCsv() {
+        const history = this.tracker.history;
+        history.buildIndex();
+
+        const rows = [['date', 'section', 'task_id', 'task', 'category', 'completed', 'completed_at', 'amount', 'target', 'unit', 'note']];
+        [...history.days.keys()].sort().forEach(dateKey => {
+            const record = history.days.get(dateKey);
+            Object.values(record.sections).forEach(section => {
+                section.tasks.forEach(task => {
+                    rows.push([
+                        dateKey, section.title, task.id, task.text, task.category || '', task.completed ? 1 : 0,
+                        task.completedAt ? new Date(task.completedAt).toISOString() : '',
+                        task.target ? task.amount : '', task.target || '', task.unit || '', task.note || ''
+                    ]);
+                });
+            });
+        });
+
+        const csv = rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n');
+        this.download(`daily-care-${this.tracker.getCurrentDateKey()}.csv`, csv, 'text/csv');
+    }
+
+    escapeCsv(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    download(filename, content, type) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    async importFile(file) {
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            alert(this.tracker.i18n.t('backup.invalidJson'));
+            return;
+        }
+
+        const problem = this.validate(backup);
+        if (problem) {
+            alert(this.tracker.i18n.t('backup.importFailed', { problem: problem }));
+            return;
+        }
+
+        // Re-key old UTC-dated backups before comparing them with local days
+        if (backup.version < 2 && backup.days) {
+            backup.days = this.tracker.dateKeys.convertUtcDays(backup.days, backup.schedule || this.tracker.schedule);
+        }
+
+        // Before version 3 days were id lists, with any tick times kept apart
+        if (backup.version < 3 && backup.days) {
+            const times = backup.completionTimes || {};
+            Object.keys(backup.days).forEach(dateKey => {
+                backup.days[dateKey] = CompletionLog.createDay(backup.days[dateKey], times[dateKey]);
+            });
+        }
+
+        const conflicts = this.findConflicts(backup);
+        let strategy = 'merge';
+        if (conflicts.length > 0) {
+            strategy = await this.askConflictStrategy(conflicts);
+            if (!strategy) return;
+        }
+
+        this.applyBackup(backup, strategy);
+        alert(this.tracker.i18n.t('backup.imported'));
+        this.tracker.reload();
+    }
+
+    validate(backup) {
+        if (!backup || typeof backup !== 'object' || backup.format !== this.format) {
+            return this.tracker.i18n.t('backup.notBackup');
+        }
+        if (typeof backup.version !== 'number' || backup.version > this.version) {
+            return this.tracker.i18n.t('backup.tooNew', { version: backup.version });
+        }
+
+        for (const group of Object.keys(this.keyGroups)) {
+            const entries = backup[group];
+            if (entries === undefined) continue;
+            if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+                return this.tracker.i18n.t('backup.groupNotObject', { group: group });
+            }
+
+            const badKey = Object.keys(entries).find(dateKey => !DateKeys.isDateKey(dateKey));
+            if (badKey) {
+                return this.tracker.i18n.t('backup.invalidDate', { group: group, date: badKey });
+            }
+        }
+
+        for (const [dateKey, day] of Object.entries(backup.days || {})) {
+            const valid = backup.version < 3
+                ? Array.isArray(day) && day.every(id => typeof id === 'string')
+                : CompletionLog.isDay(day);
+            if (!valid) {
+                return this.tracker.i18n.t('backup.invalidCompletions', { date: dateKey });
+            }
+        }
+
+        for (const group of Object.keys(this.keyGroups)) {
+            if (group === 'days') continue;
+
+            const badKey = Object.keys(backup[group] || {}).find(dateKey => !this.isValidEntry(group, backup[group][dateKey]));
+            if (badKey) {
+                return this.tracker.i18n.t('backup.invalidEntry', { group: group, date: badKey });
+            }
+        }
+
+        if (backup.schedule) {
+            // Blank fields from older editors are dropped before checking,
+            // and stay dropped when the schedule is imported
+            const problems = ScheduleSchema.validate(ScheduleSchema.normalize(backup.schedule));
+            if (problems.length > 0) {
+                return this.tracker.i18n.t('backup.malformedSchedule', {
+                    problem: ScheduleSchema.describe(problems[0], this.tracker.i18n)
+                });
+            }
+        }
+
+        const badName = Object.keys(this.singleKeys).find(name =>
+            name !== 'schedule' && backup[name] !== undefined && backup[name] !== null &&
+            !this.isValidSingle(name, backup[name]));
+        if (badName) {
+            return this.tracker.i18n.t('backup.invalidValue', { name: badName });
+        }
+
+        return null;
+    }
+
+    isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isNumberOrNull(value) {
+        return value === null || value === undefined || Number.isFinite(value);
+    }
+
+    // Entries the app would trip over on its next load are refused here
+    // rather than written to storage
+    isValidEntry(group, value) {
+        switch (group) {
+            case 'reminders':
+                return this.isObject(value) && this.isObject(value.fired) && this.isObject(value.snoozed);
+            case 'quantities':
+                return this.isObject(value) && Object.values(value).every(amount => Number.isFinite(amount));
+            case 'journal':
+                return this.isObject(value) &&
+                    ['mood', 'energy', 'sleep'].every(field => this.isNumberOrNull(value[field])) &&
+                    (value.note === undefined || typeof value.note === 'string') &&
+                    (value.taskNotes === undefined || (this.isObject(value.taskNotes) &&
+                        Object.values(value.taskNotes).every(note => typeof note === 'string')));
+            case 'weatherTasks':
+                return Array.isArray(value) && value.every(task => this.isObject(task) && typeof task.id === 'string');
+            case 'medicationLog':
+                return this.isObject(value) && Object.values(value).every(dose =>
+                    this.isObject(dose) && typeof dose.taskId === 'string' && this.isNumberOrNull(dose.takenAt));
+            default:
+                return this.isObject(value);
+        }
+    }
+
+    isValidLocation(location) {
+        return this.isObject(location) && Number.isFinite(location.latitude) && Number.isFinite(location.longitude);
+    }
+
+    isValidSingle(name, value) {
+        switch (name) {
+            case 'weatherLocation':
+                return this.isValidLocation(value);
+            case 'favoriteLocations':
+                return Array.isArray(value) && value.every(location => this.isValidLocation(location));
+            case 'medications':
+                return Array.isArray(value) && value.every(medication =>
+                    this.isObject(medication) && typeof medication.id === 'string' && typeof medication.name === 'string');
+            case 'userQuotes':
+                return Array.isArray(value) && value.every(quote =>
+                    this.isObject(quote) && typeof quote.id === 'string' && typeof quote.text === 'string');
+            default:
+                return this.isObject(value);
+        }
+    }
+
+    // A conflict is a day that exists on both sides with different
+    // completions, amounts, doses, weather tasks or journal entries
+    findConflicts(backup) {
+        const dates = new Set();
+        this.conflictGroups.forEach(group => {
+            Object.keys(backup[group] || {}).forEach(dateKey => {
+                const local = this.readEntry(group, dateKey);
+                if (local !== null && this.differs(group, local, backup[group][dateKey])) {
+                    dates.add(dateKey);
+                }
+            });
+        });
+        return [...dates].sort();
+    }
+
+    differs(group, local, incoming) {
+        if (group === 'days') {
+            const localIds = new Set(CompletionLog.completedIds(local));
+            const incomingIds = new Set(CompletionLog.completedIds(incoming));
+            return localIds.size !== incomingIds.size || [...incomingIds].some(id => !localIds.has(id));
+        }
+        return JSON.stringify(local) !== JSON.stringify(incoming);
+    }
+
+    readEntry(group, dateKey) {
+        const stored = this.tracker.storage.getItem(this.keyGroups[group] + dateKey);
+        if (stored === null) return null;
+
+        try {
+            const value = JSON.parse(stored);
+            return group === 'days' ? CompletionLog.parse(value) : value;
+        } catch (error) {
+            console.error(`Replacing unreadable entry ${this.keyGroups[group]}${dateKey}:`, error);
+            return null;
+        }
+    }
+
+    askConflictStrategy(conflicts) {
+        return new Promise(resolve => {
+            const i18n = this.tracker.i18n;
+            const overlay = document.createElement('div');
+            overlay.className = 'modal-overlay';
+            overlay.innerHTML = `
+                <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="conflictTitle">
+                    <h3 id="conflictTitle">${i18n.t('backup.conflictTitle')}</h3>
+                    <p class="modal-body"></p>
+                    <div class="modal-actions">
+                        <button type="button" class="editor-button primary" data-strategy="merge">${i18n.t('backup.merge')}</button>
+                        <button type="button" class="editor-button" data-strategy="theirs">${i18n.t('backup.useBackup')}</button>
+                        <button type="button" class="editor-button" data-strategy="mine">${i18n.t('backup.keepMine')}</button>
+                        <button type="button" class="editor-button" data-strategy="">${i18n.t('common.cancel')}</button>
+                    </div>
+                </div>
+            `;
+
+            const preview = conflicts.slice(0, 5).join(', ') + (conflicts.length > 5 ? '…' : '');
+            overlay.querySelector('.modal-body').textContent =
+                i18n.t('backup.conflictBody', { count: conflicts.length, days: preview });
+
+            overlay.querySelectorAll('[data-strategy]').forEach(button => {
+                button.addEventListener('click', () => {
+                    document.body.removeChild(overlay);
+                    resolve(button.dataset.strategy || null);
+                });
+            });
+
+            document.body.appendChild(overlay);
+            overlay.querySelector('[data-strategy="merge"]').focus();
+        });
+    }
+
+    applyBackup(backup, strategy) {
+        Object.keys(this.keyGroups).forEach(group => {
+            Object.entries(backup[group] || {}).forEach(([dateKey, value]) => {
+                const local = this.readEntry(group, dateKey);
+                let result = null;
+                if (local === null || strategy === 'theirs') {
+                    result = value;
+                } else if (strategy === 'merge') {
+                    result = this.mergeEntry(group, local, value);
+                }
+
+                if (result !== null) {
+                    this.tracker.storage.setItem(this.keyGroups[group] + dateKey, JSON.stringify(result));
+                }
+            });
+        });
+
+        Object.keys(this.singleKeys).forEach(name => {
+            const key = this.singleKeys[name];
+            if (backup[name] && (this.tracker.storage.getItem(key) === null || strategy === 'theirs')) {
+                this.tracker.storage.setItem(key, JSON.stringify(backup[name]));
+            }
+        });
+    }
+
+    // Combining keeps whatever was done on either side. Where both sides
+    // answered the same journal question this device's answer stays, and a
+    // day's schedule snapshot is always this device's (the dialog says so).
+    // Returns null to leave the local entry as it is.
+    mergeEntry(group, local, incoming) {
+        switch (group) {
+            case 'days':
+                return CompletionLog.merge(local, incoming);
+            case 'quantities': {
+                const merged = { ...local };
+                Object.entries(incoming).forEach(([taskId, amount]) => {
+                    merged[taskId] = Math.max(merged[taskId] || 0, amount);
+                });
+                return merged;
+            }
+            case 'medicationLog': {
+                const merged = { ...local };
+                Object.entries(incoming).forEach(([key, dose]) => {
+                    const mine = merged[key];
+                    if (!mine || (mine.takenAt === null && dose.takenAt !== null) ||
+                        (mine.takenAt !== null && dose.takenAt !== null && dose.takenAt < mine.takenAt)) {
+                        merged[key] = dose;
+                    }
+                });
+                return merged;
+            }
+            case 'weatherTasks': {
+                const ids = new Set(local.map(task => task.id));
+                return [...local, ...incoming.filter(task => !ids.has(task.id))];
+            }
+            case 'reminders':
+                return {
+                    fired: { ...incoming.fired, ...local.fired },
+                    snoozed: { ...incoming.snoozed, ...local.snoozed }
+                };
+            case 'journal': {
+                const merged = { ...local, taskNotes: { ...(incoming.taskNotes || {}), ...(local.taskNotes || {}) } };
+                ['mood', 'energy', 'sleep'].forEach(field => {
+                    if (merged[field] === null || merged[field] === undefined) {
+                        merged[field] = incoming[field] === undefined ? null : incoming[field];
+                    }
+                });
+                if (!merged.note) {
+                    merged.note = incoming.note || '';
+                }
+                return merged;
+            }
+            default:
+                return null;
+        }
+    }
+}
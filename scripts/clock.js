@@ -0,0 +1,52 @@
+// Daily Regulation Tracker - Clock
+//
+// All time-based behaviour (day rollover, reminders) goes through one
+// clock so it can be driven by a fake time source. The minute tick keeps
+// things honest after the device sleeps, when long timeouts fire late or not
+// at all.
+
+class TrackerClock {
+    constructor(options = {}) {
+        this.nowFn = options.now || (() => Date.now());
+        this.timers = options.timers || window;
+        this.tickInterval = options.tickInterval || 60000;
+        this.listeners = [];
+        this.intervalId = null;
+    }
+
+    now() {
+        return new Date(this.nowFn());
+    }
+
+    at(date, callback) {
+        const delay = Math.max(0, date.getTime() - this.nowFn());
+        return this.timers.setTimeout(callback, delay);
+    }
+
+    cancel(timerId) {
+        if (timerId !== null && timerId !== undefined) {
+            this.timers.clearTimeout(timerId);
+        }
+    }
+
+    onTick(callback) {
+        this.listeners.push(callback);
+
+        if (this.intervalId === null) {
+            this.intervalId = this.timers.setInterval(() => this.tick(), this.tickInterval);
+
+            // Catch up straight away when the page becomes visible again
+            if (typeof document !== 'undefined') {
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible') {
+                        this.tick();
+                    }
+                });
+            }
+        }
+    }
+
+    tick() {
+        this.listeners.forEach(callback => callback(this.now()));
+    }
+}
@@ -0,0 +1,162 @@
+// Daily Regulation Tracker - Completion Log
+//
+// Each day is stored under dailyTracker_<date> as
+//
+//   { completed: { <taskId>: <time> }, events: [{ taskId, completed, at }] }
+//
+// "completed" holds the tasks that are done and when they were last ticked;
+// the time is null for days saved before times were recorded. "events" is
+// every tick and untick in order, so a task ticked by mistake and cleared
+// again still shows up. Times are milliseconds since the epoch. Events also
+// carry the id of the device they were made on, so changes synced from
+// elsewhere can be told apart.
+//
+// Older versions stored a bare array of task ids; parse() accepts either.
+
+class CompletionLog {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.dayPrefix = 'dailyTracker_';
+        this.legacyTimesPrefix = 'completionTimes_';
+    }
+
+    static createDay(taskIds = [], times = {}) {
+        const completed = {};
+        taskIds.forEach(taskId => {
+            completed[taskId] = typeof times[taskId] === 'number' ? times[taskId] : null;
+        });
+        return { completed: completed, events: [] };
+    }
+
+    static isDay(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+            Boolean(value.completed) && typeof value.completed === 'object' && !Array.isArray(value.completed) &&
+            Array.isArray(value.events);
+    }
+
+    static parse(value) {
+        if (Array.isArray(value)) {
+            return CompletionLog.createDay(value);
+        }
+        if (!CompletionLog.isDay(value)) {
+            throw new Error('Not a completion log');
+        }
+        return value;
+    }
+
+    static completedIds(day) {
+        return Object.keys(day.completed);
+    }
+
+    static record(day, taskId, completed, at, device) {
+        if (completed) {
+            day.completed[taskId] = at;
+        } else {
+            delete day.completed[taskId];
+        }
+        const event = { taskId: taskId, completed: completed, at: at };
+        if (device) event.device = device;
+        day.events.push(event);
+        return event;
+    }
+
+    static eventKey(event) {
+        return `${event.at}|${event.taskId}|${event.completed}|${event.device || ''}`;
+    }
+
+    static compareEvents(a, b) {
+        return a.at - b.at || String(a.device || '').localeCompare(String(b.device || ''));
+    }
+
+    // Adds events recorded elsewhere; for every task they touch, the latest
+    // event decides whether it's done, so ticks of different tasks on two
+    // devices both survive. Returns whether there was anything new.
+    static applyEvents(day, events) {
+        const seen = new Set(day.events.map(CompletionLog.eventKey));
+        const added = events.filter(event => {
+            const key = CompletionLog.eventKey(event);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        if (added.length === 0) return false;
+
+        day.events = [...day.events, ...added].sort(CompletionLog.compareEvents);
+
+        const latest = new Map();
+        day.events.forEach(event => latest.set(event.taskId, event));
+        latest.forEach((event, taskId) => {
+            if (event.completed) {
+                day.completed[taskId] = event.at;
+            } else {
+                delete day.completed[taskId];
+            }
+        });
+        return true;
+    }
+
+    // Union of both days' completions, keeping the later known time, and
+    // every event from either side once
+    static merge(local, incoming) {
+        const completed = { ...incoming.completed };
+        Object.keys(local.completed).forEach(taskId => {
+            const time = local.completed[taskId];
+            if (!(taskId in completed) || (time !== null && (completed[taskId] === null || time > completed[taskId]))) {
+                completed[taskId] = time;
+            }
+        });
+
+        const seen = new Set();
+        const events = [...local.events, ...incoming.events]
+            .filter(event => {
+                const key = CompletionLog.eventKey(event);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort(CompletionLog.compareEvents);
+
+        return { completed: completed, events: events };
+    }
+
+    loadDay(dateKey) {
+        const stored = this.tracker.storage.getItem(this.dayPrefix + dateKey);
+        if (stored) {
+            try {
+                return CompletionLog.parse(JSON.parse(stored));
+            } catch (error) {
+                console.error(`Invalid completions for ${dateKey}:`, error);
+            }
+        }
+        return CompletionLog.createDay();
+    }
+
+    saveDay(dateKey, day) {
+        this.tracker.storage.setItem(this.dayPrefix + dateKey, JSON.stringify(day));
+    }
+
+    // Rewrites id arrays in the current shape, picking up the tick times
+    // kept alongside them (completionTimes_<date>) where there are any
+    migrate() {
+        const storage = this.tracker.storage;
+
+        storage.keys().forEach(key => {
+            const dateKey = key.slice(this.dayPrefix.length);
+            if (!key.startsWith(this.dayPrefix) || !DateKeys.isDateKey(dateKey)) return;
+
+            try {
+                const stored = JSON.parse(storage.getItem(key));
+                if (!Array.isArray(stored)) return;
+
+                const times = JSON.parse(storage.getItem(this.legacyTimesPrefix + dateKey) || '{}');
+                storage.setItem(key, JSON.stringify(CompletionLog.createDay(stored, times)));
+            } catch (error) {
+                console.error(`Skipping unreadable entry ${key}:`, error);
+            }
+        });
+
+        storage.keys()
+            .filter(key => key.startsWith(this.legacyTimesPrefix))
+            .forEach(key => storage.removeItem(key));
+    }
+}
@@ -0,0 +1,179 @@
+// Daily Regulation Tracker - Date Keys
+//
+// Every per-day record is stored under a "YYYY-MM-DD" key for the user's
+// local calendar day. The day can be set to start later than midnight (say
+// 4am for night owls), in which case anything before that hour still counts
+// towards the previous day.
+//
+// Dates are always moved with setDate/setHours rather than by adding
+// milliseconds, so days that are 23 or 25 hours long around daylight saving
+// changes come out right.
+
+class DateKeys {
+    constructor(options = {}) {
+        this.storage = options.storage;
+        this.settingsKey = 'dateSettings';
+        this.migrationKey = 'dateKeysMigrated';
+        this.dayPrefix = 'dailyTracker_';
+        this.settings = options.settings || this.loadSettings();
+    }
+
+    loadSettings() {
+        const defaults = { dayStartHour: 0 };
+        const stored = this.storage.getItem(this.settingsKey);
+        if (stored) {
+            try {
+                return { ...defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('Invalid date settings:', error);
+            }
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        this.storage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    get dayStartHour() {
+        return this.settings.dayStartHour;
+    }
+
+    static isDateKey(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    static format(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    // Local midnight at the start of the calendar day
+    static parse(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    static addDays(dateKey, days) {
+        const date = DateKeys.parse(dateKey);
+        date.setDate(date.getDate() + days);
+        return DateKeys.format(date);
+    }
+
+    static daysBetween(fromKey, toKey) {
+        const toUTC = (dateKey) => {
+            const [year, month, day] = dateKey.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUTC(toKey) - toUTC(fromKey)) / 86400000);
+    }
+
+    static getWeekday(dateKey) {
+        return DateKeys.parse(dateKey).getDay();
+    }
+
+    keyFor(date) {
+        const day = new Date(date);
+        if (day.getHours() < this.dayStartHour) {
+            day.setDate(day.getDate() - 1);
+        }
+        return DateKeys.format(day);
+    }
+
+    // The moment the given day's key ends and the next one begins
+    nextBoundary(date) {
+        const boundary = DateKeys.parse(this.keyFor(date));
+        boundary.setDate(boundary.getDate() + 1);
+        boundary.setHours(this.dayStartHour, 0, 0, 0);
+        return boundary;
+    }
+
+    // A "HH:MM" time on the given day; times before the day start belong to
+    // the early hours of the following calendar date
+    timeOnDay(dateKey, time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const date = DateKeys.parse(dateKey);
+        if (hours < this.dayStartHour) {
+            date.setDate(date.getDate() + 1);
+        }
+        date.setHours(hours, minutes || 0, 0, 0);
+        return date;
+    }
+
+    // Older versions keyed days by the UTC date, so the key flipped in the
+    // middle of the local day. West of UTC that pushed the evening into the
+    // next key; east of UTC the small hours landed in the previous one. Move
+    // completions of tasks whose reminder time falls on the wrong side of that
+    // flip back to the local day they were done on.
+    migrateUtcKeys(schedule) {
+        if (this.storage.getItem(this.migrationKey)) return;
+
+        const days = {};
+        this.storage.keys().forEach(key => {
+            const dateKey = key.slice(this.dayPrefix.length);
+            if (!key.startsWith(this.dayPrefix) || !DateKeys.isDateKey(dateKey)) return;
+
+            try {
+                const stored = JSON.parse(this.storage.getItem(key));
+                // Days written since then already carry completion logs
+                if (Array.isArray(stored)) days[dateKey] = stored;
+            } catch (error) {
+                console.error(`Skipping unreadable entry ${key}:`, error);
+            }
+        });
+
+        const migrated = this.convertUtcDays(days, schedule);
+        Object.keys(migrated).forEach(dateKey => {
+            this.storage.setItem(this.dayPrefix + dateKey, JSON.stringify(migrated[dateKey]));
+        });
+        this.storage.setItem(this.migrationKey, 'local-v1');
+    }
+
+    // Takes { "YYYY-MM-DD": [taskIds] } keyed by UTC date and returns the same
+    // shape keyed by local date. Days are rebuilt in a single pass so a task
+    // moved into a day is never moved a second time.
+    convertUtcDays(days, schedule) {
+        const hours = new Map();
+        Object.values(schedule || {}).forEach(section => {
+            section.tasks.forEach(task => {
+                const time = task.remind || section.remind;
+                if (time) {
+                    hours.set(task.id, Number(time.split(':')[0]));
+                }
+            });
+        });
+
+        const migrated = {};
+
+        Object.keys(days).forEach(dateKey => {
+            const offsetHours = -DateKeys.parse(dateKey).getTimezoneOffset() / 60;
+            // Local hour at which the UTC date changed on that day
+            const flipHour = (24 + offsetHours) % 24;
+
+            if (!migrated[dateKey]) {
+                migrated[dateKey] = [];
+            }
+
+            days[dateKey].forEach(id => {
+                const hour = hours.get(id);
+                let targetKey = dateKey;
+                if (hour !== undefined && offsetHours < 0 && hour >= flipHour) {
+                    targetKey = DateKeys.addDays(dateKey, -1);
+                } else if (hour !== undefined && offsetHours > 0 && hour < flipHour) {
+                    targetKey = DateKeys.addDays(dateKey, 1);
+                }
+
+                if (!migrated[targetKey]) {
+                    migrated[targetKey] = [];
+                }
+                if (!migrated[targetKey].includes(id)) {
+                    migrated[targetKey].push(id);
+                }
+            });
+        });
+
+        return migrated;
+    }
+}
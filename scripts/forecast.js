@@ -0,0 +1,235 @@
+// Daily Regulation Tracker - Forecast & Weather Rules
+//
+// Shows the hourly and 7-day outlook under the weather card and turns
+// today's forecast into suggestions. A rule either adds a task for the day
+// (kept in weatherTasks_<date> so it doesn't vanish if the forecast changes
+// after it was ticked) or flags existing tasks with a short hint.
+
+class WeatherForecast {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.tasksPrefix = 'weatherTasks_';
+        this.sectionKey = 'weatherSuggestions';
+        this.hourCount = 12;
+        this.weatherData = null;
+        this.conditions = null;
+    }
+
+    // Messages and flag texts are translation keys filled in with the
+    // conditions; task text stays English and is translated by id
+    static get rules() {
+        return [
+            {
+                id: 'sunscreen',
+                when: today => today.uvIndex >= 6,
+                message: 'forecast.rules.sunscreen',
+                task: { id: 'weather-sunscreen', text: 'Put on sunscreen', icon: 'fa-sun', category: 'health' }
+            },
+            {
+                id: 'umbrella',
+                when: today => today.precipitationChance >= 50,
+                message: 'forecast.rules.umbrella',
+                task: { id: 'weather-umbrella', text: 'Pack an umbrella', icon: 'fa-umbrella', category: 'planning' }
+            },
+            {
+                id: 'indoor-exercise',
+                when: today => today.thunderstorm,
+                message: 'forecast.rules.thunderstorm',
+                flag: { categories: ['fitness'], text: 'forecast.rules.exerciseIndoors', icon: 'fa-house' }
+            },
+            {
+                id: 'outfit',
+                when: () => true,
+                flag: { ids: ['check-weather'], text: 'forecast.summary', icon: 'fa-shirt' }
+            }
+        ];
+    }
+
+    // Open-Meteo returns parallel arrays; turn them into one object per
+    // hour and per day
+    parse(data) {
+        const hourly = (data.hourly && data.hourly.time || []).map((time, index) => ({
+            time: time,
+            temperature: Math.round(data.hourly.temperature_2m[index]),
+            precipitationChance: Math.round(data.hourly.precipitation_probability[index] || 0),
+            condition: this.tracker.getWeatherCondition(data.hourly.weather_code[index])
+        }));
+
+        const daily = (data.daily && data.daily.time || []).map((date, index) => ({
+            date: date,
+            high: Math.round(data.daily.temperature_2m_max[index]),
+            low: Math.round(data.daily.temperature_2m_min[index]),
+            uvIndex: Math.round(data.daily.uv_index_max[index] || 0),
+            precipitationChance: Math.round(data.daily.precipitation_probability_max[index] || 0),
+            condition: this.tracker.getWeatherCondition(data.daily.weather_code[index])
+        }));
+
+        return { hourly, daily };
+    }
+
+    // Hourly entries from the current hour on
+    getUpcomingHours(weatherData) {
+        const now = this.tracker.clock.now();
+        const currentHour = `${DateKeys.format(now)}T${String(now.getHours()).padStart(2, '0')}:00`;
+        return (weatherData.hourly || []).filter(hour => hour.time >= currentHour);
+    }
+
+    // What the rules look at: the rest of today according to the forecast.
+    // Cached data from an earlier day has no entry for today and yields null
+    getConditions(weatherData) {
+        const dateKey = this.tracker.getCurrentDateKey();
+        const day = (weatherData.daily || []).find(entry => entry.date === dateKey);
+        if (!day) return null;
+
+        const hours = this.getUpcomingHours(weatherData).filter(hour => hour.time.startsWith(dateKey));
+        const precipitationChance = hours.length > 0
+            ? Math.max(...hours.map(hour => hour.precipitationChance))
+            : day.precipitationChance;
+        const thunderstorm = day.condition === 'thunderstorm' ||
+            hours.some(hour => hour.condition === 'thunderstorm');
+
+        return {
+            uvIndex: day.uvIndex,
+            precipitationChance: precipitationChance,
+            thunderstorm: thunderstorm,
+            low: this.tracker.i18n.formatTemperature(day.low),
+            high: this.tracker.i18n.formatTemperature(day.high)
+        };
+    }
+
+    getActiveRules() {
+        if (!this.conditions) return [];
+        return WeatherForecast.rules.filter(rule => rule.when(this.conditions));
+    }
+
+    loadTasks(dateKey) {
+        const stored = this.tracker.storage.getItem(this.tasksPrefix + dateKey);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error(`Invalid weather tasks for ${dateKey}:`, error);
+            }
+        }
+        return [];
+    }
+
+    // Extra section holding the tasks the weather added on a given day
+    getSection(dateKey) {
+        const tasks = this.loadTasks(dateKey);
+        if (tasks.length === 0) return null;
+
+        return {
+            title: this.tracker.i18n.t('schedule.sections.weatherSuggestions'),
+            icon: 'fa-cloud-sun',
+            color: '#0984e3',
+            tasks: tasks
+        };
+    }
+
+    update(weatherData) {
+        this.weatherData = weatherData;
+        this.conditions = weatherData ? this.getConditions(weatherData) : null;
+
+        const dateKey = this.tracker.getCurrentDateKey();
+        const tasks = this.loadTasks(dateKey);
+        const added = this.getActiveRules()
+            .filter(rule => rule.task && !tasks.some(task => task.id === rule.task.id))
+            .map(rule => ({ ...rule.task }));
+
+        if (added.length > 0) {
+            this.tracker.storage.setItem(this.tasksPrefix + dateKey, JSON.stringify([...tasks, ...added]));
+        }
+
+        this.render();
+        this.tracker.refreshAfterScheduleChange();
+    }
+
+    getFlags(task) {
+        return this.getActiveRules()
+            .filter(rule => rule.flag)
+            .filter(rule => (rule.flag.ids || []).includes(task.id) ||
+                (rule.flag.categories || []).includes(task.category))
+            .map(rule => ({
+                icon: rule.flag.icon,
+                text: this.tracker.i18n.t(rule.flag.text, this.conditions)
+            }));
+    }
+
+    setupTaskItem(li, task) {
+        const body = li.querySelector('.task-body');
+        this.getFlags(task).forEach(flag => {
+            const hint = document.createElement('span');
+            hint.className = 'task-weather-flag';
+            hint.innerHTML = `<i class="fas ${flag.icon}"></i> <span></span>`;
+            hint.querySelector('span').textContent = flag.text;
+            body.appendChild(hint);
+        });
+    }
+
+    render() {
+        const panel = document.getElementById('forecastPanel');
+        if (!panel) return;
+
+        const weatherData = this.weatherData;
+        if (!weatherData || !weatherData.daily || weatherData.daily.length === 0) {
+            panel.hidden = true;
+            return;
+        }
+
+        panel.hidden = false;
+        panel.innerHTML = `
+            <ul class="forecast-alerts"></ul>
+            <div class="forecast-hourly"></div>
+            <ul class="forecast-daily"></ul>
+        `;
+
+        const i18n = this.tracker.i18n;
+        const alerts = panel.querySelector('.forecast-alerts');
+        this.getActiveRules().filter(rule => rule.message).forEach(rule => {
+            const message = i18n.t(rule.message, this.conditions);
+            const item = document.createElement('li');
+            item.innerHTML = '<i class="fas fa-circle-info"></i> <span></span>';
+            item.querySelector('span').textContent = rule.task
+                ? i18n.t('forecast.taskAdded', { message: message, task: i18n.taskText(rule.task) })
+                : message;
+            alerts.appendChild(item);
+        });
+        alerts.hidden = alerts.children.length === 0;
+
+        const hourly = panel.querySelector('.forecast-hourly');
+        this.getUpcomingHours(weatherData).slice(0, this.hourCount).forEach(hour => {
+            const [date, time] = hour.time.split('T');
+            const at = DateKeys.parse(date);
+            at.setHours(Number(time.slice(0, 2)));
+
+            const cell = document.createElement('div');
+            cell.className = 'forecast-hour';
+            cell.innerHTML = `
+                <span class="forecast-time">${i18n.formatTime(at, { hour: 'numeric' })}</span>
+                <i class="fas ${this.tracker.getWeatherIcon(hour.condition)}"></i>
+                <span class="forecast-temp">${i18n.toTemperatureUnit(hour.temperature)}°</span>
+                <span class="forecast-rain" style="--rain: ${hour.precipitationChance}%">${hour.precipitationChance}%</span>
+            `;
+            hourly.appendChild(cell);
+        });
+
+        const daily = panel.querySelector('.forecast-daily');
+        const todayKey = this.tracker.getCurrentDateKey();
+        weatherData.daily.forEach(day => {
+            const label = day.date === todayKey
+                ? i18n.t('forecast.today')
+                : i18n.formatDate(DateKeys.parse(day.date), { weekday: 'short' });
+
+            const row = document.createElement('li');
+            row.className = 'forecast-day';
+            row.innerHTML = `
+                <span class="forecast-day-name">${label}</span>
+                <i class="fas ${this.tracker.getWeatherIcon(day.condition)}"></i>
+                <span class="forecast-rain"><i class="fas fa-droplet"></i> ${day.precipitationChance}%</span>
+                <span class="forecast-range">${i18n.toTemperatureUnit(day.low)}° / ${i18n.toTemperatureUnit(day.high)}°</span>
+            `;
+            daily.appendChild(row);
+        });
+    }
+}
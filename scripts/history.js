@@ -0,0 +1,451 @@
+// Daily Regulation Tracker - Completion History
+
+class TrackerHistory {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.dayPrefix = 'dailyTracker_';
+        this.snapshotPrefix = 'scheduleSnapshot_';
+        this.days = new Map();
+        this.viewMode = 'month';
+        this.viewDate = null;
+        this.selectedDateKey = null;
+    }
+
+    init() {
+        this.viewDate = DateKeys.parse(this.tracker.getCurrentDateKey());
+        this.buildIndex();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    refresh() {
+        this.buildIndex();
+        this.render();
+    }
+
+    // Scan storage for every saved day and score it against the schedule
+    // that was in effect on that day (falling back to the current one). A
+    // day with only a journal entry is listed too, with nothing ticked
+    buildIndex() {
+        this.days.clear();
+
+        const journalPrefix = this.tracker.journal.prefix;
+        const dateKeys = new Set();
+        this.tracker.storage.keys().forEach(key => {
+            const prefix = [this.dayPrefix, journalPrefix].find(candidate => key.startsWith(candidate));
+            const dateKey = prefix ? key.slice(prefix.length) : null;
+            if (dateKey && DateKeys.isDateKey(dateKey)) {
+                dateKeys.add(dateKey);
+            }
+        });
+
+        dateKeys.forEach(dateKey => {
+            const key = this.dayPrefix + dateKey;
+            try {
+                const stored = this.tracker.storage.getItem(key);
+                const log = stored === null ? CompletionLog.createDay() : CompletionLog.parse(JSON.parse(stored));
+                const amounts = this.tracker.quantities.loadDay(dateKey);
+                this.days.set(dateKey, this.createDayRecord(dateKey, log, amounts));
+            } catch (error) {
+                console.error(`Skipping unreadable history entry ${key}:`, error);
+            }
+        });
+
+        // Today always reflects the live state, even before the first save
+        const todayKey = this.tracker.getCurrentDateKey();
+        this.days.set(todayKey, this.createDayRecord(todayKey, this.tracker.completionDay, this.tracker.quantities.amounts));
+    }
+
+    createDayRecord(dateKey, log, amounts = {}) {
+        const completed = new Set(CompletionLog.completedIds(log));
+        const quantities = this.tracker.quantities;
+        const journal = this.tracker.journal.loadDay(dateKey);
+        const doses = this.tracker.medications.loadDay(dateKey);
+        const schedule = this.getScheduleForDate(dateKey);
+        const sections = {};
+        let total = 0;
+        let done = 0;
+        let credit = 0;
+
+        Object.keys(schedule).forEach(timeOfDay => {
+            const section = schedule[timeOfDay];
+            const tasks = section.tasks
+                .filter(task => TaskRecurrence.appliesOn(task.repeat, dateKey))
+                .map(task => {
+                    const record = {
+                        id: task.id,
+                        text: task.text,
+                        icon: task.icon,
+                        category: task.category,
+                        completed: completed.has(task.id),
+                        completedAt: completed.has(task.id) ? log.completed[task.id] : null,
+                        remind: task.remind,
+                        credit: quantities.getCredit(task, completed, amounts),
+                        note: completed.has(task.id) ? journal.taskNotes[task.id] : undefined
+                    };
+                    if (MedicationTracker.isMedicationTask(task)) {
+                        record.medication = true;
+                        record.doses = this.tracker.medications.getTaskDoses(task.id, doses);
+                    }
+                    if (QuantityTracker.isQuantityTask(task)) {
+                        record.amount = quantities.getAmount(task, completed, amounts);
+                        record.target = task.target;
+                        record.unit = task.unit;
+                    }
+                    return record;
+                });
+
+            if (tasks.length === 0) return;
+
+            total += tasks.length;
+            done += tasks.filter(task => task.completed).length;
+            credit += tasks.reduce((sum, task) => sum + task.credit, 0);
+
+            sections[timeOfDay] = {
+                title: section.title,
+                icon: section.icon,
+                remind: section.remind,
+                tasks: tasks
+            };
+        });
+
+        return {
+            dateKey: dateKey,
+            sections: sections,
+            total: total,
+            completed: done,
+            percentage: total > 0 ? (credit / total) * 100 : 0,
+            events: log.events,
+            journal: journal
+        };
+    }
+
+    getScheduleForDate(dateKey) {
+        if (dateKey === this.tracker.getCurrentDateKey()) {
+            return this.tracker.getDaySchedule(dateKey) || {};
+        }
+
+        const stored = this.tracker.storage.getItem(this.snapshotPrefix + dateKey);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error(`Invalid schedule snapshot for ${dateKey}:`, error);
+            }
+        }
+        return this.tracker.schedule || {};
+    }
+
+    // Remember the shape of the schedule used on a given day so later edits
+    // to schedule.json don't rewrite how past days are scored
+    saveScheduleSnapshot(dateKey, schedule) {
+        if (!schedule) return;
+
+        const snapshot = {};
+        Object.keys(schedule).forEach(timeOfDay => {
+            const section = schedule[timeOfDay];
+            snapshot[timeOfDay] = {
+                title: section.title,
+                icon: section.icon,
+                remind: section.remind,
+                tasks: section.tasks.map(task => ({
+                    id: task.id,
+                    text: task.text,
+                    icon: task.icon,
+                    category: task.category,
+                    target: task.target,
+                    unit: task.unit,
+                    repeat: task.repeat,
+                    remind: task.remind,
+                    medication: task.medication
+                }))
+            };
+        });
+
+        this.tracker.storage.setItem(this.snapshotPrefix + dateKey, JSON.stringify(snapshot));
+    }
+
+    // Called before the schedule changes so days tracked without a snapshot
+    // keep being scored against the schedule they were actually tracked with
+    snapshotMissingDays(schedule) {
+        this.tracker.storage.keys().forEach(key => {
+            if (!key.startsWith(this.dayPrefix)) return;
+
+            const dateKey = key.slice(this.dayPrefix.length);
+            if (DateKeys.isDateKey(dateKey) && this.tracker.storage.getItem(this.snapshotPrefix + dateKey) === null) {
+                this.saveScheduleSnapshot(dateKey, schedule);
+            }
+        });
+    }
+
+    removeDay(dateKey) {
+        this.tracker.storage.removeItem(this.snapshotPrefix + dateKey);
+    }
+
+    getLevel(record) {
+        if (!record || record.percentage === 0) return 0;
+        if (record.percentage === 100) return 4;
+        if (record.percentage >= 75) return 3;
+        if (record.percentage >= 50) return 2;
+        return 1;
+    }
+
+    setupEventListeners() {
+        const prev = document.getElementById('historyPrev');
+        const next = document.getElementById('historyNext');
+        const modeButtons = document.querySelectorAll('.history-mode-button');
+
+        if (prev) {
+            prev.addEventListener('click', () => this.shiftView(-1));
+        }
+        if (next) {
+            next.addEventListener('click', () => this.shiftView(1));
+        }
+        modeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.viewMode = button.dataset.mode;
+                this.render();
+            });
+        });
+    }
+
+    shiftView(direction) {
+        const date = new Date(this.viewDate);
+        if (this.viewMode === 'year') {
+            date.setFullYear(date.getFullYear() + direction);
+        } else {
+            date.setDate(1);
+            date.setMonth(date.getMonth() + direction);
+        }
+        this.viewDate = date;
+        this.render();
+    }
+
+    render() {
+        const grid = document.getElementById('historyGrid');
+        const title = document.getElementById('historyTitle');
+        if (!grid || !title) return;
+
+        document.querySelectorAll('.history-mode-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === this.viewMode);
+        });
+
+        grid.innerHTML = '';
+        grid.className = `history-grid history-${this.viewMode}`;
+
+        if (this.viewMode === 'year') {
+            title.textContent = String(this.viewDate.getFullYear());
+            this.renderYear(grid);
+        } else {
+            title.textContent = this.tracker.i18n.formatDate(this.viewDate, { month: 'long', year: 'numeric' });
+            this.renderMonth(grid);
+        }
+
+        this.renderDayDetails();
+    }
+
+    renderMonth(grid) {
+        this.tracker.i18n.weekdayNames('narrow').forEach(label => {
+            const heading = document.createElement('div');
+            heading.className = 'history-weekday';
+            heading.textContent = label;
+            grid.appendChild(heading);
+        });
+
+        const year = this.viewDate.getFullYear();
+        const month = this.viewDate.getMonth();
+        const firstDay = new Date(year, month, 1);
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+        for (let i = 0; i < firstDay.getDay(); i++) {
+            const spacer = document.createElement('div');
+            spacer.className = 'history-day empty';
+            grid.appendChild(spacer);
+        }
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const cell = this.createDayCell(new Date(year, month, day));
+            cell.textContent = day;
+            grid.appendChild(cell);
+        }
+    }
+
+    renderYear(grid) {
+        const year = this.viewDate.getFullYear();
+        const start = new Date(year, 0, 1);
+        const end = new Date(year, 11, 31);
+
+        // Pad the first week so columns line up with weekdays
+        for (let i = 0; i < start.getDay(); i++) {
+            const spacer = document.createElement('div');
+            spacer.className = 'history-day empty';
+            grid.appendChild(spacer);
+        }
+
+        for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
+            grid.appendChild(this.createDayCell(new Date(date)));
+        }
+    }
+
+    createDayCell(date) {
+        const dateKey = DateKeys.format(date);
+        const record = this.days.get(dateKey);
+        const todayKey = this.tracker.getCurrentDateKey();
+
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = `history-day level-${this.getLevel(record)}`;
+        cell.dataset.date = dateKey;
+        cell.title = record
+            ? `${dateKey}: ${this.tracker.i18n.t('progress.completed', { done: record.completed, total: record.total })}`
+            : `${dateKey}: ${this.tracker.i18n.t('history.noData')}`;
+
+        if (dateKey === todayKey) {
+            cell.classList.add('today');
+        }
+        if (dateKey === this.selectedDateKey) {
+            cell.classList.add('selected');
+        }
+        if (dateKey > todayKey) {
+            cell.classList.add('future');
+            cell.disabled = true;
+        }
+
+        cell.addEventListener('click', () => {
+            this.selectedDateKey = this.selectedDateKey === dateKey ? null : dateKey;
+            this.render();
+        });
+
+        return cell;
+    }
+
+    renderDayDetails() {
+        const details = document.getElementById('historyDetails');
+        if (!details) return;
+
+        details.innerHTML = '';
+        if (!this.selectedDateKey) {
+            details.hidden = true;
+            return;
+        }
+
+        details.hidden = false;
+        const record = this.days.get(this.selectedDateKey);
+        const date = DateKeys.parse(this.selectedDateKey);
+
+        const heading = document.createElement('div');
+        heading.className = 'history-details-header';
+        heading.innerHTML = `
+            <span class="history-details-date"></span>
+            <span class="history-details-count"></span>
+        `;
+        const i18n = this.tracker.i18n;
+        heading.querySelector('.history-details-date').textContent = i18n.formatDate(date, {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric'
+        });
+        heading.querySelector('.history-details-count').textContent = record
+            ? i18n.t('progress.completed', { done: record.completed, total: record.total })
+            : i18n.t('history.noTasks');
+        details.appendChild(heading);
+
+        if (!record) return;
+
+        const checkIn = this.createCheckInSummary(record.journal);
+        if (checkIn) {
+            details.appendChild(checkIn);
+        }
+
+        Object.keys(record.sections).forEach(timeOfDay => {
+            const section = record.sections[timeOfDay];
+            const sectionDiv = document.createElement('div');
+            sectionDiv.className = `history-section ${timeOfDay}`;
+
+            const title = document.createElement('div');
+            title.className = 'history-section-title';
+            title.textContent = i18n.sectionTitle(timeOfDay, section);
+            sectionDiv.appendChild(title);
+
+            const list = document.createElement('ul');
+            list.className = 'history-task-list';
+            section.tasks.forEach(task => {
+                const item = document.createElement('li');
+                item.className = task.completed ? 'done' : 'missed';
+                item.innerHTML = `<i class="fas ${task.completed ? 'fa-check' : 'fa-xmark'}"></i> <span></span>`;
+                item.querySelector('span').textContent = task.target
+                    ? `${i18n.taskText(task)} (${this.tracker.quantities.formatAmount(task.amount, task)})`
+                    : i18n.taskText(task);
+                if (task.completedAt) {
+                    const time = document.createElement('time');
+                    time.className = 'history-task-time';
+                    time.dateTime = new Date(task.completedAt).toISOString();
+                    time.textContent = i18n.formatTime(new Date(task.completedAt));
+                    item.appendChild(time);
+                }
+                if (task.medication) {
+                    this.appendDoses(item, record.dateKey, task, section);
+                }
+                if (task.note) {
+                    const note = document.createElement('span');
+                    note.className = 'history-task-note';
+                    note.textContent = task.note;
+                    item.appendChild(note);
+                }
+                list.appendChild(item);
+            });
+            sectionDiv.appendChild(list);
+
+            details.appendChild(sectionDiv);
+        });
+
+        details.appendChild(this.tracker.timeline.create(record));
+    }
+
+    // Which doses were taken and when; an untaken medication task is
+    // marked as a missed dose rather than just an unticked task
+    appendDoses(item, dateKey, task, section) {
+        const i18n = this.tracker.i18n;
+        const medications = this.tracker.medications;
+        if (medications.isMissed(dateKey, task, section, task.completed)) {
+            item.classList.add('medication-missed');
+        }
+        if (task.doses.length === 0) return;
+
+        const doses = document.createElement('span');
+        doses.className = 'history-task-doses';
+        doses.textContent = task.doses.map(dose => dose.takenAt === null
+            ? i18n.t('medications.notTaken', { name: medications.describeDose(dose) })
+            : i18n.t('medications.takenAt', { name: medications.describeDose(dose), time: i18n.formatTime(new Date(dose.takenAt)) })
+        ).join(' · ');
+        item.appendChild(doses);
+    }
+
+    createCheckInSummary(journal) {
+        const mood = DailyJournal.moods.find(option => option.value === journal.mood);
+        const energy = DailyJournal.energyLevels.find(option => option.value === journal.energy);
+        const facts = [];
+        const i18n = this.tracker.i18n;
+        if (mood) facts.push(`${mood.emoji} ${i18n.t(`journal.moods.${mood.label}`)}`);
+        if (energy) facts.push(i18n.t('history.energy', { level: i18n.t(`journal.energyLevels.${energy.label}`) }));
+        if (journal.sleep !== null) facts.push(i18n.t('history.sleep', { hours: i18n.formatNumber(journal.sleep) }));
+
+        if (facts.length === 0 && !journal.note) return null;
+
+        const summary = document.createElement('div');
+        summary.className = 'history-check-in';
+        if (facts.length > 0) {
+            const line = document.createElement('div');
+            line.className = 'history-check-in-facts';
+            line.textContent = facts.join(' · ');
+            summary.appendChild(line);
+        }
+        if (journal.note) {
+            const note = document.createElement('p');
+            note.className = 'history-check-in-note';
+            note.textContent = journal.note;
+            summary.appendChild(note);
+        }
+        return summary;
+    }
+}
@@ -0,0 +1,195 @@
+// Daily Regulation Tracker - Language, Units & Formatting
+//
+// User-visible strings live in assets/i18n/<language>.json, flat objects of
+// "area.name" keys. Missing keys fall back to English. Placeholders are
+// written as {name}; a key with ".one"/".other" variants is picked by
+// params.count.
+//
+// Task and section names from the shipped schedule are translated by id
+// ("schedule.tasks.<id>"), but only while they still read as the English
+// original, so anything the user typed in shows up as written.
+
+class I18n {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.settingsKey = 'localeSettings';
+        this.languages = {
+            en: { name: 'English', locale: 'en-US' },
+            es: { name: 'Español', locale: 'es-ES' },
+            de: { name: 'Deutsch', locale: 'de-DE' }
+        };
+        this.settings = this.loadSettings();
+        this.messages = {};
+        this.fallback = {};
+    }
+
+    loadSettings() {
+        const browserLanguage = (navigator.language || 'en').slice(0, 2);
+        const defaults = {
+            language: this.languages[browserLanguage] ? browserLanguage : 'en',
+            temperatureUnit: 'celsius',
+            timeFormat: 'auto'
+        };
+        const stored = this.tracker.storage.getItem(this.settingsKey);
+        if (stored) {
+            try {
+                return { ...defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('Invalid locale settings:', error);
+            }
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        this.tracker.storage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    get language() {
+        return this.languages[this.settings.language] ? this.settings.language : 'en';
+    }
+
+    get locale() {
+        return this.languages[this.language].locale;
+    }
+
+    async load() {
+        try {
+            this.fallback = await this.fetchCatalog('en');
+            this.messages = this.language === 'en' ? this.fallback : await this.fetchCatalog(this.language);
+        } catch (error) {
+            console.error('Failed to load translations:', error);
+        }
+        document.documentElement.lang = this.language;
+    }
+
+    async fetchCatalog(language) {
+        const response = await fetch(`./assets/i18n/${language}.json`);
+        return response.json();
+    }
+
+    lookup(key) {
+        if (key in this.messages) return this.messages[key];
+        if (key in this.fallback) return this.fallback[key];
+        return undefined;
+    }
+
+    t(key, params = {}) {
+        let message;
+        if (params.count !== undefined) {
+            const form = new Intl.PluralRules(this.locale).select(params.count);
+            message = this.lookup(`${key}.${form}`);
+            if (message === undefined) message = this.lookup(`${key}.other`);
+        }
+        if (message === undefined) message = this.lookup(key);
+        if (message === undefined) return key;
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? params[name] : match);
+    }
+
+    taskText(task) {
+        const key = `schedule.tasks.${task.id}`;
+        return this.fallback[key] === task.text && this.lookup(key) ? this.lookup(key) : task.text;
+    }
+
+    sectionTitle(sectionKey, section) {
+        const key = `schedule.sections.${sectionKey}`;
+        return this.fallback[key] === section.title && this.lookup(key) ? this.lookup(key) : section.title;
+    }
+
+    formatDate(date, options) {
+        return date.toLocaleDateString(this.locale, options);
+    }
+
+    // "auto" leaves the clock style to the language
+    formatTime(date, options = { hour: 'numeric', minute: '2-digit' }) {
+        const hour12 = { '12h': true, '24h': false }[this.settings.timeFormat];
+        return date.toLocaleTimeString(this.locale, hour12 === undefined ? options : { ...options, hour12: hour12 });
+    }
+
+    formatNumber(value) {
+        return value.toLocaleString(this.locale);
+    }
+
+    // Names for Sunday..Saturday; "narrow" gives single letters
+    weekdayNames(style = 'short') {
+        return [0, 1, 2, 3, 4, 5, 6].map(weekday =>
+            this.formatDate(new Date(2023, 0, 1 + weekday), { weekday: style }));
+    }
+
+    // Weather always arrives in Celsius
+    toTemperatureUnit(celsius, unit = this.settings.temperatureUnit) {
+        return unit === 'fahrenheit' ? Math.round((celsius * 9 / 5) + 32) : Math.round(celsius);
+    }
+
+    formatTemperature(celsius, unit = this.settings.temperatureUnit) {
+        return `${this.toTemperatureUnit(celsius, unit)}°${unit === 'fahrenheit' ? 'F' : 'C'}`;
+    }
+
+    get secondaryTemperatureUnit() {
+        return this.settings.temperatureUnit === 'fahrenheit' ? 'celsius' : 'fahrenheit';
+    }
+
+    // Static markup opts in with data-i18n (text content) and
+    // data-i18n-placeholder / -title / -label (aria-label)
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        document.title = this.t('app.title');
+    }
+
+    setupSettingsPanel() {
+        const fields = [
+            {
+                id: 'languageSelect',
+                setting: 'language',
+                options: Object.keys(this.languages).map(code => [code, this.languages[code].name])
+            },
+            {
+                id: 'temperatureUnitSelect',
+                setting: 'temperatureUnit',
+                options: [['celsius', '°C'], ['fahrenheit', '°F']]
+            },
+            {
+                id: 'timeFormatSelect',
+                setting: 'timeFormat',
+                options: [
+                    ['auto', this.t('settings.timeAuto')],
+                    ['12h', this.t('settings.time12h')],
+                    ['24h', this.t('settings.time24h')]
+                ]
+            }
+        ];
+
+        fields.forEach(field => {
+            const select = document.getElementById(field.id);
+            if (!select) return;
+
+            field.options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = this.settings[field.setting];
+
+            select.addEventListener('change', () => {
+                this.settings[field.setting] = select.value;
+                this.saveSettings();
+                // Strings and formats are baked into everything on screen
+                this.tracker.reload();
+            });
+        });
+    }
+}
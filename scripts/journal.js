@@ -0,0 +1,209 @@
+// Daily Regulation Tracker - Daily Check-in Journal
+//
+// Mood, energy, sleep and a free-text note for the day, plus short notes on
+// completed tasks ("10mg", "30 min run"). Stored per day under
+// journal_<date>, next to the day's completions.
+
+class DailyJournal {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.prefix = 'journal_';
+        this.entry = this.createEmptyEntry();
+        this.savedTimer = null;
+    }
+
+    // Labels are translation keys: "journal.moods.<label>" and
+    // "journal.energyLevels.<label>"
+    static get moods() {
+        return [
+            { value: 1, emoji: '😞', label: 'awful' },
+            { value: 2, emoji: '🙁', label: 'low' },
+            { value: 3, emoji: '😐', label: 'okay' },
+            { value: 4, emoji: '🙂', label: 'good' },
+            { value: 5, emoji: '😄', label: 'great' }
+        ];
+    }
+
+    static get energyLevels() {
+        return [
+            { value: 1, icon: 'fa-battery-empty', label: 'drained' },
+            { value: 2, icon: 'fa-battery-quarter', label: 'tired' },
+            { value: 3, icon: 'fa-battery-half', label: 'steady' },
+            { value: 4, icon: 'fa-battery-three-quarters', label: 'energised' },
+            { value: 5, icon: 'fa-battery-full', label: 'buzzing' }
+        ];
+    }
+
+    createEmptyEntry() {
+        return { mood: null, energy: null, sleep: null, note: '', taskNotes: {} };
+    }
+
+    load() {
+        this.entry = this.loadDay(this.tracker.getCurrentDateKey());
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+
+    loadDay(dateKey) {
+        const stored = this.tracker.storage.getItem(this.prefix + dateKey);
+        if (stored) {
+            try {
+                return { ...this.createEmptyEntry(), ...JSON.parse(stored) };
+            } catch (error) {
+                console.error(`Invalid journal entry for ${dateKey}:`, error);
+            }
+        }
+        return this.createEmptyEntry();
+    }
+
+    save() {
+        const key = this.prefix + this.tracker.getCurrentDateKey();
+        if (this.isEmpty(this.entry)) {
+            this.tracker.storage.removeItem(key);
+        } else {
+            this.tracker.storage.setItem(key, JSON.stringify(this.entry));
+        }
+        this.showSaved();
+    }
+
+    isEmpty(entry) {
+        return entry.mood === null && entry.energy === null && entry.sleep === null &&
+            !entry.note && Object.keys(entry.taskNotes).length === 0;
+    }
+
+    getTaskNote(taskId) {
+        return this.entry.taskNotes[taskId] || '';
+    }
+
+    setTaskNote(taskId, note) {
+        if (note) {
+            this.entry.taskNotes[taskId] = note;
+        } else {
+            delete this.entry.taskNotes[taskId];
+        }
+        this.save();
+    }
+
+    clearTaskNotes() {
+        this.entry.taskNotes = {};
+        this.save();
+    }
+
+    setupEventListeners() {
+        const sleepInput = document.getElementById('journalSleep');
+        const noteInput = document.getElementById('journalNote');
+
+        if (sleepInput) {
+            sleepInput.addEventListener('input', () => {
+                const hours = parseFloat(sleepInput.value);
+                this.entry.sleep = hours >= 0 && hours <= 24 ? hours : null;
+                this.save();
+            });
+        }
+        if (noteInput) {
+            noteInput.addEventListener('input', () => {
+                this.entry.note = noteInput.value;
+                this.save();
+            });
+        }
+    }
+
+    render() {
+        this.renderScale('journalMood', 'mood', 'journal.moods', DailyJournal.moods, (option, button) => {
+            button.textContent = option.emoji;
+        });
+        this.renderScale('journalEnergy', 'energy', 'journal.energyLevels', DailyJournal.energyLevels, (option, button) => {
+            button.innerHTML = `<i class="fas ${option.icon}"></i>`;
+        });
+
+        const sleepInput = document.getElementById('journalSleep');
+        const noteInput = document.getElementById('journalNote');
+        if (sleepInput) {
+            sleepInput.value = this.entry.sleep === null ? '' : this.entry.sleep;
+        }
+        if (noteInput) {
+            noteInput.value = this.entry.note;
+        }
+    }
+
+    renderScale(containerId, field, labelPrefix, options, renderOption) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+        options.forEach(option => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'journal-option';
+            const label = this.tracker.i18n.t(`${labelPrefix}.${option.label}`);
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.setAttribute('aria-pressed', String(this.entry[field] === option.value));
+            button.classList.toggle('selected', this.entry[field] === option.value);
+            renderOption(option, button);
+
+            // Picking the selected value again clears it
+            button.addEventListener('click', () => {
+                this.entry[field] = this.entry[field] === option.value ? null : option.value;
+                this.save();
+                this.render();
+            });
+            container.appendChild(button);
+        });
+    }
+
+    showSaved() {
+        const indicator = document.getElementById('journalSaved');
+        if (!indicator) return;
+
+        indicator.hidden = false;
+        clearTimeout(this.savedTimer);
+        this.savedTimer = setTimeout(() => {
+            indicator.hidden = true;
+        }, 1500);
+    }
+
+    // Note button on a task row; only shown once the task is done
+    setupTaskItem(li, task) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'task-note-button';
+        const i18n = this.tracker.i18n;
+        button.title = i18n.t('journal.addNote');
+        button.setAttribute('aria-label', i18n.t('journal.noteFor', { task: i18n.taskText(task) }));
+        button.innerHTML = '<i class="fas fa-note-sticky"></i>';
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.editTaskNote(task);
+        });
+        li.insertBefore(button, li.querySelector('.task-streak'));
+
+        this.updateTaskItem(li, task.id);
+    }
+
+    updateTaskItem(li, taskId) {
+        const note = this.getTaskNote(taskId);
+        const completed = this.tracker.completedTasks.has(taskId);
+        const noteElement = li.querySelector('.task-note');
+
+        noteElement.textContent = note;
+        noteElement.hidden = !completed || !note;
+        li.querySelector('.task-note-button').hidden = !completed;
+    }
+
+    editTaskNote(task) {
+        const i18n = this.tracker.i18n;
+        const note = prompt(i18n.t('journal.notePrompt', { task: i18n.taskText(task) }), this.getTaskNote(task.id));
+        if (note === null) return;
+
+        this.setTaskNote(task.id, note.trim());
+        const li = document.querySelector(`[data-task-id="${task.id}"]`);
+        if (li) {
+            this.updateTaskItem(li, task.id);
+        }
+        this.tracker.history.refresh();
+    }
+}
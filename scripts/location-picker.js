@@ -0,0 +1,285 @@
+// Daily Regulation Tracker - Location Picker
+//
+// Chooses the place the weather is shown for: search with a list of matches
+// to pick from, the device's current position, or a saved favorite. The
+// choice is kept (weatherLocation) until another one is made.
+
+class LocationPicker {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.storageKey = 'weatherLocation';
+        this.favoritesKey = 'favoriteLocations';
+        this.legacyPrefix = 'weather_location_';
+        this.searchDelay = 300;
+        this.resultLimit = 8;
+        this.favorites = this.loadFavorites();
+        this.overlay = null;
+        this.results = [];
+        this.searchTimer = null;
+        this.searchId = 0;
+    }
+
+    // The saved choice, else the profile's default, else the built-in one
+    load() {
+        this.migrateDailyLocations();
+
+        const stored = this.tracker.storage.getItem(this.storageKey);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error('Invalid weather location:', error);
+            }
+        }
+        return this.tracker.defaultCoordinates;
+    }
+
+    save(location) {
+        this.tracker.storage.setItem(this.storageKey, JSON.stringify(location));
+    }
+
+    // Locations used to be picked per day (weather_location_<date>) and
+    // dropped at midnight; keep today's pick, if any, as the saved choice
+    migrateDailyLocations() {
+        const storage = this.tracker.storage;
+        const legacyKeys = storage.keys().filter(key => key.startsWith(this.legacyPrefix));
+        if (legacyKeys.length === 0) return;
+
+        const today = storage.getItem(this.legacyPrefix + this.tracker.getCurrentDateKey());
+        if (today && storage.getItem(this.storageKey) === null) {
+            storage.setItem(this.storageKey, today);
+        }
+        legacyKeys.forEach(key => storage.removeItem(key));
+    }
+
+    loadFavorites() {
+        const stored = this.tracker.storage.getItem(this.favoritesKey);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error('Invalid favorite locations:', error);
+            }
+        }
+        return [];
+    }
+
+    saveFavorites() {
+        this.tracker.storage.setItem(this.favoritesKey, JSON.stringify(this.favorites));
+    }
+
+    static isSamePlace(a, b) {
+        return Math.abs(a.latitude - b.latitude) < 0.01 && Math.abs(a.longitude - b.longitude) < 0.01;
+    }
+
+    isFavorite(location) {
+        return this.favorites.some(favorite => LocationPicker.isSamePlace(favorite, location));
+    }
+
+    toggleFavorite(location) {
+        if (this.isFavorite(location)) {
+            this.favorites = this.favorites.filter(favorite => !LocationPicker.isSamePlace(favorite, location));
+        } else {
+            this.favorites.push(LocationPicker.toLocation(location));
+        }
+        this.saveFavorites();
+        this.renderDialog();
+    }
+
+    static toLocation(place) {
+        return {
+            name: place.name,
+            detail: place.detail || '',
+            latitude: place.latitude,
+            longitude: place.longitude
+        };
+    }
+
+    async choose(place) {
+        const location = LocationPicker.toLocation(place);
+        this.save(location);
+        this.tracker.currentCoordinates = location;
+        this.closeDialog();
+        await this.tracker.loadWeather();
+    }
+
+    // Every match, so ambiguous names ("Springfield") can be told apart
+    async search(query) {
+        const language = this.tracker.i18n.language;
+        try {
+            const response = await fetch(`${this.tracker.api.geocode}?name=${encodeURIComponent(query)}&count=${this.resultLimit}&language=${language}&format=json`);
+            if (response.ok) {
+                const data = await response.json();
+                return (data.results || []).map(result => ({
+                    name: result.name,
+                    detail: [result.admin1, result.country].filter(Boolean).join(', '),
+                    latitude: result.latitude,
+                    longitude: result.longitude
+                }));
+            }
+        } catch (error) {
+            console.error('Geocoding error:', error);
+        }
+
+        // Alternative geocoding approach using OpenStreetMap Nominatim
+        const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=${this.resultLimit}&accept-language=${language}`);
+        if (!response.ok) {
+            throw new Error(`Geocoding failed with status ${response.status}`);
+        }
+        const data = await response.json();
+        return data.map(result => {
+            const [name, ...rest] = result.display_name.split(', ');
+            return {
+                name: name,
+                detail: rest.join(', '),
+                latitude: parseFloat(result.lat),
+                longitude: parseFloat(result.lon)
+            };
+        });
+    }
+
+    async useCurrentPosition() {
+        const i18n = this.tracker.i18n;
+        this.setStatus(i18n.t('location.locating'));
+        try {
+            const position = await this.tracker.getCurrentPosition();
+            const { latitude, longitude } = position.coords;
+            const name = await this.tracker.getLocationName(latitude, longitude);
+            await this.choose({ name: name, latitude: latitude, longitude: longitude });
+        } catch (error) {
+            console.error('Could not get current position:', error);
+            // 1 is PERMISSION_DENIED
+            this.setStatus(i18n.t(error.code === 1 ? 'location.denied' : 'location.positionFailed'));
+        }
+    }
+
+    scheduleSearch(query) {
+        clearTimeout(this.searchTimer);
+        const searchId = ++this.searchId;
+
+        if (query.length < 2) {
+            this.results = [];
+            this.setStatus('');
+            this.renderDialog();
+            return;
+        }
+
+        this.searchTimer = setTimeout(async () => {
+            this.setStatus(this.tracker.i18n.t('location.searching'));
+            try {
+                const results = await this.search(query);
+                // A slower answer to an older query must not replace a newer one
+                if (searchId !== this.searchId) return;
+                this.results = results;
+                this.setStatus(results.length === 0 ? this.tracker.i18n.t('location.noResults') : '');
+            } catch (error) {
+                if (searchId !== this.searchId) return;
+                console.error('Location search failed:', error);
+                this.results = [];
+                this.setStatus(this.tracker.i18n.t('location.searchFailed'));
+            }
+            this.renderDialog();
+        }, this.searchDelay);
+    }
+
+    setStatus(message) {
+        if (!this.overlay) return;
+        const status = this.overlay.querySelector('.location-status');
+        status.textContent = message;
+        status.hidden = !message;
+    }
+
+    openDialog() {
+        const i18n = this.tracker.i18n;
+        this.results = [];
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal-dialog location-dialog" role="dialog" aria-modal="true" aria-labelledby="locationTitle">
+                <h3 id="locationTitle">${i18n.t('location.title')}</h3>
+                <input type="search" class="location-search" placeholder="${i18n.t('location.searchPlaceholder')}" aria-label="${i18n.t('location.searchPlaceholder')}">
+                <button type="button" class="editor-button location-current">
+                    <i class="fas fa-location-crosshairs"></i> ${i18n.t('location.useCurrent')}
+                </button>
+                <p class="location-status" role="status" hidden></p>
+                <ul class="location-list location-results"></ul>
+                <h4 class="location-heading">${i18n.t('location.favorites')}</h4>
+                <ul class="location-list location-favorites"></ul>
+                <div class="modal-actions">
+                    <button type="button" class="editor-button primary" data-action="close">${i18n.t('common.close')}</button>
+                </div>
+            </div>
+        `;
+
+        const searchInput = this.overlay.querySelector('.location-search');
+        searchInput.addEventListener('input', () => this.scheduleSearch(searchInput.value.trim()));
+        this.overlay.querySelector('.location-current').addEventListener('click', () => this.useCurrentPosition());
+        this.overlay.querySelector('[data-action="close"]').addEventListener('click', () => this.closeDialog());
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.closeDialog();
+        });
+        this.overlay.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.closeDialog();
+        });
+
+        document.body.appendChild(this.overlay);
+        this.renderDialog();
+        searchInput.focus();
+    }
+
+    closeDialog() {
+        clearTimeout(this.searchTimer);
+        this.searchId++;
+        if (this.overlay) {
+            document.body.removeChild(this.overlay);
+            this.overlay = null;
+        }
+    }
+
+    renderDialog() {
+        if (!this.overlay) return;
+
+        // Before searching, offer the current choice so it can be starred
+        const current = this.tracker.currentCoordinates;
+        const results = this.results.length > 0 || !current.name ? this.results : [current];
+        this.renderList(this.overlay.querySelector('.location-results'), results);
+
+        const favorites = this.overlay.querySelector('.location-favorites');
+        this.renderList(favorites, this.favorites);
+        if (this.favorites.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'location-empty';
+            empty.textContent = this.tracker.i18n.t('location.noFavorites');
+            favorites.appendChild(empty);
+        }
+    }
+
+    renderList(list, places) {
+        const i18n = this.tracker.i18n;
+        const current = this.tracker.currentCoordinates;
+        list.innerHTML = '';
+
+        places.forEach(place => {
+            const favorite = this.isFavorite(place);
+            const item = document.createElement('li');
+            item.className = 'location-item';
+            item.classList.toggle('active', LocationPicker.isSamePlace(place, current));
+            item.innerHTML = `
+                <button type="button" class="location-option">
+                    <span class="location-option-name"></span>
+                    <span class="location-option-detail"></span>
+                </button>
+                <button type="button" class="editor-icon-button location-favorite" aria-pressed="${favorite}"
+                    title="${i18n.t(favorite ? 'location.removeFavorite' : 'location.addFavorite')}">
+                    <i class="fas fa-star"></i>
+                </button>
+            `;
+            item.querySelector('.location-option-name').textContent = place.name;
+            item.querySelector('.location-option-detail').textContent = place.detail || '';
+
+            item.querySelector('.location-option').addEventListener('click', () => this.choose(place));
+            item.querySelector('.location-favorite').addEventListener('click', () => this.toggleFavorite(place));
+            list.appendChild(item);
+        });
+    }
+}
@@ -1,111 +1,241 @@
 // Daily Regulation Tracker - Main JavaScript
 
 class DailyTracker {
-    constructor() {
+    constructor(store) {
+        this.clock = new TrackerClock();
+        this.store = store;
+        this.store.onError = () => this.showError(this.i18n.t('errors.storage'));
+        this.store.onChange = keys => this.applyStoredChanges(keys);
+        // Everything below reads and writes the active profile's data
+        this.profiles = new ProfileManager(this, store);
+        this.storage = this.profiles.storage;
+        this.dateKeys = new DateKeys({ storage: this.storage });
+        this.i18n = new I18n(this);
+        this.accessibility = new AccessibilitySettings(this);
+        this.toast = new Toast();
+        this.undo = new UndoHistory(this);
         this.schedule = null;
+        this.completionLog = new CompletionLog(this);
+        this.sync = new TrackerSync(this);
         this.completedTasks = new Set();
+        this.completionDay = CompletionLog.createDay();
         this.storageKey = 'dailyTracker_' + this.getCurrentDateKey();
-        // Default location: 39°41'51.8"N 104°53'43.9"W (converted to decimal)
-        this.defaultCoordinates = {
+        // Default location: 39°41'51.8"N 104°53'43.9"W (converted to decimal),
+        // unless the profile has its own
+        this.defaultCoordinates = this.profiles.getDefaultCoordinates() || {
             latitude: 39.697722,
             longitude: -104.895528
         };
-        this.currentCoordinates = this.getStoredCoordinates();
+        this.locations = new LocationPicker(this);
+        this.currentCoordinates = this.locations.load();
+        this.weatherCacheKey = 'weather_cache';
+        this.errorDetailLimit = 8;
+        // A page can point these at a local stand-in by defining
+        // window.DAILY_CARE_API before this script loads
+        this.api = {
+            forecast: 'https://api.open-meteo.com/v1/forecast',
+            geocode: 'https://geocoding-api.open-meteo.com/v1/search',
+            reverseGeocode: 'https://api.bigdatacloud.net/data/reverse-geocode-client',
+            // No quote API unless a page sets one; quotes.js explains the format
+            quotes: null,
+            ...(window.DAILY_CARE_API || {})
+        };
+        this.forecast = new WeatherForecast(this);
+        this.quotes = new QuoteLibrary(this);
+        this.quantities = new QuantityTracker(this);
+        this.medications = new MedicationTracker(this);
+        this.taskTimer = new TaskTimer(this);
+        this.journal = new DailyJournal(this);
+        this.history = new TrackerHistory(this);
+        this.timeline = new DayTimeline(this);
+        this.stats = new TrackerStats(this);
+        this.streaks = new StreakTracker(this);
+        this.achievements = new AchievementTracker(this);
+        this.scheduleEditor = new ScheduleEditor(this);
+        this.reminders = new ReminderScheduler(this, this.clock);
+        this.backup = new DataBackup(this);
         this.init();
     }
 
     async init() {
+        await this.i18n.load();
+        this.i18n.translatePage();
         await this.loadSchedule();
+        this.dateKeys.migrateUtcKeys(this.schedule);
+        this.completionLog.migrate();
         this.loadCompletedTasks();
+        this.undo.load();
+        this.quantities.load();
+        this.medications.load();
+        this.journal.load();
         this.renderSchedule();
         this.updateDateDisplay();
+        this.profiles.render();
         this.loadWeather();
-        this.loadDailyQuote();
+        this.quotes.init();
         this.updateProgress();
+        this.history.init();
+        this.stats.init();
+        this.streaks.init();
+        this.achievements.init();
+        this.journal.init();
+        this.medications.init();
         this.setupEventListeners();
+        this.reminders.init();
+        this.sync.init();
         this.setupMidnightRefresh();
     }
 
     getCurrentDateKey() {
-        return new Date().toISOString().split('T')[0];
-    }
-
-    getStoredCoordinates() {
-        const today = this.getCurrentDateKey();
-        const stored = localStorage.getItem(`weather_location_${today}`);
-        if (stored) {
-            return JSON.parse(stored);
-        }
-        return this.defaultCoordinates;
-    }
-
-    setStoredCoordinates(coordinates) {
-        const today = this.getCurrentDateKey();
-        localStorage.setItem(`weather_location_${today}`, JSON.stringify(coordinates));
-        this.currentCoordinates = coordinates;
+        return this.dateKeys.keyFor(this.clock.now());
     }
 
     updateDateDisplay() {
-        const now = new Date();
+        // Before the configured day start this still shows yesterday
+        const now = DateKeys.parse(this.getCurrentDateKey());
         const options = { 
             weekday: 'long', 
             year: 'numeric', 
             month: 'long', 
             day: 'numeric' 
         };
-        const dateString = now.toLocaleDateString('en-US', options);
+        const dateString = this.i18n.formatDate(now, options);
         document.getElementById('dateDisplay').textContent = dateString;
     }
 
     async loadSchedule() {
+        // A schedule edited in the app wins over the shipped template, as
+        // long as it passes the schema
+        const customSchedule = this.scheduleEditor.loadCustomSchedule();
+        if (customSchedule && this.checkSchedule(customSchedule, 'errors.customScheduleInvalid')) {
+            this.schedule = customSchedule;
+            return;
+        }
+        // Saved, but not JSON or not an object at all (null, a list, ...)
+        if (!customSchedule && this.storage.getItem(this.scheduleEditor.storageKey) !== null) {
+            this.showError(this.i18n.t('errors.customScheduleInvalid'));
+        }
+
         try {
-            const response = await fetch('./assets/schedule.json');
-            this.schedule = await response.json();
+            const schedule = await this.fetchDefaultSchedule();
+            if (this.checkSchedule(schedule, 'errors.scheduleInvalid')) {
+                this.schedule = schedule;
+            }
         } catch (error) {
             console.error('Failed to load schedule:', error);
-            this.showError('Failed to load schedule data');
+            this.showError(this.i18n.t('errors.scheduleLoad'));
         }
     }
 
+    checkSchedule(schedule, messageKey) {
+        const problems = ScheduleSchema.validate(schedule);
+        if (problems.length === 0) return true;
+
+        this.showError(this.i18n.t(messageKey), {
+            details: problems.map(problem => ScheduleSchema.describe(problem, this.i18n))
+        });
+        return false;
+    }
+
+    async fetchDefaultSchedule() {
+        const response = await fetch('./assets/schedule.json');
+        return response.json();
+    }
+
+    refreshAfterScheduleChange() {
+        this.medications.updateDueDoses();
+        this.renderSchedule();
+        this.updateProgress();
+        this.history.refresh();
+        this.stats.refresh();
+        this.streaks.refresh();
+        this.streaks.render();
+        this.achievements.refresh();
+        this.reminders.check();
+        this.medications.render();
+    }
+
     loadCompletedTasks() {
-        const saved = localStorage.getItem(this.storageKey);
-        if (saved) {
-            this.completedTasks = new Set(JSON.parse(saved));
-        }
+        this.completionDay = this.completionLog.loadDay(this.getCurrentDateKey());
+        this.completedTasks = new Set(CompletionLog.completedIds(this.completionDay));
     }
 
     saveCompletedTasks() {
-        localStorage.setItem(this.storageKey, JSON.stringify([...this.completedTasks]));
+        this.storage.setItem(this.storageKey, JSON.stringify(this.completionDay));
+        this.history.saveScheduleSnapshot(this.getCurrentDateKey(), this.getDaySchedule(this.getCurrentDateKey()));
+        this.sync.sync();
+    }
+
+    // Another tab ticked or unticked something today; it saved the day
+    // already, so this only catches up
+    applyStoredChanges(keys) {
+        if (!this.schedule || !keys.includes(this.storage.prefix + this.storageKey)) return;
+
+        this.loadCompletedTasks();
+        this.refreshAfterScheduleChange();
+    }
+
+    // Another device ticked or unticked something today
+    applySyncedCompletions() {
+        this.completedTasks = new Set(CompletionLog.completedIds(this.completionDay));
+        this.storage.setItem(this.storageKey, JSON.stringify(this.completionDay));
+        this.refreshAfterScheduleChange();
+    }
+
+    // The schedule plus anything the weather added for that day
+    getDaySchedule(dateKey) {
+        const weatherSection = this.forecast.getSection(dateKey);
+        if (!weatherSection) return this.schedule;
+
+        return { ...this.schedule, [this.forecast.sectionKey]: weatherSection };
     }
 
     renderSchedule() {
-        if (!this.schedule) return;
+        if (!this.schedule || this.scheduleEditor.isEditing()) return;
 
         const container = document.getElementById('scheduleContainer');
         container.innerHTML = '';
 
-        Object.keys(this.schedule).forEach((timeOfDay, index) => {
-            const section = this.schedule[timeOfDay];
-            const sectionElement = this.createScheduleSection(timeOfDay, section);
+        const dateKey = this.getCurrentDateKey();
+        const schedule = this.getDaySchedule(dateKey);
+
+        Object.keys(schedule).forEach((timeOfDay, index) => {
+            const section = schedule[timeOfDay];
+            const tasks = this.getTasksForDate(section, dateKey);
+
+            // Sections with nothing scheduled today are left out entirely
+            if (tasks.length === 0) return;
+
+            const sectionElement = this.createScheduleSection(timeOfDay, section, tasks);
             container.appendChild(sectionElement);
         });
     }
 
-    createScheduleSection(timeOfDay, section) {
+    getTasksForDate(section, dateKey) {
+        return section.tasks.filter(task => TaskRecurrence.appliesOn(task.repeat, dateKey));
+    }
+
+    createScheduleSection(timeOfDay, section, tasks) {
         const sectionDiv = document.createElement('div');
         sectionDiv.className = `schedule-section ${timeOfDay}`;
+        if (section.color) {
+            sectionDiv.classList.add('themed');
+            sectionDiv.style.setProperty('--section-color', section.color);
+        }
 
         const header = document.createElement('div');
         header.className = 'section-header';
         header.innerHTML = `
-            <i class="fas ${section.icon}"></i>
-            <span>${section.title}</span>
+            <i class="fas"></i>
+            <span></span>
         `;
+        header.querySelector('i').className = `fas ${section.icon}`;
+        header.querySelector('span').textContent = this.i18n.sectionTitle(timeOfDay, section);
 
         const taskList = document.createElement('ul');
         taskList.className = 'task-list';
 
-        section.tasks.forEach(task => {
+        tasks.forEach(task => {
             const taskItem = this.createTaskItem(task);
             taskList.appendChild(taskItem);
         });
@@ -126,59 +256,122 @@ class DailyTracker {
             li.classList.add('completed');
         }
 
+        // The checkbox is the focusable control; clicking anywhere on the row
+        // still toggles it for pointer users. Nothing from the schedule goes
+        // into the markup itself.
         li.innerHTML = `
-            <div class="task-checkbox ${isCompleted ? 'checked' : ''}">
-                ${isCompleted ? '<i class="fas fa-check"></i>' : ''}
+            <button type="button" class="task-checkbox" role="checkbox"></button>
+            <div class="task-icon" aria-hidden="true">
+                <i class="fas"></i>
             </div>
-            <div class="task-icon">
-                <i class="fas ${task.icon}"></i>
+            <div class="task-body">
+                <span class="task-text"></span>
+                <span class="task-note" hidden></span>
             </div>
-            <span class="task-text">${task.text}</span>
+            <span class="task-streak" hidden></span>
         `;
+        const checkbox = li.querySelector('.task-checkbox');
+        checkbox.classList.toggle('checked', isCompleted);
+        checkbox.setAttribute('aria-checked', isCompleted);
+        checkbox.setAttribute('aria-labelledby', `task-text-${task.id}`);
+        if (isCompleted) {
+            checkbox.innerHTML = '<i class="fas fa-check"></i>';
+        }
+        li.querySelector('.task-icon i').className = `fas ${task.icon}`;
+        li.querySelector('.task-text').id = `task-text-${task.id}`;
+        li.querySelector('.task-text').textContent = this.i18n.taskText(task);
+
+        this.journal.setupTaskItem(li, task);
+        this.forecast.setupTaskItem(li, task);
+        if (MedicationTracker.isMedicationTask(task)) {
+            this.medications.setupTaskItem(li, task);
+        }
+        // A quantity task is done by reaching its target, not by time
+        if (TaskTimer.isTimedTask(task) && !QuantityTracker.isQuantityTask(task)) {
+            this.taskTimer.setupTaskItem(li, task);
+        }
 
-        li.addEventListener('click', () => this.toggleTask(task.id));
+        if (QuantityTracker.isQuantityTask(task)) {
+            this.quantities.setupTaskItem(li, task);
+        } else {
+            li.addEventListener('click', () => this.toggleTask(task.id));
+        }
 
         return li;
     }
 
     toggleTask(taskId) {
+        const completed = !this.completedTasks.has(taskId);
+        this.setTaskCompleted(taskId, completed);
+        this.undo.record({ type: 'toggle', taskId: taskId, completed: completed });
+    }
+
+    setTaskCompleted(taskId, completed, celebrate = true) {
+        // "Done" on a reminder can arrive while the task has no row, e.g.
+        // while the schedule editor has the list; the tick is still recorded
         const taskElement = document.querySelector(`[data-task-id="${taskId}"]`);
-        const checkbox = taskElement.querySelector('.task-checkbox');
 
-        if (this.completedTasks.has(taskId)) {
-            this.completedTasks.delete(taskId);
-            taskElement.classList.remove('completed');
-            checkbox.classList.remove('checked');
-            checkbox.innerHTML = '';
-        } else {
+        if (completed) {
             this.completedTasks.add(taskId);
-            taskElement.classList.add('completed');
-            checkbox.classList.add('checked');
-            checkbox.innerHTML = '<i class="fas fa-check"></i>';
-            
-            // Add celebration animation
-            this.celebrateTaskCompletion(taskElement);
+        } else {
+            this.completedTasks.delete(taskId);
+        }
+
+        const event = CompletionLog.record(this.completionDay, taskId, completed, this.clock.now().getTime(), this.sync.deviceId);
+        this.sync.enqueue(this.getCurrentDateKey(), event);
+        this.medications.onTaskCompleted(taskId, completed);
+
+        if (taskElement) {
+            this.updateTaskElement(taskElement, taskId, completed);
         }
 
         this.saveCompletedTasks();
         this.updateProgress();
+        this.announceProgress();
+        this.history.refresh();
+        this.stats.refresh();
+        this.streaks.refresh();
+        this.streaks.render();
+        const rewards = this.achievements.refresh();
+        this.reminders.check();
+
+        // Celebrate after streaks are refreshed so milestones see today's tick
+        if (completed && celebrate && taskElement) {
+            this.celebrateTaskCompletion(taskElement, taskId, rewards);
+        }
     }
 
-    celebrateTaskCompletion(taskElement) {
-        // Get current progress percentage
-        const totalTasks = Object.values(this.schedule)
-            .reduce((total, section) => total + section.tasks.length, 0);
-        const completedCount = this.completedTasks.size;
-        const percentage = totalTasks > 0 ? (completedCount / totalTasks) * 100 : 0;
+    updateTaskElement(taskElement, taskId, completed) {
+        const checkbox = taskElement.querySelector('.task-checkbox');
+        taskElement.classList.toggle('completed', completed);
+        this.journal.updateTaskItem(taskElement, taskId);
+        this.taskTimer.updateTaskItem(taskElement, taskId);
+
+        // Quantity tasks show a progress ring instead of a checkbox
+        if (checkbox) {
+            checkbox.classList.toggle('checked', completed);
+            checkbox.setAttribute('aria-checked', completed);
+            checkbox.innerHTML = completed ? '<i class="fas fa-check"></i>' : '';
+        } else {
+            this.quantities.updateTaskItem(taskId);
+        }
+    }
 
-        // Basic bounce animation
-        taskElement.style.transform = 'scale(1.05)';
-        setTimeout(() => {
-            taskElement.style.transform = '';
-        }, 200);
+    // The toast already says which task it was
+    announceProgress() {
+        const { totalTasks, completedCount } = this.getProgressStats();
+        this.accessibility.announce(this.i18n.t('progress.completed', { done: completedCount, total: totalTasks }));
+    }
+
+    celebrateTaskCompletion(taskElement, taskId, rewards = []) {
+        // Get current progress percentage
+        const { percentage } = this.getProgressStats();
 
-        // Progressive celebration based on completion percentage
-        if (percentage >= 80) {
+        // Progressive celebration based on completion percentage, or just a
+        // soft glow on the row when motion is reduced
+        if (this.accessibility.reduceMotion) {
+            this.createGentleCelebration(taskElement);
+        } else if (percentage >= 80) {
             this.createMegaCelebration(taskElement);
         } else if (percentage >= 50) {
             this.createBigCelebration(taskElement);
@@ -186,16 +379,45 @@ class DailyTracker {
             this.createBasicCelebration(taskElement);
         }
 
+        if (!this.accessibility.reduceMotion) {
+            // Basic bounce animation
+            taskElement.style.transform = 'scale(1.05)';
+            setTimeout(() => {
+                taskElement.style.transform = '';
+            }, 200);
+        }
+
+        // New achievements and levels take priority over streak milestones,
+        // and those over the daily percentage ones
+        const perfectMilestone = percentage === 100
+            ? this.streaks.getMilestone(this.streaks.perfectStreak.current)
+            : null;
+        const taskMilestone = this.streaks.getMilestone(this.streaks.getTaskStreak(taskId).current);
+
         // Special milestone celebrations
-        if (percentage === 50) {
-            this.showMilestoneMessage("Halfway there! 🎉", "great");
+        if (rewards.length > 0) {
+            this.showMilestoneMessage(rewards.map(reward => this.achievements.describe(reward)).join('\n'), "achievement");
+        } else if (perfectMilestone) {
+            this.showMilestoneMessage(this.i18n.t('milestones.perfectStreak', { count: perfectMilestone }), "streak");
+        } else if (taskMilestone) {
+            const taskText = taskElement.querySelector('.task-text').textContent;
+            this.showMilestoneMessage(this.i18n.t('milestones.taskStreak', { count: taskMilestone, task: taskText }), "streak");
+        } else if (percentage === 50) {
+            this.showMilestoneMessage(this.i18n.t('milestones.halfway'), "great");
         } else if (percentage === 80) {
-            this.showMilestoneMessage("Almost done! You're crushing it! 🚀", "amazing");
+            this.showMilestoneMessage(this.i18n.t('milestones.almostDone'), "amazing");
         } else if (percentage === 100) {
-            this.showMilestoneMessage("Perfect day completed! 🏆✨", "perfect");
+            this.showMilestoneMessage(this.i18n.t('milestones.perfectDay'), "perfect");
         }
     }
 
+    createGentleCelebration(taskElement) {
+        taskElement.classList.add('gentle-celebration');
+        setTimeout(() => {
+            taskElement.classList.remove('gentle-celebration');
+        }, 1200);
+    }
+
     createBasicCelebration(taskElement) {
         this.createConfetti(taskElement, {
             count: 3,
@@ -395,11 +617,16 @@ class DailyTracker {
         const milestone = document.createElement('div');
         milestone.className = `milestone-message milestone-${type}`;
         milestone.textContent = message;
-        
+        // Screen readers hear it through the live region instead
+        milestone.setAttribute('aria-hidden', 'true');
+        this.accessibility.announce(message);
+
         const colors = {
             great: '#4CAF50',
             amazing: '#FF9800', 
-            perfect: '#9C27B0'
+            perfect: '#9C27B0',
+            streak: '#E65100',
+            achievement: '#B8860B'
         };
 
         milestone.style.cssText = `
@@ -414,6 +641,7 @@ class DailyTracker {
             font-size: 18px;
             font-weight: bold;
             text-align: center;
+            white-space: pre-line;
             box-shadow: 0 10px 30px rgba(0,0,0,0.3);
             z-index: 10000;
             pointer-events: none;
@@ -421,6 +649,20 @@ class DailyTracker {
 
         document.body.appendChild(milestone);
 
+        // With reduced motion the message only fades in and out
+        if (this.accessibility.reduceMotion) {
+            milestone.animate([{ opacity: 0 }, { opacity: 1 }], { duration: 300 });
+            setTimeout(() => {
+                milestone.animate([{ opacity: 1 }, { opacity: 0 }], { duration: 300 });
+            }, 2000);
+            setTimeout(() => {
+                if (milestone.parentNode) {
+                    milestone.parentNode.removeChild(milestone);
+                }
+            }, 2300);
+            return;
+        }
+
         milestone.animate([
             { 
                 transform: 'translate(-50%, -50%) scale(0)',
@@ -463,18 +705,34 @@ class DailyTracker {
         }, 2300);
     }
 
+    // Only tasks scheduled for today count. Completions of tasks that have
+    // since been removed stay in storage but don't count towards the totals.
+    // Quantity tasks part of the way to their target count partially
+    getProgressStats() {
+        const dateKey = this.getCurrentDateKey();
+        const tasks = Object.values(this.getDaySchedule(dateKey))
+            .flatMap(section => this.getTasksForDate(section, dateKey));
+        const totalTasks = tasks.length;
+        const completedCount = tasks.filter(task => this.completedTasks.has(task.id)).length;
+        const credit = tasks.reduce((sum, task) => sum + this.quantities.getCredit(task), 0);
+        const percentage = totalTasks > 0 ? (credit / totalTasks) * 100 : 0;
+
+        return { totalTasks, completedCount, percentage };
+    }
+
     updateProgress() {
         if (!this.schedule) return;
 
-        const totalTasks = Object.values(this.schedule)
-            .reduce((total, section) => total + section.tasks.length, 0);
-        
-        const completedCount = this.completedTasks.size;
-        const percentage = totalTasks > 0 ? (completedCount / totalTasks) * 100 : 0;
+        const { totalTasks, completedCount, percentage } = this.getProgressStats();
 
         const progressBarFill = document.getElementById('progressBarFill');
         const progressText = document.querySelector('.progress-text');
 
+        const progressBar = document.getElementById('overallProgress');
+        if (progressBar) {
+            progressBar.setAttribute('aria-valuenow', Math.round(percentage));
+        }
+
         if (progressBarFill) {
             progressBarFill.style.width = `${percentage}%`;
             
@@ -491,7 +749,7 @@ class DailyTracker {
         }
 
         if (progressText) {
-            progressText.textContent = `${completedCount}/${totalTasks} completed`;
+            progressText.textContent = this.i18n.t('progress.completed', { done: completedCount, total: totalTasks });
         }
     }
 
@@ -500,30 +758,30 @@ class DailyTracker {
         
         try {
             // Use stored coordinates (default or user-selected)
-            const { latitude, longitude } = this.currentCoordinates;
+            const { latitude, longitude, name } = this.currentCoordinates;
 
             // Fetch weather data
-            const weatherData = await this.fetchWeatherData(latitude, longitude);
+            const weatherData = await this.fetchWeatherData(latitude, longitude, name);
             
             weatherContent.innerHTML = `
                 <div class="weather-info" id="weatherInfo">
                     <div class="weather-location">
-                        <span class="location-name">${weatherData.location}</span>
+                        <span class="location-name"></span>
                         <i class="fas fa-map-marker-alt location-icon"></i>
                     </div>
                     <div class="weather-top">
                         <div class="weather-icon-current">
                             <i class="fas ${this.getWeatherIcon(weatherData.condition)}"></i>
                             <div class="current-temp">
-                                <span class="temp-main">${weatherData.temperature}°C</span>
-                                <span class="temp-sub">${weatherData.temperatureF}°F</span>
+                                <span class="temp-main">${this.i18n.formatTemperature(weatherData.temperature)}</span>
+                                <span class="temp-sub">${this.i18n.formatTemperature(weatherData.temperature, this.i18n.secondaryTemperatureUnit)}</span>
                             </div>
                         </div>
                         <div class="weather-details">
-                            <div class="weather-desc">${weatherData.description}</div>
+                            <div class="weather-desc"></div>
                             <div class="weather-stats">
-                                <span>UV: ${weatherData.uvIndex}</span>
-                                <span>Humidity: ${weatherData.humidity}%</span>
+                                <span>${this.i18n.t('weather.uv', { value: weatherData.uvIndex })}</span>
+                                <span>${this.i18n.t('weather.humidity', { value: weatherData.humidity })}</span>
                             </div>
                         </div>
                     </div>
@@ -533,23 +791,38 @@ class DailyTracker {
                                 <div class="current-marker" style="left: ${this.calculateTempPosition(weatherData.temperature, weatherData.low, weatherData.high)}%"></div>
                             </div>
                             <div class="range-labels">
-                                <span class="low-temp">${weatherData.low}°C<br>${weatherData.lowF}°F</span>
-                                <span class="high-temp">${weatherData.high}°C<br>${weatherData.highF}°F</span>
+                                <span class="low-temp">${this.i18n.formatTemperature(weatherData.low)}<br>${this.i18n.formatTemperature(weatherData.low, this.i18n.secondaryTemperatureUnit)}</span>
+                                <span class="high-temp">${this.i18n.formatTemperature(weatherData.high)}<br>${this.i18n.formatTemperature(weatherData.high, this.i18n.secondaryTemperatureUnit)}</span>
                             </div>
                         </div>
                     </div>
+                    <div class="weather-updated ${weatherData.isCached ? 'stale' : ''}">
+                        ${weatherData.isCached ? `<i class="fas fa-wifi"></i> ${this.i18n.t('weather.offline')} · ` : ''}${this.i18n.t('weather.updated', { time: this.formatUpdatedAt(weatherData.updatedAt) })}
+                    </div>
                 </div>
             `;
             
+            // Place names and descriptions come from the weather services
+            weatherContent.querySelector('.location-name').textContent = weatherData.location;
+            weatherContent.querySelector('.weather-desc').textContent = weatherData.weatherCode !== undefined
+                ? this.getWeatherDescription(weatherData.weatherCode)
+                : weatherData.description;
+
             // Add click event to change location
             const weatherInfo = document.getElementById('weatherInfo');
-            weatherInfo.addEventListener('click', () => this.showLocationDialog());
+            weatherInfo.addEventListener('click', () => this.locations.openDialog());
+
+            this.forecast.update(weatherData);
         } catch (error) {
             console.error('Weather loading failed:', error);
+            this.forecast.update(null);
             weatherContent.innerHTML = `
                 <i class="fas fa-cloud"></i>
-                <span>Weather unavailable</span>
+                <span>${this.i18n.t('weather.unavailable')}</span>
             `;
+            this.showError(this.i18n.t('errors.weather'), {
+                action: { label: this.i18n.t('errors.retry'), onClick: () => this.loadWeather() }
+            });
         }
     }
 
@@ -567,15 +840,34 @@ class DailyTracker {
         });
     }
 
-    async fetchWeatherData(lat, lon) {
+    formatUpdatedAt(timestamp) {
+        const updated = new Date(timestamp);
+        const time = this.i18n.formatTime(updated);
+        if (updated.toDateString() === this.clock.now().toDateString()) {
+            return time;
+        }
+        return `${this.i18n.formatDate(updated, { month: 'short', day: 'numeric' })}, ${time}`;
+    }
+
+    async fetchWeatherData(lat, lon, name) {
         try {
             // Try to get real weather data using a free API
-            const response = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,weather_code&daily=temperature_2m_max,temperature_2m_min,uv_index_max&timezone=auto&forecast_days=1`);
+            const params = [
+                `latitude=${lat}`,
+                `longitude=${lon}`,
+                'current=temperature_2m,relative_humidity_2m,weather_code',
+                'hourly=temperature_2m,precipitation_probability,weather_code',
+                'daily=weather_code,temperature_2m_max,temperature_2m_min,uv_index_max,precipitation_probability_max',
+                'timezone=auto',
+                'forecast_days=7'
+            ];
+            const response = await fetch(`${this.api.forecast}?${params.join('&')}`);
             
             if (response.ok) {
                 const data = await response.json();
                 const current = data.current;
                 const daily = data.daily;
+                const forecast = this.forecast.parse(data);
                 
                 const tempC = Math.round(current.temperature_2m);
                 const tempF = Math.round((tempC * 9/5) + 32);
@@ -584,63 +876,73 @@ class DailyTracker {
                 const highF = Math.round((highC * 9/5) + 32);
                 const lowF = Math.round((lowC * 9/5) + 32);
                 
-                // Get location name from coordinates
-                const locationName = await this.getLocationName(lat, lon);
+                // Places picked by name keep it; otherwise look it up
+                const locationName = name || await this.getLocationName(lat, lon);
                 
-                return {
+                const weatherData = {
                     temperature: tempC,
                     temperatureF: tempF,
                     high: highC,
                     low: lowC,
                     highF: highF,
                     lowF: lowF,
+                    weatherCode: current.weather_code,
                     description: this.getWeatherDescription(current.weather_code),
                     condition: this.getWeatherCondition(current.weather_code),
                     uvIndex: Math.round(daily.uv_index_max[0] || 5),
                     humidity: Math.round(current.relative_humidity_2m),
-                    location: locationName
+                    location: locationName,
+                    hourly: forecast.hourly,
+                    daily: forecast.daily,
+                    updatedAt: this.clock.now().getTime(),
+                    isCached: false
                 };
+
+                this.saveCachedWeather(lat, lon, weatherData);
+                return weatherData;
             }
         } catch (error) {
-            console.log('Using fallback weather data:', error);
+            console.log('Weather request failed, trying last forecast:', error);
         }
-        
-        // Fallback to mock data
-        return this.getMockWeatherData(lat, lon);
+
+        // Fall back to the last real forecast for this location
+        const cached = this.getCachedWeather(lat, lon);
+        if (cached) {
+            return { ...cached, isCached: true };
+        }
+        throw new Error('No weather data available');
     }
 
-    async getMockWeatherData(lat, lon) {
-        const tempC = Math.round(18 + Math.random() * 15);
-        const tempF = Math.round((tempC * 9/5) + 32);
-        const highC = tempC + Math.round(Math.random() * 5 + 2);
-        const lowC = tempC - Math.round(Math.random() * 5 + 2);
-        const highF = Math.round((highC * 9/5) + 32);
-        const lowF = Math.round((lowC * 9/5) + 32);
-        
-        const locationName = await this.getLocationName(lat, lon);
-        
-        return {
-            temperature: tempC,
-            temperatureF: tempF,
-            high: highC,
-            low: lowC,
-            highF: highF,
-            lowF: lowF,
-            description: ['Sunny', 'Partly Cloudy', 'Cloudy', 'Light Rain'][Math.floor(Math.random() * 4)],
-            condition: 'clear',
-            uvIndex: Math.round(1 + Math.random() * 10),
-            humidity: Math.round(40 + Math.random() * 40),
-            location: locationName
-        };
+    saveCachedWeather(lat, lon, weatherData) {
+        this.storage.setItem(this.weatherCacheKey, JSON.stringify({
+            latitude: lat,
+            longitude: lon,
+            data: weatherData
+        }));
+    }
+
+    getCachedWeather(lat, lon) {
+        const stored = this.storage.getItem(this.weatherCacheKey);
+        if (!stored) return null;
+
+        try {
+            const cached = JSON.parse(stored);
+            const sameLocation = Math.abs(cached.latitude - lat) < 0.01 &&
+                Math.abs(cached.longitude - lon) < 0.01;
+            return sameLocation ? cached.data : null;
+        } catch (error) {
+            console.error('Invalid cached weather:', error);
+            return null;
+        }
     }
 
     async getLocationName(lat, lon) {
         try {
             // Use a reverse geocoding service to get location name
-            const response = await fetch(`https://api.bigdatacloud.net/data/reverse-geocode-client?latitude=${lat}&longitude=${lon}&localityLanguage=en`);
+            const response = await fetch(`${this.api.reverseGeocode}?latitude=${lat}&longitude=${lon}&localityLanguage=${this.i18n.language}`);
             if (response.ok) {
                 const data = await response.json();
-                return data.city || data.locality || data.principalSubdivision || 'Unknown Location';
+                return data.city || data.locality || data.principalSubdivision || this.i18n.t('weather.unknownLocation');
             }
         } catch (error) {
             console.log('Could not get location name:', error);
@@ -654,33 +956,16 @@ class DailyTracker {
     }
 
     getWeatherDescription(code) {
-        const descriptions = {
-            0: 'Clear Sky',
-            1: 'Mainly Clear',
-            2: 'Partly Cloudy',
-            3: 'Overcast',
-            45: 'Fog',
-            48: 'Depositing Rime Fog',
-            51: 'Light Drizzle',
-            53: 'Moderate Drizzle',
-            55: 'Dense Drizzle',
-            61: 'Slight Rain',
-            63: 'Moderate Rain',
-            65: 'Heavy Rain',
-            71: 'Slight Snow',
-            73: 'Moderate Snow',
-            75: 'Heavy Snow',
-            95: 'Thunderstorm'
-        };
-        return descriptions[code] || 'Unknown';
+        const key = `weather.code.${code}`;
+        return this.i18n.lookup(key) !== undefined ? this.i18n.t(key) : this.i18n.t('weather.code.unknown');
     }
 
     getWeatherCondition(code) {
         if (code === 0 || code === 1) return 'clear';
-        if (code === 2 || code === 3) return 'clouds';
-        if (code >= 51 && code <= 65) return 'rain';
-        if (code >= 71 && code <= 75) return 'snow';
-        if (code === 95) return 'thunderstorm';
+        if (code === 2 || code === 3 || code === 45 || code === 48) return 'clouds';
+        if ((code >= 51 && code <= 67) || (code >= 80 && code <= 82)) return 'rain';
+        if ((code >= 71 && code <= 77) || code === 85 || code === 86) return 'snow';
+        if (code >= 95) return 'thunderstorm';
         return 'clear';
     }
 
@@ -703,68 +988,6 @@ class DailyTracker {
         return Math.max(5, Math.min(95, position));
     }
 
-    async loadDailyQuote() {
-        const quoteContent = document.getElementById('quoteContent');
-        
-        try {
-            const quote = await this.fetchDailyQuote();
-            quoteContent.innerHTML = `
-                <div class="quote-text">"${quote.text}"</div>
-                <div class="quote-author">— ${quote.author}</div>
-            `;
-        } catch (error) {
-            console.error('Quote loading failed:', error);
-            quoteContent.innerHTML = `
-                <div class="quote-text">"Every day is a new beginning. Take a deep breath and start again."</div>
-                <div class="quote-author">— Anonymous</div>
-            `;
-        }
-    }
-
-    async fetchDailyQuote() {
-        // Mock daily quotes for demonstration
-        const quotes = [
-            {
-                text: "Progress, not perfection, is the goal.",
-                author: "Self-Care Wisdom"
-            },
-            {
-                text: "Small steps daily lead to big changes yearly.",
-                author: "James Clear"
-            },
-            {
-                text: "You don't have to be perfect, you just have to be consistent.",
-                author: "Daily Motivation"
-            },
-            {
-                text: "Self-care is not selfish. You cannot serve from an empty vessel.",
-                author: "Eleanor Brown"
-            },
-            {
-                text: "The secret of getting ahead is getting started.",
-                author: "Mark Twain"
-            },
-            {
-                text: "Your only limit is your mind.",
-                author: "Motivational"
-            },
-            {
-                text: "Every accomplishment starts with the decision to try.",
-                author: "Gail Devers"
-            }
-        ];
-
-        // Use date as seed for consistent daily quote
-        const dateKey = this.getCurrentDateKey();
-        const quoteIndex = this.hashCode(dateKey) % quotes.length;
-        
-        return new Promise(resolve => {
-            setTimeout(() => {
-                resolve(quotes[Math.abs(quoteIndex)]);
-            }, 1000);
-        });
-    }
-
     hashCode(str) {
         let hash = 0;
         for (let i = 0; i < str.length; i++) {
@@ -780,118 +1003,182 @@ class DailyTracker {
         if (resetButton) {
             resetButton.addEventListener('click', () => this.resetDay());
         }
+
+        this.profiles.setupEventListeners();
+        this.scheduleEditor.setupEventListeners();
+        this.backup.setupEventListeners();
+        this.i18n.setupSettingsPanel();
+        this.accessibility.setupSettingsPanel();
+        this.accessibility.setupKeyboardNavigation();
+        this.undo.setupEventListeners();
+        this.setupDayStartPicker();
     }
 
-    async showLocationDialog() {
-        const newLocation = prompt('Enter a city name or address for weather:');
-        if (newLocation && newLocation.trim()) {
-            try {
-                const coordinates = await this.geocodeLocation(newLocation.trim());
-                if (coordinates) {
-                    this.setStoredCoordinates(coordinates);
-                    await this.loadWeather();
-                } else {
-                    alert('Could not find that location. Please try again.');
-                }
-            } catch (error) {
-                console.error('Error updating location:', error);
-                alert('Error updating location. Please try again.');
-            }
+    setupDayStartPicker() {
+        const select = document.getElementById('dayStartSelect');
+        if (!select) return;
+
+        for (let hour = 0; hour <= 6; hour++) {
+            const option = document.createElement('option');
+            option.value = hour;
+            option.textContent = hour === 0
+                ? this.i18n.t('settings.midnight')
+                : this.i18n.formatTime(new Date(2000, 0, 1, hour));
+            select.appendChild(option);
         }
+        select.value = this.dateKeys.dayStartHour;
+
+        select.addEventListener('change', () => {
+            this.dateKeys.settings.dayStartHour = Number(select.value);
+            this.dateKeys.saveSettings();
+            // The current day may have changed, so start over from its key
+            this.reload();
+        });
     }
 
-    async geocodeLocation(locationName) {
-        try {
-            // Use a free geocoding service
-            const response = await fetch(`https://api.bigdatacloud.net/data/forward-geocode?query=${encodeURIComponent(locationName)}&key=free`);
-            if (response.ok) {
-                const data = await response.json();
-                if (data.results && data.results.length > 0) {
-                    const result = data.results[0];
-                    return {
-                        latitude: result.latitude,
-                        longitude: result.longitude
-                    };
-                }
-            }
-        } catch (error) {
-            console.error('Geocoding error:', error);
-        }
+    // No confirmation: the toast offers to undo it instead
+    resetDay() {
+        const snapshot = this.clearDay();
+        this.undo.record({ type: 'reset', snapshot: snapshot });
+    }
 
-        // Alternative geocoding approach using OpenStreetMap Nominatim
-        try {
-            const response = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(locationName)}&limit=1`);
-            if (response.ok) {
-                const data = await response.json();
-                if (data && data.length > 0) {
-                    return {
-                        latitude: parseFloat(data[0].lat),
-                        longitude: parseFloat(data[0].lon)
-                    };
-                }
-            }
-        } catch (error) {
-            console.error('Alternative geocoding error:', error);
-        }
+    // Clears everything done today and returns what was there, so it can be
+    // put back by restoreDay()
+    clearDay() {
+        const snapshot = {
+            day: JSON.parse(JSON.stringify(this.completionDay)),
+            amounts: { ...this.quantities.amounts },
+            taskNotes: { ...this.journal.entry.taskNotes },
+            doses: this.medications.getTakenDoses()
+        };
 
-        return null;
+        // Other devices learn about the reset as unticks
+        const now = this.clock.now().getTime();
+        this.completedTasks.forEach(taskId => {
+            const event = CompletionLog.record(this.completionDay, taskId, false, now, this.sync.deviceId);
+            this.sync.enqueue(this.getCurrentDateKey(), event);
+        });
+
+        this.completedTasks.clear();
+        this.completionDay = CompletionLog.createDay();
+        this.storage.removeItem(this.storageKey);
+        this.quantities.removeDay(this.getCurrentDateKey());
+        this.medications.resetDay();
+        this.journal.clearTaskNotes();
+        this.history.removeDay(this.getCurrentDateKey());
+        this.renderSchedule();
+        this.updateProgress();
+        this.history.refresh();
+        this.stats.refresh();
+        this.streaks.refresh();
+        this.streaks.render();
+        this.achievements.refresh();
+        this.reminders.check();
+        this.sync.sync();
+
+        return snapshot;
     }
 
-    resetDay() {
-        if (confirm('Are you sure you want to reset all tasks for today?')) {
-            this.completedTasks.clear();
-            localStorage.removeItem(this.storageKey);
-            this.renderSchedule();
-            this.updateProgress();
-        }
+    // Other devices hear about the restored tasks as fresh ticks; here they
+    // keep the times they were first done at
+    restoreDay(snapshot) {
+        const dateKey = this.getCurrentDateKey();
+        const now = this.clock.now().getTime();
+        this.completionDay = snapshot.day;
+        Object.keys(snapshot.day.completed).forEach(taskId => {
+            const completedAt = snapshot.day.completed[taskId];
+            const event = CompletionLog.record(this.completionDay, taskId, true, now, this.sync.deviceId);
+            this.completionDay.completed[taskId] = completedAt;
+            this.sync.enqueue(dateKey, event);
+        });
+        this.completedTasks = new Set(CompletionLog.completedIds(this.completionDay));
+
+        this.quantities.amounts = snapshot.amounts;
+        this.quantities.save();
+        this.journal.entry.taskNotes = snapshot.taskNotes;
+        this.journal.save();
+        this.medications.restoreDoses(snapshot.doses);
+
+        this.saveCompletedTasks();
+        this.refreshAfterScheduleChange();
     }
 
     setupMidnightRefresh() {
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(0, 0, 0, 0);
-        
-        const msUntilMidnight = tomorrow.getTime() - now.getTime();
-
-        setTimeout(() => {
-            // Reset location to default and refresh the page at midnight
-            this.resetLocationToDefault();
-            window.location.reload();
-        }, msUntilMidnight);
+        this.clock.at(this.dateKeys.nextBoundary(this.clock.now()), () => {
+            // Refresh the page when the day ends
+            this.reload();
+        });
 
         // Also check every minute in case the device was sleeping
-        setInterval(() => {
+        this.clock.onTick(() => {
             const currentDateKey = this.getCurrentDateKey();
             if (currentDateKey !== this.storageKey.replace('dailyTracker_', '')) {
-                this.resetLocationToDefault();
-                window.location.reload();
+                this.reload();
             }
-        }, 60000); // Check every minute
+        });
     }
 
-    resetLocationToDefault() {
-        // Clear any stored location for previous days
-        const keys = Object.keys(localStorage);
-        keys.forEach(key => {
-            if (key.startsWith('weather_location_') && key !== `weather_location_${this.getCurrentDateKey()}`) {
-                localStorage.removeItem(key);
-            }
-        });
-        
-        // Reset to default coordinates
-        this.currentCoordinates = this.defaultCoordinates;
+    // Waits for pending writes, which would be lost with the page
+    async reload() {
+        await this.store.flush();
+        window.location.reload();
     }
 
-    showError(message) {
-        console.error(message);
-        // You could implement a toast notification here
+    // A problem that needs fixing comes with details and stays up as a
+    // banner until dismissed; anything else is a toast, optionally with an
+    // action such as "Retry"
+    showError(message, options = {}) {
+        const details = options.details || [];
+        console.error(message, ...details);
+
+        const banner = document.getElementById('errorBanner');
+        if (details.length === 0 || !banner) {
+            this.toast.show(message, { type: 'error', action: options.action, duration: 8000 });
+            return;
+        }
+
+        const item = document.createElement('div');
+        item.className = 'reminder-item';
+        item.innerHTML = `
+            <i class="fas fa-triangle-exclamation"></i>
+            <div class="reminder-text">
+                <span class="error-message"></span>
+                <ul class="error-details"></ul>
+            </div>
+            <button type="button" class="reminder-action">${this.i18n.t('errors.dismiss')}</button>
+        `;
+        item.querySelector('.error-message').textContent = message;
+
+        const list = item.querySelector('.error-details');
+        const shown = details.slice(0, this.errorDetailLimit);
+        if (details.length > shown.length) {
+            shown.push(this.i18n.t('errors.more', { count: details.length - shown.length }));
+        }
+        shown.forEach(detail => {
+            const line = document.createElement('li');
+            line.textContent = detail;
+            list.appendChild(line);
+        });
+
+        item.querySelector('button').addEventListener('click', () => {
+            item.remove();
+            banner.hidden = banner.children.length === 0;
+        });
+        banner.appendChild(item);
+        banner.hidden = false;
     }
 }
 
-// Initialize the app when the DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new DailyTracker();
+// Initialize the app when the DOM is loaded and stored data has been read
+document.addEventListener('DOMContentLoaded', async () => {
+    new DailyTracker(await TrackerStorage.open());
 });
 
-// App is ready to use without service worker
+// Register the service worker for offline support and installability
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('./sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
@@ -0,0 +1,829 @@
+// Daily Regulation Tracker - Medications
+//
+// Tasks marked "medication": true stand for whatever is taken at that point
+// of the day. Each medication names the sections it's taken in:
+//
+//   { id, name: "Sertraline", dose: "50 mg", sections: ["morning"],
+//     pillsPerDose: 1, stock: 28, refillDays: 7 }
+//
+// and gets its own tick under every medication task in those sections. The
+// task completes once all of its doses are taken, and ticking the task itself
+// takes them all. Each day's doses are logged under medicationLog_<date>
+// with the name and dose at the time and when they were taken (null until
+// then), so the log still reads right after a medication changes or stops.
+// Taking a dose counts its pills off the stock; "stock" is null when the
+// pills aren't being counted.
+
+class MedicationTracker {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.storageKey = 'medications';
+        this.logPrefix = 'medicationLog_';
+        this.markedKey = 'medicationTasksMarked';
+        // The shipped schedule's medication tasks, from before they were marked
+        this.legacyTaskIds = ['take-medication-morning', 'take-medication-evening'];
+        // How long after its reminder time an untaken dose counts as missed
+        this.missedAfterMinutes = 60;
+        this.defaultRefillDays = 7;
+        this.medications = [];
+        this.doses = {};
+        this.updatingTask = false;
+        this.overlay = null;
+        this.editingId = null;
+    }
+
+    static isMedicationTask(task) {
+        return task.medication === true;
+    }
+
+    static doseKey(taskId, medicationId) {
+        return `${taskId}:${medicationId}`;
+    }
+
+    load() {
+        this.medications = this.loadMedications();
+        this.markLegacyTasks();
+        this.doses = this.loadDay(this.tracker.getCurrentDateKey());
+        this.updateDueDoses();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.tracker.clock.onTick(() => this.refreshMissed());
+        this.render();
+        this.checkSupply();
+    }
+
+    loadMedications() {
+        const stored = this.tracker.storage.getItem(this.storageKey);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error('Invalid medications:', error);
+            }
+        }
+        return [];
+    }
+
+    saveMedications() {
+        this.tracker.storage.setItem(this.storageKey, JSON.stringify(this.medications));
+    }
+
+    loadDay(dateKey) {
+        const stored = this.tracker.storage.getItem(this.logPrefix + dateKey);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error(`Invalid medication log for ${dateKey}:`, error);
+            }
+        }
+        return {};
+    }
+
+    save() {
+        const key = this.logPrefix + this.tracker.getCurrentDateKey();
+        if (Object.keys(this.doses).length === 0) {
+            this.tracker.storage.removeItem(key);
+        } else {
+            this.tracker.storage.setItem(key, JSON.stringify(this.doses));
+        }
+    }
+
+    // Schedules saved before medication tasks existed still have the shipped
+    // "Take medication" tasks as plain ones. The saved custom schedule is
+    // marked on its own: the one in use may be the default standing in for
+    // a custom schedule that failed to load, and mustn't replace it.
+    markLegacyTasks() {
+        const storage = this.tracker.storage;
+        const schedule = this.tracker.schedule;
+        if (!schedule || storage.getItem(this.markedKey)) return;
+
+        this.markTasks(schedule);
+
+        const editor = this.tracker.scheduleEditor;
+        const custom = editor.loadCustomSchedule();
+        if (custom && this.markTasks(custom)) {
+            storage.setItem(editor.storageKey, JSON.stringify(custom));
+        }
+        storage.setItem(this.markedKey, 'true');
+    }
+
+    // Returns whether any task was marked
+    markTasks(schedule) {
+        let marked = false;
+        Object.values(schedule).forEach(section => {
+            if (!section || !Array.isArray(section.tasks)) return;
+            section.tasks.forEach(task => {
+                if (task && this.legacyTaskIds.includes(task.id) && task.medication !== true) {
+                    task.medication = true;
+                    marked = true;
+                }
+            });
+        });
+        return marked;
+    }
+
+    findTask(taskId) {
+        const schedule = this.tracker.schedule || {};
+        for (const sectionKey of Object.keys(schedule)) {
+            const task = schedule[sectionKey].tasks.find(candidate => candidate.id === taskId);
+            if (task) return { task: task, section: schedule[sectionKey], sectionKey: sectionKey };
+        }
+        return null;
+    }
+
+    findMedication(medicationId) {
+        return this.medications.find(medication => medication.id === medicationId) || null;
+    }
+
+    // Medication tasks on today's schedule
+    getMedicationTasks() {
+        const schedule = this.tracker.schedule || {};
+        const dateKey = this.tracker.getCurrentDateKey();
+        const tasks = [];
+        Object.keys(schedule).forEach(sectionKey => {
+            const section = schedule[sectionKey];
+            this.tracker.getTasksForDate(section, dateKey)
+                .filter(MedicationTracker.isMedicationTask)
+                .forEach(task => tasks.push({ task: task, section: section, sectionKey: sectionKey }));
+        });
+        return tasks;
+    }
+
+    // Sections that have a medication task, whether or not it's on today
+    getMedicationSections() {
+        const schedule = this.tracker.schedule || {};
+        return Object.keys(schedule).filter(sectionKey =>
+            schedule[sectionKey].tasks.some(MedicationTracker.isMedicationTask));
+    }
+
+    // Keeps today's log in step with the medications: doses newly due are
+    // added and untaken ones that no longer are go away. Taken doses stay.
+    updateDueDoses() {
+        const due = new Map();
+        this.getMedicationTasks().forEach(({ task, sectionKey }) => {
+            this.medications
+                .filter(medication => medication.sections.includes(sectionKey))
+                .forEach(medication => {
+                    due.set(MedicationTracker.doseKey(task.id, medication.id), { task: task, sectionKey: sectionKey, medication: medication });
+                });
+        });
+
+        Object.keys(this.doses).forEach(key => {
+            if (!due.has(key) && this.doses[key].takenAt === null) {
+                delete this.doses[key];
+            }
+        });
+        due.forEach(({ task, sectionKey, medication }, key) => {
+            const dose = this.doses[key];
+            if (!dose) {
+                this.doses[key] = {
+                    taskId: task.id,
+                    section: sectionKey,
+                    medicationId: medication.id,
+                    name: medication.name,
+                    dose: medication.dose,
+                    takenAt: null
+                };
+            } else if (dose.takenAt === null) {
+                dose.name = medication.name;
+                dose.dose = medication.dose;
+            }
+        });
+
+        this.save();
+    }
+
+    // A task's doses in the order the medications are listed; doses of
+    // medications deleted since they were taken come last
+    getTaskDoses(taskId, doses = this.doses) {
+        const order = this.medications.map(medication => medication.id);
+        const position = (dose) => {
+            const index = order.indexOf(dose.medicationId);
+            return index === -1 ? order.length : index;
+        };
+        return Object.values(doses)
+            .filter(dose => dose.taskId === taskId)
+            .sort((a, b) => position(a) - position(b));
+    }
+
+    describeDose(dose) {
+        return dose.dose ? `${dose.name} ${dose.dose}` : dose.name;
+    }
+
+    setDoseTaken(dose, taken) {
+        if ((dose.takenAt !== null) === taken) return;
+
+        dose.takenAt = taken ? this.tracker.clock.now().getTime() : null;
+        this.adjustStock(dose.medicationId, taken ? -1 : 1);
+    }
+
+    adjustStock(medicationId, doses) {
+        const medication = this.findMedication(medicationId);
+        if (!medication || typeof medication.stock !== 'number') return;
+
+        medication.stock = Math.max(0, medication.stock + doses * medication.pillsPerDose);
+        this.saveMedications();
+    }
+
+    // One dose ticked on its own; the task follows once all or none are taken
+    toggleDose(key) {
+        const dose = this.doses[key];
+        if (!dose) return;
+
+        this.setDoseTaken(dose, dose.takenAt === null);
+        this.save();
+
+        const taskId = dose.taskId;
+        const allTaken = this.getTaskDoses(taskId).every(candidate => candidate.takenAt !== null);
+        if (allTaken !== this.tracker.completedTasks.has(taskId)) {
+            this.updatingTask = true;
+            try {
+                this.tracker.setTaskCompleted(taskId, allTaken);
+            } finally {
+                this.updatingTask = false;
+            }
+        } else {
+            this.updateTaskItem(taskId);
+            this.tracker.history.refresh();
+            this.render();
+        }
+        this.checkSupply();
+        this.tracker.undo.record({ type: 'dose', key: key, taken: dose.takenAt !== null });
+    }
+
+    // Used by undo, which needs a dose in a given state rather than flipped
+    setDose(key, taken) {
+        const dose = this.doses[key];
+        if (dose && (dose.takenAt !== null) !== taken) {
+            this.toggleDose(key);
+        }
+    }
+
+    // The task itself was ticked or unticked (its row, a reminder's "Done"),
+    // so all of its doses go with it
+    onTaskCompleted(taskId, completed) {
+        if (!this.updatingTask) {
+            const doses = this.getTaskDoses(taskId);
+            if (doses.length === 0) return;
+
+            doses.forEach(dose => this.setDoseTaken(dose, completed));
+            this.save();
+        }
+
+        this.updateTaskItem(taskId);
+        this.render();
+        this.checkSupply();
+    }
+
+    getTakenDoses() {
+        const taken = {};
+        Object.keys(this.doses).forEach(key => {
+            if (this.doses[key].takenAt !== null) {
+                taken[key] = this.doses[key].takenAt;
+            }
+        });
+        return taken;
+    }
+
+    // Undoing a reset takes the same doses again, at their original times
+    restoreDoses(taken) {
+        Object.keys(taken).forEach(key => {
+            const dose = this.doses[key];
+            if (!dose) return;
+
+            this.setDoseTaken(dose, true);
+            dose.takenAt = taken[key];
+        });
+        this.save();
+        this.render();
+        this.checkSupply();
+    }
+
+    // Resetting the day puts the pills back
+    resetDay() {
+        Object.values(this.doses).forEach(dose => this.setDoseTaken(dose, false));
+        this.updateDueDoses();
+        this.render();
+    }
+
+    getDueTime(task, section) {
+        return task.remind === false ? null : (task.remind || section.remind || null);
+    }
+
+    // Past days missed whatever wasn't taken; today only counts once the
+    // reminder time is well past
+    isMissed(dateKey, task, section, completed) {
+        if (completed) return false;
+        if (dateKey !== this.tracker.getCurrentDateKey()) return true;
+
+        const time = this.getDueTime(task, section);
+        if (!time) return false;
+
+        const due = this.tracker.dateKeys.timeOnDay(dateKey, time).getTime();
+        return this.tracker.clock.now().getTime() - due >= this.missedAfterMinutes * 60000;
+    }
+
+    getDosesPerDay(medication) {
+        const schedule = this.tracker.schedule || {};
+        return medication.sections.reduce((count, sectionKey) => {
+            const section = schedule[sectionKey];
+            return count + (section ? section.tasks.filter(MedicationTracker.isMedicationTask).length : 0);
+        }, 0);
+    }
+
+    getDaysLeft(medication) {
+        if (typeof medication.stock !== 'number') return null;
+
+        const perDay = medication.pillsPerDose * this.getDosesPerDay(medication);
+        return perDay > 0 ? Math.floor(medication.stock / perDay) : null;
+    }
+
+    isRunningLow(medication) {
+        const daysLeft = this.getDaysLeft(medication);
+        return daysLeft !== null && daysLeft < medication.refillDays;
+    }
+
+    // Low supply is shown in the app all the time, and notified once a day
+    // while reminders are on
+    checkSupply() {
+        this.renderAlert();
+
+        const reminders = this.tracker.reminders;
+        if (!reminders.settings.enabled || !reminders.isSupported() || Notification.permission !== 'granted') return;
+
+        const today = this.tracker.getCurrentDateKey();
+        const due = this.medications.filter(medication =>
+            this.isRunningLow(medication) && medication.refillAlertedOn !== today);
+        due.forEach(medication => this.notifyRunningLow(medication, today));
+    }
+
+    // Through the service worker when there is one, like reminders, since
+    // some browsers refuse page notifications once a worker is registered.
+    // A failure is only logged: this runs while a tick is being saved
+    async notifyRunningLow(medication, today) {
+        const i18n = this.tracker.i18n;
+        const title = i18n.t('medications.refillTitle');
+        const options = {
+            body: i18n.t('medications.runningLow', { name: medication.name, count: this.getDaysLeft(medication) }),
+            tag: `refill-${medication.id}`,
+            icon: 'assets/icons/icon-192.png'
+        };
+
+        try {
+            const registration = await this.tracker.reminders.getServiceWorkerRegistration();
+            if (registration) {
+                await registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        } catch (error) {
+            console.error('Failed to show refill notification:', error);
+            return;
+        }
+
+        medication.refillAlertedOn = today;
+        this.saveMedications();
+    }
+
+    setupEventListeners() {
+        const manageButton = document.getElementById('manageMedicationsButton');
+        const exportButton = document.getElementById('exportMedicationLogButton');
+        if (manageButton) {
+            manageButton.addEventListener('click', () => this.openDialog());
+        }
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportLog());
+        }
+    }
+
+    // Doses are listed under the task, each with its own tick
+    setupTaskItem(li, task) {
+        li.classList.add('medication-task');
+
+        const body = li.querySelector('.task-body');
+        const badge = document.createElement('span');
+        badge.className = 'medication-missed-badge';
+        badge.textContent = this.tracker.i18n.t('medications.missed');
+        badge.hidden = true;
+        body.insertBefore(badge, body.querySelector('.task-note'));
+
+        const list = document.createElement('ul');
+        list.className = 'medication-doses';
+        body.appendChild(list);
+
+        this.updateTaskItem(task.id, li);
+    }
+
+    updateTaskItem(taskId, li = document.querySelector(`[data-task-id="${taskId}"].medication-task`)) {
+        const found = this.findTask(taskId);
+        if (!li || !found) return;
+
+        const i18n = this.tracker.i18n;
+        const completed = this.tracker.completedTasks.has(taskId);
+        const missed = this.isMissed(this.tracker.getCurrentDateKey(), found.task, found.section, completed);
+        li.classList.toggle('medication-missed', missed);
+        li.querySelector('.medication-missed-badge').hidden = !missed;
+
+        // The list is rebuilt, so keep keyboard focus on the dose that had it
+        const list = li.querySelector('.medication-doses');
+        const focused = list.contains(document.activeElement)
+            ? document.activeElement.closest('.medication-dose').dataset.doseKey
+            : null;
+        list.innerHTML = '';
+        this.getTaskDoses(taskId).forEach(dose => {
+            const taken = dose.takenAt !== null;
+            const key = MedicationTracker.doseKey(dose.taskId, dose.medicationId);
+            const item = document.createElement('li');
+            item.className = `medication-dose${taken ? ' taken' : ''}`;
+            item.dataset.doseKey = key;
+            item.innerHTML = `
+                <button type="button" class="medication-dose-check" role="checkbox" aria-checked="${taken}">
+                    ${taken ? '<i class="fas fa-check"></i>' : ''}
+                </button>
+                <span class="medication-dose-name"></span>
+                <time class="medication-dose-time"></time>
+            `;
+            const name = this.describeDose(dose);
+            item.querySelector('.medication-dose-name').textContent = name;
+            item.querySelector('.medication-dose-check').setAttribute('aria-label', i18n.t('medications.takeDose', { name: name }));
+            if (taken) {
+                const time = item.querySelector('.medication-dose-time');
+                time.dateTime = new Date(dose.takenAt).toISOString();
+                time.textContent = i18n.formatTime(new Date(dose.takenAt));
+            }
+
+            // Ticking a dose shouldn't also toggle the whole task
+            item.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.toggleDose(key);
+            });
+            list.appendChild(item);
+
+            if (key === focused) {
+                item.querySelector('.medication-dose-check').focus();
+            }
+        });
+    }
+
+    refreshMissed() {
+        this.getMedicationTasks().forEach(({ task }) => this.updateTaskItem(task.id));
+    }
+
+    describeSupply(medication) {
+        const i18n = this.tracker.i18n;
+        if (typeof medication.stock !== 'number') return '';
+
+        const pills = i18n.t('medications.pillsLeft', { count: medication.stock });
+        const daysLeft = this.getDaysLeft(medication);
+        return daysLeft === null ? pills : `${pills} · ${i18n.t('medications.daysLeft', { count: daysLeft })}`;
+    }
+
+    describeSections(medication) {
+        const schedule = this.tracker.schedule || {};
+        return medication.sections
+            .filter(sectionKey => schedule[sectionKey])
+            .map(sectionKey => this.tracker.i18n.sectionTitle(sectionKey, schedule[sectionKey]))
+            .join(', ');
+    }
+
+    render() {
+        const list = document.getElementById('medicationList');
+        if (!list) return;
+
+        const i18n = this.tracker.i18n;
+        list.innerHTML = '';
+
+        if (this.medications.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'medication-empty';
+            empty.textContent = i18n.t('medications.empty');
+            list.appendChild(empty);
+            return;
+        }
+
+        this.medications.forEach(medication => {
+            const item = document.createElement('li');
+            item.className = 'medication-item';
+            item.classList.toggle('low', this.isRunningLow(medication));
+            item.innerHTML = `
+                <i class="fas fa-pills"></i>
+                <div class="medication-info">
+                    <span class="medication-name"></span>
+                    <span class="medication-schedule"></span>
+                </div>
+                <span class="medication-supply"></span>
+            `;
+            item.querySelector('.medication-name').textContent = this.describeDose(medication);
+            item.querySelector('.medication-schedule').textContent = this.describeSections(medication);
+            item.querySelector('.medication-supply').textContent = this.describeSupply(medication);
+            list.appendChild(item);
+        });
+    }
+
+    renderAlert() {
+        const alertElement = document.getElementById('medicationAlert');
+        if (!alertElement) return;
+
+        const i18n = this.tracker.i18n;
+        const low = this.medications.filter(medication => this.isRunningLow(medication));
+        alertElement.innerHTML = '';
+        alertElement.hidden = low.length === 0;
+
+        low.forEach(medication => {
+            const item = document.createElement('div');
+            item.className = 'medication-alert-item';
+            item.innerHTML = `
+                <i class="fas fa-prescription-bottle-medical"></i>
+                <span class="medication-alert-text"></span>
+                <button type="button" class="reminder-action">${i18n.t('medications.refill')}</button>
+            `;
+            item.querySelector('.medication-alert-text').textContent =
+                i18n.t('medications.runningLow', { name: medication.name, count: this.getDaysLeft(medication) });
+            item.querySelector('button').addEventListener('click', () => this.refill(medication));
+            alertElement.appendChild(item);
+        });
+    }
+
+    // Something changed about the medications themselves
+    refreshAll() {
+        this.saveMedications();
+        this.updateDueDoses();
+        this.tracker.renderSchedule();
+        this.tracker.history.refresh();
+        this.render();
+        this.renderDialog();
+        this.checkSupply();
+    }
+
+    refill(medication) {
+        const i18n = this.tracker.i18n;
+        const answer = prompt(i18n.t('medications.refillPrompt', { name: medication.name }));
+        if (answer === null) return;
+
+        const pills = Number(answer);
+        if (!(pills > 0)) {
+            alert(i18n.t('medications.invalidNumber'));
+            return;
+        }
+
+        medication.stock = (typeof medication.stock === 'number' ? medication.stock : 0) + pills;
+        delete medication.refillAlertedOn;
+        this.refreshAll();
+    }
+
+    deleteMedication(medication) {
+        if (!confirm(this.tracker.i18n.t('medications.deleteConfirm', { name: medication.name }))) return;
+
+        this.medications = this.medications.filter(candidate => candidate !== medication);
+        if (this.editingId === medication.id) {
+            this.editingId = null;
+        }
+        this.refreshAll();
+    }
+
+    generateId(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'medication';
+        const existing = new Set(this.medications.map(medication => medication.id));
+
+        let id = slug;
+        let suffix = 2;
+        while (existing.has(id)) {
+            id = `${slug}-${suffix++}`;
+        }
+        return id;
+    }
+
+    openDialog() {
+        const i18n = this.tracker.i18n;
+        this.editingId = null;
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal-dialog medication-dialog" role="dialog" aria-modal="true" aria-labelledby="medicationsTitle">
+                <h3 id="medicationsTitle">${i18n.t('medications.title')}</h3>
+                <ul class="profile-list medication-manage-list"></ul>
+                <form class="medication-form">
+                    <h4 class="medication-form-title"></h4>
+                    <div class="settings-fields">
+                        <div class="settings-field">
+                            <label for="medicationName">${i18n.t('medications.name')}</label>
+                            <input type="text" id="medicationName" required>
+                        </div>
+                        <div class="settings-field">
+                            <label for="medicationDose">${i18n.t('medications.dose')}</label>
+                            <input type="text" id="medicationDose" placeholder="${i18n.t('medications.dosePlaceholder')}">
+                        </div>
+                        <div class="settings-field">
+                            <label for="medicationPills">${i18n.t('medications.pillsPerDose')}</label>
+                            <input type="number" id="medicationPills" min="1" step="1">
+                        </div>
+                        <div class="settings-field">
+                            <label for="medicationStock">${i18n.t('medications.stock')}</label>
+                            <input type="number" id="medicationStock" min="0" step="1" placeholder="${i18n.t('medications.stockPlaceholder')}">
+                        </div>
+                        <div class="settings-field">
+                            <label for="medicationRefillDays">${i18n.t('medications.refillDays')}</label>
+                            <input type="number" id="medicationRefillDays" min="0" step="1">
+                        </div>
+                    </div>
+                    <fieldset class="medication-sections">
+                        <legend>${i18n.t('medications.takenWith')}</legend>
+                    </fieldset>
+                    <div class="modal-actions">
+                        <button type="submit" class="editor-button primary" data-action="save"></button>
+                        <button type="button" class="editor-button" data-action="new">${i18n.t('medications.new')}</button>
+                    </div>
+                </form>
+                <div class="modal-actions">
+                    <button type="button" class="editor-button primary" data-action="close">${i18n.t('common.close')}</button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.querySelector('.medication-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveForm();
+        });
+        this.overlay.querySelector('[data-action="new"]').addEventListener('click', () => {
+            this.editingId = null;
+            this.renderDialog();
+        });
+        this.overlay.querySelector('[data-action="close"]').addEventListener('click', () => this.closeDialog());
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.closeDialog();
+        });
+
+        document.body.appendChild(this.overlay);
+        this.renderDialog();
+        this.overlay.querySelector('#medicationName').focus();
+    }
+
+    closeDialog() {
+        if (this.overlay) {
+            document.body.removeChild(this.overlay);
+            this.overlay = null;
+        }
+    }
+
+    renderDialog() {
+        if (!this.overlay) return;
+
+        const i18n = this.tracker.i18n;
+        const list = this.overlay.querySelector('.medication-manage-list');
+        list.innerHTML = '';
+
+        this.medications.forEach(medication => {
+            const item = document.createElement('li');
+            item.className = 'profile-item';
+            item.classList.toggle('active', medication.id === this.editingId);
+            item.innerHTML = `
+                <span class="medication-info">
+                    <span class="medication-name"></span>
+                    <span class="medication-supply"></span>
+                </span>
+                <button type="button" class="editor-icon-button" data-action="edit" title="${i18n.t('medications.edit')}"><i class="fas fa-pen"></i></button>
+                <button type="button" class="editor-icon-button" data-action="refill" title="${i18n.t('medications.refill')}"><i class="fas fa-prescription-bottle-medical"></i></button>
+                <button type="button" class="editor-icon-button" data-action="delete" title="${i18n.t('medications.delete')}"><i class="fas fa-trash"></i></button>
+            `;
+            item.querySelector('.medication-name').textContent = this.describeDose(medication);
+            item.querySelector('.medication-supply').textContent = this.describeSupply(medication);
+
+            item.querySelector('[data-action="edit"]').addEventListener('click', () => {
+                this.editingId = medication.id;
+                this.renderDialog();
+            });
+            item.querySelector('[data-action="refill"]').addEventListener('click', () => this.refill(medication));
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteMedication(medication));
+            list.appendChild(item);
+        });
+
+        this.renderForm();
+    }
+
+    renderForm() {
+        const i18n = this.tracker.i18n;
+        const form = this.overlay.querySelector('.medication-form');
+        const medication = this.findMedication(this.editingId) || {
+            name: '',
+            dose: '',
+            sections: this.getMedicationSections(),
+            pillsPerDose: 1,
+            stock: null,
+            refillDays: this.defaultRefillDays
+        };
+
+        form.querySelector('.medication-form-title').textContent =
+            i18n.t(this.editingId ? 'medications.editTitle' : 'medications.addTitle');
+        form.querySelector('[data-action="save"]').textContent =
+            i18n.t(this.editingId ? 'medications.save' : 'medications.add');
+        form.querySelector('[data-action="new"]').hidden = !this.editingId;
+        form.querySelector('#medicationName').value = medication.name;
+        form.querySelector('#medicationDose').value = medication.dose;
+        form.querySelector('#medicationPills').value = medication.pillsPerDose;
+        form.querySelector('#medicationStock').value = typeof medication.stock === 'number' ? medication.stock : '';
+        form.querySelector('#medicationRefillDays').value = medication.refillDays;
+
+        // Only sections with a medication task have anywhere to show a dose
+        const fieldset = form.querySelector('.medication-sections');
+        fieldset.querySelectorAll('label, p').forEach(element => element.remove());
+        const sections = this.getMedicationSections();
+        if (sections.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'medication-hint';
+            hint.textContent = i18n.t('medications.noTasks');
+            fieldset.appendChild(hint);
+        }
+        sections.forEach(sectionKey => {
+            const label = document.createElement('label');
+            label.className = 'medication-section-option';
+            label.innerHTML = '<input type="checkbox"> <span></span>';
+            const checkbox = label.querySelector('input');
+            checkbox.value = sectionKey;
+            checkbox.checked = medication.sections.includes(sectionKey);
+            label.querySelector('span').textContent =
+                this.tracker.i18n.sectionTitle(sectionKey, this.tracker.schedule[sectionKey]);
+            fieldset.appendChild(label);
+        });
+    }
+
+    saveForm() {
+        const i18n = this.tracker.i18n;
+        const form = this.overlay.querySelector('.medication-form');
+        const name = form.querySelector('#medicationName').value.trim();
+        const pillsPerDose = Number(form.querySelector('#medicationPills').value) || 1;
+        const stockValue = form.querySelector('#medicationStock').value;
+        const refillDays = Number(form.querySelector('#medicationRefillDays').value);
+        const sections = [...form.querySelectorAll('.medication-sections input:checked')].map(input => input.value);
+
+        if (!name) {
+            alert(i18n.t('medications.needsName'));
+            return;
+        }
+        if (sections.length === 0) {
+            alert(i18n.t('medications.needsSection'));
+            return;
+        }
+        if (pillsPerDose < 0 || (stockValue !== '' && !(Number(stockValue) >= 0)) || refillDays < 0) {
+            alert(i18n.t('medications.invalidNumber'));
+            return;
+        }
+
+        const values = {
+            name: name,
+            dose: form.querySelector('#medicationDose').value.trim(),
+            sections: sections,
+            pillsPerDose: pillsPerDose,
+            stock: stockValue === '' ? null : Number(stockValue),
+            refillDays: refillDays
+        };
+
+        const existing = this.findMedication(this.editingId);
+        if (existing) {
+            Object.assign(existing, values);
+            delete existing.refillAlertedOn;
+        } else {
+            this.medications.push({ id: this.generateId(name), ...values });
+        }
+        this.editingId = null;
+        this.refreshAll();
+    }
+
+    // Every logged dose, for taking along to an appointment
+    exportLog() {
+        const storage = this.tracker.storage;
+        const i18n = this.tracker.i18n;
+        const backup = this.tracker.backup;
+        const schedule = this.tracker.schedule || {};
+        const rows = [['date', 'section', 'medication', 'dose', 'status', 'taken_at']];
+
+        storage.keys()
+            .filter(key => key.startsWith(this.logPrefix) && DateKeys.isDateKey(key.slice(this.logPrefix.length)))
+            .map(key => key.slice(this.logPrefix.length))
+            .sort()
+            .forEach(dateKey => {
+                const doses = Object.values(this.loadDay(dateKey));
+                doses.forEach(dose => {
+                    const found = this.findTask(dose.taskId);
+                    const section = schedule[dose.section];
+                    let status = 'taken';
+                    if (dose.takenAt === null) {
+                        status = !found || this.isMissed(dateKey, found.task, found.section, false) ? 'missed' : 'due';
+                    }
+                    rows.push([
+                        dateKey,
+                        section ? i18n.sectionTitle(dose.section, section) : dose.section,
+                        dose.name,
+                        dose.dose,
+                        status,
+                        dose.takenAt === null ? '' : new Date(dose.takenAt).toISOString()
+                    ]);
+                });
+            });
+
+        const csv = rows.map(row => row.map(value => backup.escapeCsv(value)).join(',')).join('\r\n');
+        backup.download(`daily-care-medications-${this.tracker.getCurrentDateKey()}.csv`, csv, 'text/csv');
+    }
+}
@@ -0,0 +1,268 @@
+// Daily Regulation Tracker - Profiles
+//
+// Several people can share one device. Every profile keeps its own copy of
+// all app data (schedule, completions, settings, ...) in TrackerStorage
+// under keys prefixed with "profile:<id>:". Only the profile list and the
+// active profile id are kept in localStorage, unprefixed.
+
+class ProfileStorage {
+    constructor(store, profileId) {
+        this.store = store;
+        this.prefix = `profile:${profileId}:`;
+    }
+
+    getItem(key) {
+        return this.store.getItem(this.prefix + key);
+    }
+
+    setItem(key, value) {
+        this.store.setItem(this.prefix + key, value);
+    }
+
+    removeItem(key) {
+        this.store.removeItem(this.prefix + key);
+    }
+
+    keys() {
+        return this.store.keys()
+            .filter(key => key.startsWith(this.prefix))
+            .map(key => key.slice(this.prefix.length));
+    }
+
+    clear() {
+        this.keys().forEach(key => this.removeItem(key));
+    }
+}
+
+class ProfileManager {
+    constructor(tracker, store) {
+        this.tracker = tracker;
+        this.store = store;
+        this.profilesKey = 'profiles';
+        this.activeKey = 'activeProfile';
+        this.profiles = this.loadProfiles();
+
+        const activeId = localStorage.getItem(this.activeKey);
+        this.active = this.profiles.find(profile => profile.id === activeId) || this.profiles[0];
+        this.storage = new ProfileStorage(store, this.active.id);
+    }
+
+    loadProfiles() {
+        const stored = localStorage.getItem(this.profilesKey);
+        if (stored) {
+            try {
+                const profiles = JSON.parse(stored);
+                if (Array.isArray(profiles) && profiles.length > 0) {
+                    return profiles;
+                }
+            } catch (error) {
+                console.error('Invalid profile list:', error);
+            }
+        }
+        return [this.migrateLegacyData()];
+    }
+
+    saveProfiles() {
+        localStorage.setItem(this.profilesKey, JSON.stringify(this.profiles));
+    }
+
+    // Data from before profiles existed becomes the first profile
+    migrateLegacyData() {
+        const profile = { id: 'default', name: 'Me' };
+        const storage = new ProfileStorage(this.store, profile.id);
+
+        this.store.keys().forEach(key => {
+            if (key.startsWith('profile:')) return;
+
+            storage.setItem(key, this.store.getItem(key));
+            this.store.removeItem(key);
+        });
+
+        this.profiles = [profile];
+        this.saveProfiles();
+        return profile;
+    }
+
+    getDefaultCoordinates() {
+        return this.active.location || null;
+    }
+
+    // The PIN only keeps other household members out of a profile; it is
+    // hashed so it isn't sitting in storage as plain text
+    hashPin(profile, pin) {
+        return String(this.tracker.hashCode(`${profile.id}:${pin}`));
+    }
+
+    verifyPin(profile) {
+        if (!profile.pinHash) return true;
+
+        const pin = prompt(this.tracker.i18n.t('profiles.pinPrompt', { name: profile.name }));
+        if (pin === null) return false;
+        if (this.hashPin(profile, pin.trim()) !== profile.pinHash) {
+            alert(this.tracker.i18n.t('profiles.wrongPin'));
+            return false;
+        }
+        return true;
+    }
+
+    switchTo(profileId) {
+        const profile = this.profiles.find(candidate => candidate.id === profileId);
+        if (!profile || profile === this.active || !this.verifyPin(profile)) return;
+
+        localStorage.setItem(this.activeKey, profile.id);
+        this.tracker.reload();
+    }
+
+    createProfile(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+        let id = slug;
+        for (let i = 2; this.profiles.some(profile => profile.id === id); i++) {
+            id = `${slug}-${i}`;
+        }
+
+        const profile = { id: id, name: name };
+        this.profiles.push(profile);
+        this.saveProfiles();
+        return profile;
+    }
+
+    addProfile() {
+        const name = prompt(this.tracker.i18n.t('profiles.namePrompt'));
+        if (!name || !name.trim()) return;
+
+        const profile = this.createProfile(name.trim());
+        if (confirm(this.tracker.i18n.t('profiles.switchConfirm', { name: profile.name }))) {
+            this.switchTo(profile.id);
+        } else {
+            this.renderDialog();
+        }
+    }
+
+    renameProfile(profile) {
+        if (!this.verifyPin(profile)) return;
+
+        const name = prompt(this.tracker.i18n.t('profiles.renamePrompt'), profile.name);
+        if (!name || !name.trim()) return;
+
+        profile.name = name.trim();
+        this.saveProfiles();
+        this.render();
+        this.renderDialog();
+    }
+
+    changePin(profile) {
+        if (!this.verifyPin(profile)) return;
+
+        const pin = prompt(this.tracker.i18n.t('profiles.newPinPrompt', { name: profile.name }));
+        if (pin === null) return;
+
+        if (pin.trim()) {
+            profile.pinHash = this.hashPin(profile, pin.trim());
+        } else {
+            delete profile.pinHash;
+        }
+        this.saveProfiles();
+        this.renderDialog();
+    }
+
+    deleteProfile(profile) {
+        if (profile === this.active) {
+            alert(this.tracker.i18n.t('profiles.deleteActive'));
+            return;
+        }
+        if (!this.verifyPin(profile)) return;
+        if (!confirm(this.tracker.i18n.t('profiles.deleteConfirm', { name: profile.name }))) return;
+
+        new ProfileStorage(this.store, profile.id).clear();
+        this.profiles = this.profiles.filter(candidate => candidate !== profile);
+        this.saveProfiles();
+        this.renderDialog();
+    }
+
+    setupEventListeners() {
+        const button = document.getElementById('profileButton');
+        if (button) {
+            button.addEventListener('click', () => this.openDialog());
+        }
+    }
+
+    render() {
+        const name = document.getElementById('profileName');
+        const avatar = document.getElementById('profileAvatar');
+        if (name) {
+            name.textContent = this.active.name;
+        }
+        if (avatar) {
+            avatar.textContent = this.active.name.charAt(0).toUpperCase();
+        }
+    }
+
+    openDialog() {
+        const i18n = this.tracker.i18n;
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal-dialog" role="dialog" aria-modal="true" aria-labelledby="profilesTitle">
+                <h3 id="profilesTitle">${i18n.t('profiles.title')}</h3>
+                <ul class="profile-list"></ul>
+                <div class="modal-actions">
+                    <button type="button" class="editor-button" data-action="add">
+                        <i class="fas fa-user-plus"></i> ${i18n.t('profiles.add')}
+                    </button>
+                    <button type="button" class="editor-button primary" data-action="close">${i18n.t('common.close')}</button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.querySelector('[data-action="add"]').addEventListener('click', () => this.addProfile());
+        this.overlay.querySelector('[data-action="close"]').addEventListener('click', () => this.closeDialog());
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.closeDialog();
+        });
+
+        document.body.appendChild(this.overlay);
+        this.renderDialog();
+    }
+
+    closeDialog() {
+        if (this.overlay) {
+            document.body.removeChild(this.overlay);
+            this.overlay = null;
+        }
+    }
+
+    renderDialog() {
+        if (!this.overlay) return;
+
+        const i18n = this.tracker.i18n;
+        const list = this.overlay.querySelector('.profile-list');
+        list.innerHTML = '';
+
+        this.profiles.forEach(profile => {
+            const item = document.createElement('li');
+            item.className = 'profile-item';
+            item.classList.toggle('active', profile === this.active);
+            item.innerHTML = `
+                <button type="button" class="profile-switch">
+                    <span class="profile-avatar"></span>
+                    <span class="profile-item-name"></span>
+                    ${profile.pinHash ? `<i class="fas fa-lock" title="${i18n.t('profiles.pinProtected')}"></i>` : ''}
+                </button>
+                <button type="button" class="editor-icon-button" data-action="rename" title="${i18n.t('profiles.rename')}"><i class="fas fa-pen"></i></button>
+                <button type="button" class="editor-icon-button" data-action="pin" title="${i18n.t('profiles.changePin')}"><i class="fas fa-key"></i></button>
+                <button type="button" class="editor-icon-button" data-action="delete" title="${i18n.t('profiles.delete')}"><i class="fas fa-trash"></i></button>
+            `;
+            item.querySelector('.profile-avatar').textContent = profile.name.charAt(0).toUpperCase();
+            item.querySelector('.profile-item-name').textContent = profile.name;
+
+            item.querySelector('.profile-switch').addEventListener('click', () => this.switchTo(profile.id));
+            item.querySelector('[data-action="rename"]').addEventListener('click', () => this.renameProfile(profile));
+            item.querySelector('[data-action="pin"]').addEventListener('click', () => this.changePin(profile));
+            const deleteButton = item.querySelector('[data-action="delete"]');
+            deleteButton.disabled = profile === this.active;
+            deleteButton.addEventListener('click', () => this.deleteProfile(profile));
+
+            list.appendChild(item);
+        });
+    }
+}
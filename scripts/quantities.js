@@ -0,0 +1,170 @@
+// Daily Regulation Tracker - Quantity Tasks
+//
+// A task with a "target" is tracked as an amount instead of a single tick:
+//
+//   "target": 1000, "unit": "ml", "step": 250
+//
+// Amounts are saved per day under quantities_<date>. The task completes by
+// itself once the amount reaches the target, and counts partially before.
+
+class QuantityTracker {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.prefix = 'quantities_';
+        this.amounts = {};
+    }
+
+    static isQuantityTask(task) {
+        return typeof task.target === 'number' && task.target > 0;
+    }
+
+    static getStep(task) {
+        return task.step > 0 ? task.step : 1;
+    }
+
+    formatAmount(amount, task) {
+        const i18n = this.tracker.i18n;
+        const text = `${i18n.formatNumber(amount)} / ${i18n.formatNumber(task.target)}`;
+        return task.unit ? `${text} ${task.unit}` : text;
+    }
+
+    load() {
+        this.amounts = this.loadDay(this.tracker.getCurrentDateKey());
+    }
+
+    loadDay(dateKey) {
+        const stored = this.tracker.storage.getItem(this.prefix + dateKey);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error(`Invalid quantities for ${dateKey}:`, error);
+            }
+        }
+        return {};
+    }
+
+    save() {
+        this.tracker.storage.setItem(this.prefix + this.tracker.getCurrentDateKey(), JSON.stringify(this.amounts));
+    }
+
+    removeDay(dateKey) {
+        this.tracker.storage.removeItem(this.prefix + dateKey);
+        if (dateKey === this.tracker.getCurrentDateKey()) {
+            this.amounts = {};
+        }
+    }
+
+    findTask(taskId) {
+        for (const section of Object.values(this.tracker.schedule || {})) {
+            const task = section.tasks.find(candidate => candidate.id === taskId);
+            if (task) return task;
+        }
+        return null;
+    }
+
+    // A task ticked off without an amount (before it had a target, or from a
+    // reminder's "Done" button) counts as the full target
+    getAmount(task, completed = this.tracker.completedTasks, amounts = this.amounts) {
+        const amount = amounts[task.id] || 0;
+        return completed.has(task.id) ? Math.max(amount, task.target) : amount;
+    }
+
+    // How much of a task is done, from 0 to 1
+    getCredit(task, completed = this.tracker.completedTasks, amounts = this.amounts) {
+        if (!QuantityTracker.isQuantityTask(task)) {
+            return completed.has(task.id) ? 1 : 0;
+        }
+        return Math.min(this.getAmount(task, completed, amounts) / task.target, 1);
+    }
+
+    adjust(task, direction) {
+        const from = this.getAmount(task);
+        const amount = Math.max(0, from + direction * QuantityTracker.getStep(task));
+        this.setAmount(task, amount);
+        if (amount !== from) {
+            this.tracker.undo.record({ type: 'amount', taskId: task.id, from: from, to: amount });
+        }
+    }
+
+    setAmount(task, amount, celebrate = true) {
+        if (amount > 0) {
+            this.amounts[task.id] = amount;
+        } else {
+            delete this.amounts[task.id];
+        }
+        this.save();
+
+        const reached = amount >= task.target;
+        if (reached !== this.tracker.completedTasks.has(task.id)) {
+            // Crossing the target goes through the normal completion path so
+            // streaks, reminders and celebrations all follow along
+            this.tracker.setTaskCompleted(task.id, reached, celebrate);
+        } else {
+            this.tracker.updateProgress();
+            this.tracker.history.refresh();
+            this.tracker.stats.refresh();
+            this.updateTaskItem(task.id);
+        }
+    }
+
+    // Swap the checkbox of a task row for a progress ring and +/- buttons
+    setupTaskItem(li, task) {
+        li.classList.add('quantity-task');
+
+        const ring = document.createElement('div');
+        ring.className = 'quantity-ring';
+        ring.setAttribute('role', 'progressbar');
+        ring.setAttribute('aria-valuemin', 0);
+        ring.setAttribute('aria-valuemax', task.target);
+        ring.setAttribute('aria-labelledby', `task-text-${task.id}`);
+        ring.innerHTML = `
+            <svg viewBox="0 0 36 36" aria-hidden="true">
+                <circle class="quantity-ring-track" cx="18" cy="18" r="15"></circle>
+                <circle class="quantity-ring-fill" cx="18" cy="18" r="15" pathLength="100"></circle>
+            </svg>
+            <i class="fas fa-check"></i>
+        `;
+        li.replaceChild(ring, li.querySelector('.task-checkbox'));
+
+        const controls = document.createElement('div');
+        controls.className = 'quantity-controls';
+        controls.innerHTML = `
+            <button type="button" class="quantity-button" data-direction="-1"><i class="fas fa-minus"></i></button>
+            <span class="quantity-amount"></span>
+            <button type="button" class="quantity-button" data-direction="1"><i class="fas fa-plus"></i></button>
+        `;
+        const step = QuantityTracker.getStep(task);
+        const amount = this.tracker.i18n.formatNumber(step) + (task.unit ? ` ${task.unit}` : '');
+        controls.querySelector('[data-direction="-1"]').title = this.tracker.i18n.t('quantities.remove', { amount: amount });
+        controls.querySelector('[data-direction="1"]').title = this.tracker.i18n.t('quantities.add', { amount: amount });
+        controls.querySelectorAll('.quantity-button').forEach(button => {
+            button.setAttribute('aria-label', button.title);
+            button.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.adjust(task, Number(button.dataset.direction));
+            });
+        });
+        li.insertBefore(controls, li.querySelector('.task-streak'));
+
+        // Tapping anywhere else on the row logs one more step
+        li.addEventListener('click', () => this.adjust(task, 1));
+
+        this.updateTaskItem(task.id, li);
+    }
+
+    updateTaskItem(taskId, li = document.querySelector(`[data-task-id="${taskId}"].quantity-task`)) {
+        const task = this.findTask(taskId);
+        if (!li || !task) return;
+
+        const amount = this.getAmount(task);
+        const percentage = Math.round(this.getCredit(task) * 100);
+
+        const ring = li.querySelector('.quantity-ring');
+        ring.setAttribute('aria-valuenow', Math.min(amount, task.target));
+        ring.setAttribute('aria-valuetext', this.formatAmount(amount, task));
+        li.querySelector('.quantity-ring-fill').setAttribute('stroke-dasharray', `${percentage} 100`);
+        li.querySelector('.quantity-amount').textContent = this.formatAmount(amount, task);
+        li.querySelector('[data-direction="-1"]').disabled = amount === 0;
+    }
+}
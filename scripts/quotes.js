@@ -0,0 +1,467 @@
+// Daily Regulation Tracker - Quotes
+//
+// The library in assets/quotes.json tags every quote (calm, motivation,
+// self-compassion, ...) and holds its text per language, falling back to
+// English. Quotes added in the app (userQuotes) join the same pool.
+// quoteSettings keeps which tags feed the daily pick, where "favorites" picks
+// from the favorites and no tags at all means everything, plus the favorite
+// and hidden quote ids:
+//
+//   { tags: ['calm', 'favorites'], favorites: [<id>], hidden: [<id>] }
+//
+// The pick hashes the date into the pool, so it holds for the whole day and
+// only changes when the pool does.
+
+// Asks a quote API for the day's quote instead. Point
+// window.DAILY_CARE_API.quotes at one and it's called as
+//
+//   GET <url>?date=<date>&lang=<language>&tags=<tag,tag>
+//       -> { "text": "...", "author": "..." }
+//
+// The answer is kept for the rest of the day; while the API can't be reached
+// the pick comes from the local library.
+class RemoteQuoteSource {
+    constructor(url) {
+        this.url = url;
+    }
+
+    async fetchQuote({ dateKey, language, tags }) {
+        const url = new URL(this.url, window.location.href);
+        url.searchParams.set('date', dateKey);
+        url.searchParams.set('lang', language);
+        if (tags.length > 0) {
+            url.searchParams.set('tags', tags.join(','));
+        }
+
+        const response = await fetch(url.toString(), { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Quote request failed with status ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data || typeof data.text !== 'string' || !data.text.trim()) {
+            throw new Error('Quote response has no text');
+        }
+        return { text: data.text.trim(), author: typeof data.author === 'string' ? data.author.trim() : '' };
+    }
+}
+
+class QuoteLibrary {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.settingsKey = 'quoteSettings';
+        this.userQuotesKey = 'userQuotes';
+        this.cacheKey = 'quoteCache';
+        this.favoritesTag = 'favorites';
+        this.settings = this.loadSettings();
+        this.userQuotes = this.loadUserQuotes();
+        this.library = [];
+        this.tags = [];
+        this.current = null;
+        this.overlay = null;
+        this.source = tracker.api.quotes ? new RemoteQuoteSource(tracker.api.quotes) : null;
+    }
+
+    async init() {
+        await this.load();
+        this.setupEventListeners();
+        await this.showDailyQuote();
+    }
+
+    async load() {
+        try {
+            const response = await fetch('./assets/quotes.json');
+            const data = await response.json();
+            this.library = data.quotes;
+            this.tags = data.tags;
+        } catch (error) {
+            console.error('Failed to load quotes:', error);
+            this.tracker.showError(this.tracker.i18n.t('errors.quotes'));
+        }
+    }
+
+    loadSettings() {
+        const defaults = { tags: [], favorites: [], hidden: [] };
+        const stored = this.tracker.storage.getItem(this.settingsKey);
+        if (stored) {
+            try {
+                return { ...defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('Invalid quote settings:', error);
+            }
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        this.tracker.storage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    loadUserQuotes() {
+        const stored = this.tracker.storage.getItem(this.userQuotesKey);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error('Invalid user quotes:', error);
+            }
+        }
+        return [];
+    }
+
+    saveUserQuotes() {
+        this.tracker.storage.setItem(this.userQuotesKey, JSON.stringify(this.userQuotes));
+    }
+
+    getText(quote) {
+        if (typeof quote.text === 'string') return quote.text;
+        return quote.text[this.tracker.i18n.language] || quote.text.en;
+    }
+
+    getQuotes() {
+        return this.library.concat(this.userQuotes);
+    }
+
+    findQuote(id) {
+        if (this.current && this.current.id === id) return this.current;
+        return this.getQuotes().find(quote => quote.id === id) || null;
+    }
+
+    isFavorite(quote) {
+        return this.settings.favorites.includes(quote.id);
+    }
+
+    isHidden(quote) {
+        return this.settings.hidden.includes(quote.id);
+    }
+
+    // Quotes matching any chosen tag. If that leaves nothing (favorites
+    // chosen but none marked yet, say) every visible quote is used instead.
+    getPool() {
+        const visible = this.getQuotes().filter(quote => !this.isHidden(quote));
+        const tags = this.settings.tags;
+        if (tags.length === 0) return visible;
+
+        const pool = visible.filter(quote =>
+            (tags.includes(this.favoritesTag) && this.isFavorite(quote)) ||
+            (quote.tags || []).some(tag => tags.includes(tag)));
+        return pool.length > 0 ? pool : visible;
+    }
+
+    pickDaily(dateKey) {
+        const pool = this.getPool();
+        if (pool.length === 0) return null;
+        return pool[Math.abs(this.tracker.hashCode(dateKey) % pool.length)];
+    }
+
+    // Remote quotes are only kept for the day they were fetched, so their id
+    // is made from the text to let them be hidden or favorited all the same
+    async fetchRemoteQuote(dateKey) {
+        const language = this.tracker.i18n.language;
+        const tags = this.settings.tags;
+        const cacheId = JSON.stringify([dateKey, language, tags]);
+
+        let cached = null;
+        try {
+            cached = JSON.parse(this.tracker.storage.getItem(this.cacheKey));
+        } catch (error) {
+            console.error('Invalid quote cache:', error);
+        }
+        if (cached && cached.id === cacheId) return cached.quote;
+
+        const fetched = await this.source.fetchQuote({ dateKey, language, tags });
+        const quote = {
+            id: `remote-${Math.abs(this.tracker.hashCode(fetched.text)).toString(36)}`,
+            text: fetched.text,
+            author: fetched.author,
+            remote: true
+        };
+        this.tracker.storage.setItem(this.cacheKey, JSON.stringify({ id: cacheId, quote: quote }));
+        return quote;
+    }
+
+    async getDailyQuote() {
+        const dateKey = this.tracker.getCurrentDateKey();
+        if (this.source) {
+            try {
+                const quote = await this.fetchRemoteQuote(dateKey);
+                if (!this.isHidden(quote)) return quote;
+            } catch (error) {
+                console.error('Remote quote failed, using the local library:', error);
+            }
+        }
+        return this.pickDaily(dateKey);
+    }
+
+    async showDailyQuote() {
+        this.current = await this.getDailyQuote();
+        this.render();
+    }
+
+    setupEventListeners() {
+        const content = document.getElementById('quoteContent');
+        if (!content) return;
+
+        content.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-quote-action]');
+            if (!button) return;
+
+            const action = button.dataset.quoteAction;
+            if (action === 'manage') {
+                this.openDialog();
+            } else if (this.current && action === 'favorite') {
+                this.toggleFavorite(this.current);
+            } else if (this.current && action === 'hide') {
+                this.hide(this.current);
+            }
+        });
+    }
+
+    render() {
+        const content = document.getElementById('quoteContent');
+        if (!content) return;
+
+        const i18n = this.tracker.i18n;
+        const quote = this.current;
+        const favorite = Boolean(quote) && this.isFavorite(quote);
+        content.innerHTML = `
+            <div class="quote-text"></div>
+            <div class="quote-footer">
+                <div class="quote-actions">
+                    <button type="button" class="quote-action" data-quote-action="favorite" aria-pressed="${favorite}" title="${i18n.t('quote.favorite')}" aria-label="${i18n.t('quote.favorite')}">
+                        <i class="${favorite ? 'fas' : 'far'} fa-heart"></i>
+                    </button>
+                    <button type="button" class="quote-action" data-quote-action="hide" title="${i18n.t('quote.hide')}" aria-label="${i18n.t('quote.hide')}">
+                        <i class="fas fa-eye-slash"></i>
+                    </button>
+                    <button type="button" class="quote-action" data-quote-action="manage" title="${i18n.t('quote.manage')}" aria-label="${i18n.t('quote.manage')}">
+                        <i class="fas fa-sliders"></i>
+                    </button>
+                </div>
+                <div class="quote-author"></div>
+            </div>
+        `;
+
+        // Nothing left to show: every quote hidden, or the library didn't load
+        const text = quote ? this.getText(quote) : i18n.t('quote.fallbackText');
+        const author = quote ? quote.author : i18n.t('quote.fallbackAuthor');
+        content.querySelector('.quote-text').textContent = `"${text}"`;
+        content.querySelector('.quote-author').textContent = author ? `— ${author}` : '';
+        content.querySelector('[data-quote-action="favorite"]').hidden = !quote;
+        content.querySelector('[data-quote-action="hide"]').hidden = !quote;
+    }
+
+    toggleFavorite(quote) {
+        // A remote quote is gone tomorrow, so keep a copy among your own
+        if (quote.remote && !this.isFavorite(quote)) {
+            this.userQuotes.push({ id: quote.id, text: quote.text, author: quote.author, tags: [] });
+            this.saveUserQuotes();
+        }
+
+        const favorites = new Set(this.settings.favorites);
+        if (favorites.has(quote.id)) {
+            favorites.delete(quote.id);
+        } else {
+            favorites.add(quote.id);
+        }
+        this.settings.favorites = [...favorites];
+        this.saveSettings();
+        this.render();
+        this.renderDialog();
+    }
+
+    hide(quote) {
+        this.setHidden(quote.id, true);
+        this.tracker.toast.show(this.tracker.i18n.t('quote.hidden'), {
+            action: { label: this.tracker.i18n.t('undo.undo'), onClick: () => this.setHidden(quote.id, false) }
+        });
+    }
+
+    setHidden(id, hidden) {
+        const ids = new Set(this.settings.hidden);
+        if (hidden) {
+            ids.add(id);
+        } else {
+            ids.delete(id);
+        }
+        this.settings.hidden = [...ids];
+        this.saveSettings();
+        this.renderDialog();
+        return this.showDailyQuote();
+    }
+
+    setTags(tags) {
+        this.settings.tags = tags;
+        this.saveSettings();
+        return this.showDailyQuote();
+    }
+
+    addUserQuote(text, author, tags) {
+        const existing = new Set(this.getQuotes().map(quote => quote.id));
+        let id;
+        do {
+            id = `user-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        } while (existing.has(id));
+
+        this.userQuotes.push({ id: id, text: text, author: author, tags: tags });
+        this.saveUserQuotes();
+        this.renderDialog();
+        return this.showDailyQuote();
+    }
+
+    deleteUserQuote(quote) {
+        if (!confirm(this.tracker.i18n.t('quote.deleteConfirm'))) return;
+
+        this.userQuotes = this.userQuotes.filter(candidate => candidate.id !== quote.id);
+        this.settings.favorites = this.settings.favorites.filter(id => id !== quote.id);
+        this.settings.hidden = this.settings.hidden.filter(id => id !== quote.id);
+        this.saveUserQuotes();
+        this.saveSettings();
+        this.renderDialog();
+        return this.showDailyQuote();
+    }
+
+    getTagLabel(tag) {
+        return this.tracker.i18n.t(`quote.tags.${tag}`);
+    }
+
+    openDialog() {
+        const i18n = this.tracker.i18n;
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal-dialog quote-dialog" role="dialog" aria-modal="true" aria-labelledby="quotesTitle">
+                <h3 id="quotesTitle">${i18n.t('quote.title')}</h3>
+                <fieldset class="quote-tags" data-list="tags">
+                    <legend>${i18n.t('quote.dailyFrom')}</legend>
+                </fieldset>
+                <p class="quote-hint">${i18n.t('quote.tagsHint')}</p>
+                <h4>${i18n.t('quote.yourQuotes')}</h4>
+                <ul class="profile-list quote-list" data-list="own"></ul>
+                <form class="quote-form">
+                    <div class="settings-field">
+                        <label for="quoteTextInput">${i18n.t('quote.text')}</label>
+                        <textarea id="quoteTextInput" rows="2" required></textarea>
+                    </div>
+                    <div class="settings-field">
+                        <label for="quoteAuthorInput">${i18n.t('quote.author')}</label>
+                        <input type="text" id="quoteAuthorInput">
+                    </div>
+                    <fieldset class="quote-tags" data-list="formTags"></fieldset>
+                    <div class="modal-actions">
+                        <button type="submit" class="editor-button">${i18n.t('quote.add')}</button>
+                    </div>
+                </form>
+                <h4>${i18n.t('quote.favorites')}</h4>
+                <ul class="profile-list quote-list" data-list="favorites"></ul>
+                <h4>${i18n.t('quote.hiddenTitle')}</h4>
+                <ul class="profile-list quote-list" data-list="hidden"></ul>
+                <div class="modal-actions">
+                    <button type="button" class="editor-button primary" data-action="close">${i18n.t('common.close')}</button>
+                </div>
+            </div>
+        `;
+
+        const form = this.overlay.querySelector('.quote-form');
+        this.tags.forEach(tag => form.querySelector('[data-list="formTags"]').appendChild(this.createTagOption(tag, false)));
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const text = form.querySelector('#quoteTextInput').value.trim();
+            if (!text) return;
+
+            const tags = [...form.querySelectorAll('[data-list="formTags"] input:checked')].map(input => input.value);
+            this.addUserQuote(text, form.querySelector('#quoteAuthorInput').value.trim(), tags);
+            form.reset();
+        });
+
+        const tagList = this.overlay.querySelector('[data-list="tags"]');
+        this.tags.concat(this.favoritesTag).forEach(tag => {
+            tagList.appendChild(this.createTagOption(tag, this.settings.tags.includes(tag)));
+        });
+        tagList.addEventListener('change', () => {
+            this.setTags([...tagList.querySelectorAll('input:checked')].map(input => input.value));
+        });
+
+        this.overlay.querySelector('[data-action="close"]').addEventListener('click', () => this.closeDialog());
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.closeDialog();
+        });
+
+        document.body.appendChild(this.overlay);
+        this.renderDialog();
+        this.overlay.querySelector('#quoteTextInput').focus();
+    }
+
+    closeDialog() {
+        if (this.overlay) {
+            document.body.removeChild(this.overlay);
+            this.overlay = null;
+        }
+    }
+
+    createTagOption(tag, checked) {
+        const label = document.createElement('label');
+        label.className = 'quote-tag-option';
+        label.innerHTML = '<input type="checkbox"> <span></span>';
+        label.querySelector('input').value = tag;
+        label.querySelector('input').checked = checked;
+        label.querySelector('span').textContent = this.getTagLabel(tag);
+        return label;
+    }
+
+    renderDialog() {
+        if (!this.overlay) return;
+
+        const i18n = this.tracker.i18n;
+        const quotes = this.getQuotes();
+        this.renderList('own', this.userQuotes, [
+            { icon: 'fa-trash', label: i18n.t('quote.delete'), run: quote => this.deleteUserQuote(quote) }
+        ]);
+        this.renderList('favorites', quotes.filter(quote => this.isFavorite(quote)), [
+            { icon: 'fa-heart-crack', label: i18n.t('quote.unfavorite'), run: quote => this.toggleFavorite(quote) }
+        ]);
+        this.renderList('hidden', quotes.filter(quote => this.isHidden(quote)), [
+            { icon: 'fa-eye', label: i18n.t('quote.unhide'), run: quote => this.setHidden(quote.id, false) }
+        ]);
+    }
+
+    renderList(name, quotes, actions) {
+        const list = this.overlay.querySelector(`[data-list="${name}"]`);
+        list.innerHTML = '';
+
+        if (quotes.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'quote-hint';
+            empty.textContent = this.tracker.i18n.t('quote.none');
+            list.appendChild(empty);
+            return;
+        }
+
+        quotes.forEach(quote => {
+            const item = document.createElement('li');
+            item.className = 'profile-item';
+            item.innerHTML = `
+                <span class="quote-list-info">
+                    <span class="quote-list-text"></span>
+                    <span class="quote-list-author"></span>
+                </span>
+            `;
+            item.querySelector('.quote-list-text').textContent = this.getText(quote);
+            item.querySelector('.quote-list-author').textContent = [
+                quote.author,
+                ...(quote.tags || []).map(tag => this.getTagLabel(tag))
+            ].filter(Boolean).join(' · ');
+
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'editor-icon-button';
+                button.title = action.label;
+                button.setAttribute('aria-label', action.label);
+                button.innerHTML = `<i class="fas ${action.icon}"></i>`;
+                button.addEventListener('click', () => action.run(quote));
+                item.appendChild(button);
+            });
+            list.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,80 @@
+// Daily Regulation Tracker - Task Recurrence Rules
+//
+// A task may carry an optional "repeat" field. Without one it shows up every
+// day. A rule object combines any of these, and all of them must match:
+//
+//   "days":  ["mon", "wed", "fri"]       days of the week (names or 0-6)
+//   "every": 30, "start": "2026-01-01"   every N days counted from start
+//   "dates": ["2026-12-25"]              only on these dates
+//   "from": "2026-06-01",
+//   "until": "2026-08-31"                only inside this range (inclusive)
+//
+// "repeat" can also be an array of rule objects; the task then applies when
+// any one of them matches.
+
+class TaskRecurrence {
+    static get weekdays() {
+        return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    }
+
+    static appliesOn(repeat, dateKey) {
+        if (!repeat) return true;
+        if (Array.isArray(repeat)) {
+            return repeat.length === 0 || repeat.some(rule => TaskRecurrence.ruleMatches(rule, dateKey));
+        }
+        return TaskRecurrence.ruleMatches(repeat, dateKey);
+    }
+
+    static ruleMatches(rule, dateKey) {
+        if (rule.from && dateKey < rule.from) return false;
+        if (rule.until && dateKey > rule.until) return false;
+
+        if (Array.isArray(rule.dates) && !rule.dates.includes(dateKey)) {
+            return false;
+        }
+
+        if (Array.isArray(rule.days)) {
+            const weekday = DateKeys.getWeekday(dateKey);
+            const days = rule.days.map(day => TaskRecurrence.normalizeWeekday(day));
+            if (!days.includes(weekday)) return false;
+        }
+
+        if (rule.every > 1) {
+            const start = rule.start || '1970-01-01';
+            const elapsed = DateKeys.daysBetween(start, dateKey);
+            if (elapsed < 0 || elapsed % rule.every !== 0) return false;
+        }
+
+        return true;
+    }
+
+    static normalizeWeekday(day) {
+        if (typeof day === 'number') return day;
+        return TaskRecurrence.weekdays.indexOf(String(day).slice(0, 3).toLowerCase());
+    }
+
+    static describe(repeat, i18n) {
+        if (!repeat) return i18n.t('recurrence.everyDay');
+
+        const rules = Array.isArray(repeat) ? repeat : [repeat];
+        const weekdayNames = i18n.weekdayNames('short');
+        return rules.map(rule => {
+            const parts = [];
+            if (Array.isArray(rule.days)) {
+                parts.push(rule.days
+                    .map(day => weekdayNames[TaskRecurrence.normalizeWeekday(day)])
+                    .join('/'));
+            }
+            if (rule.every > 1) {
+                parts.push(i18n.t('recurrence.everyDays', { count: rule.every }));
+            }
+            if (Array.isArray(rule.dates)) {
+                parts.push(rule.dates.join(', '));
+            }
+            if (rule.from || rule.until) {
+                parts.push(`${rule.from || '…'} – ${rule.until || '…'}`);
+            }
+            return parts.join(', ') || i18n.t('recurrence.everyDay');
+        }).join(i18n.t('recurrence.or'));
+    }
+}
@@ -0,0 +1,364 @@
+// Daily Regulation Tracker - Reminders
+//
+// Sections and tasks may carry a "remind" time ("HH:MM"). A task reminds at
+// its own time, falls back to its section's, and opts out with false.
+
+class ReminderScheduler {
+    constructor(tracker, clock) {
+        this.tracker = tracker;
+        this.clock = clock;
+        this.settingsKey = 'reminderSettings';
+        this.statePrefix = 'reminders_';
+        this.settings = this.loadSettings();
+        this.state = this.loadState();
+        this.timerId = null;
+        this.notifications = new Map();
+        this.maxNotifications = 3;
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.clock.onTick(() => this.check());
+        this.check();
+    }
+
+    isSupported() {
+        return 'Notification' in window;
+    }
+
+    loadSettings() {
+        const defaults = { enabled: false, snoozeMinutes: 10 };
+        const stored = this.tracker.storage.getItem(this.settingsKey);
+        if (stored) {
+            try {
+                return { ...defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('Invalid reminder settings:', error);
+            }
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        this.tracker.storage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    // Which reminders already fired or were snoozed today, so a reload
+    // doesn't notify about the same task twice
+    loadState() {
+        const stored = this.tracker.storage.getItem(this.statePrefix + this.tracker.getCurrentDateKey());
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error('Invalid reminder state:', error);
+            }
+        }
+        return { fired: {}, snoozed: {} };
+    }
+
+    saveState() {
+        this.tracker.storage.setItem(this.statePrefix + this.tracker.getCurrentDateKey(), JSON.stringify(this.state));
+    }
+
+    setupEventListeners() {
+        const toggle = document.getElementById('reminderToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.toggle());
+        }
+        this.renderToggle();
+
+        // Notification buttons pressed while the app is open
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'reminder-action') {
+                    this.handleAction(event.data.action, event.data.taskId);
+                }
+            });
+        }
+
+        // ...or pressed while it was closed, in which case the service worker
+        // opened it with the action in the URL
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('reminderAction') && params.has('task')) {
+            this.handleAction(params.get('reminderAction'), params.get('task'));
+            window.history.replaceState(null, '', window.location.pathname);
+        }
+    }
+
+    async toggle() {
+        if (this.settings.enabled) {
+            this.settings.enabled = false;
+            this.saveSettings();
+            this.closeAllNotifications();
+            this.check();
+            return;
+        }
+
+        if (this.isSupported() && Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+        if (!this.isSupported() || Notification.permission === 'denied') {
+            alert(this.tracker.i18n.t('reminders.unavailable'));
+        }
+
+        this.settings.enabled = true;
+        this.saveSettings();
+        this.check();
+    }
+
+    getReminders() {
+        const schedule = this.tracker.schedule;
+        if (!schedule) return [];
+
+        const dateKey = this.tracker.getCurrentDateKey();
+        const reminders = [];
+
+        Object.keys(schedule).forEach(sectionKey => {
+            const section = schedule[sectionKey];
+            this.tracker.getTasksForDate(section, dateKey).forEach(task => {
+                const time = task.remind === false ? null : (task.remind || section.remind);
+                if (time) {
+                    reminders.push({
+                        task: task,
+                        section: section,
+                        sectionKey: sectionKey,
+                        time: this.tracker.dateKeys.timeOnDay(dateKey, time)
+                    });
+                }
+            });
+        });
+
+        return reminders;
+    }
+
+    isSnoozed(taskId, now) {
+        const until = this.state.snoozed[taskId];
+        return until !== undefined && until > now.getTime();
+    }
+
+    getDueReminders(now = this.clock.now()) {
+        return this.getReminders().filter(reminder => {
+            const taskId = reminder.task.id;
+            if (this.tracker.completedTasks.has(taskId) || reminder.time > now) {
+                return false;
+            }
+            if (this.state.snoozed[taskId] !== undefined) {
+                return !this.isSnoozed(taskId, now);
+            }
+            return this.state.fired[taskId] === undefined;
+        });
+    }
+
+    getPendingReminders(now = this.clock.now()) {
+        return this.getReminders().filter(reminder => {
+            const taskId = reminder.task.id;
+            return this.state.fired[taskId] !== undefined &&
+                !this.tracker.completedTasks.has(taskId) &&
+                !this.isSnoozed(taskId, now);
+        });
+    }
+
+    check() {
+        const now = this.clock.now();
+
+        if (this.settings.enabled) {
+            const due = this.getDueReminders(now);
+            due.forEach(reminder => {
+                const taskId = reminder.task.id;
+                this.state.fired[taskId] = now.getTime();
+                delete this.state.snoozed[taskId];
+            });
+
+            // Opening the app late in the day shouldn't flood the tray
+            if (due.length > this.maxNotifications) {
+                this.notifySummary(due);
+            } else {
+                due.forEach(reminder => this.notify(reminder));
+            }
+            this.saveState();
+        }
+
+        // Finished tasks shouldn't keep nagging from the notification tray
+        Object.keys(this.state.fired).forEach(taskId => {
+            if (this.tracker.completedTasks.has(taskId)) {
+                this.closeNotification(taskId);
+            }
+        });
+
+        this.renderToggle();
+        this.renderBanner(now);
+        this.scheduleNext(now);
+    }
+
+    // Besides the minute tick, aim a timer at the next reminder so it fires
+    // on time while the page is open
+    scheduleNext(now) {
+        this.clock.cancel(this.timerId);
+        this.timerId = null;
+        if (!this.settings.enabled) return;
+
+        const upcoming = [];
+        this.getReminders().forEach(reminder => {
+            const taskId = reminder.task.id;
+            if (this.tracker.completedTasks.has(taskId)) return;
+
+            if (this.isSnoozed(taskId, now)) {
+                upcoming.push(this.state.snoozed[taskId]);
+            } else if (reminder.time > now && this.state.fired[taskId] === undefined) {
+                upcoming.push(reminder.time.getTime());
+            }
+        });
+
+        if (upcoming.length > 0) {
+            this.timerId = this.clock.at(new Date(Math.min(...upcoming)), () => this.check());
+        }
+    }
+
+    async getServiceWorkerRegistration() {
+        if (!('serviceWorker' in navigator)) return null;
+        try {
+            return (await navigator.serviceWorker.getRegistration()) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Notifications shown through the service worker get "Done" and "Snooze"
+    // buttons; plain page notifications just bring the app to the front
+    async notify(reminder) {
+        if (!this.isSupported() || Notification.permission !== 'granted') return;
+
+        const taskId = reminder.task.id;
+        const i18n = this.tracker.i18n;
+        const title = i18n.sectionTitle(reminder.sectionKey, reminder.section);
+        const options = {
+            body: i18n.t('reminders.stillToDo', { task: i18n.taskText(reminder.task) }),
+            tag: `reminder-${taskId}`,
+            icon: 'assets/icons/icon-192.png',
+            data: { taskId: taskId }
+        };
+
+        const registration = await this.getServiceWorkerRegistration();
+        if (registration) {
+            await registration.showNotification(title, {
+                ...options,
+                actions: [
+                    { action: 'done', title: i18n.t('reminders.markDone') },
+                    { action: 'snooze', title: i18n.t('reminders.snooze', { minutes: this.settings.snoozeMinutes }) }
+                ]
+            });
+            return;
+        }
+
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+        notification.onclose = () => this.notifications.delete(taskId);
+        this.notifications.set(taskId, notification);
+    }
+
+    async notifySummary(reminders) {
+        if (!this.isSupported() || Notification.permission !== 'granted') return;
+
+        const i18n = this.tracker.i18n;
+        const title = i18n.t('app.name');
+        const options = {
+            body: i18n.t('reminders.summary', {
+                count: reminders.length,
+                tasks: reminders.map(reminder => i18n.taskText(reminder.task)).join(', ')
+            }),
+            tag: 'reminder-summary',
+            icon: 'assets/icons/icon-192.png'
+        };
+
+        const registration = await this.getServiceWorkerRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+            return;
+        }
+
+        const notification = new Notification(title, options);
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+    }
+
+    async closeNotification(taskId) {
+        const notification = this.notifications.get(taskId);
+        if (notification) {
+            notification.close();
+            this.notifications.delete(taskId);
+        }
+
+        const registration = await this.getServiceWorkerRegistration();
+        if (registration && registration.getNotifications) {
+            const shown = await registration.getNotifications({ tag: `reminder-${taskId}` });
+            shown.forEach(item => item.close());
+        }
+    }
+
+    closeAllNotifications() {
+        Object.keys(this.state.fired).forEach(taskId => this.closeNotification(taskId));
+    }
+
+    handleAction(action, taskId) {
+        if (action === 'done') {
+            this.markDone(taskId);
+        } else if (action === 'snooze') {
+            this.snooze(taskId);
+        }
+    }
+
+    markDone(taskId) {
+        if (!this.tracker.completedTasks.has(taskId)) {
+            this.tracker.toggleTask(taskId);
+        }
+        this.check();
+    }
+
+    snooze(taskId) {
+        const until = this.clock.now().getTime() + this.settings.snoozeMinutes * 60000;
+        this.state.snoozed[taskId] = until;
+        this.saveState();
+
+        this.closeNotification(taskId);
+        this.check();
+    }
+
+    renderToggle() {
+        const toggle = document.getElementById('reminderToggle');
+        if (!toggle) return;
+
+        toggle.classList.toggle('active', this.settings.enabled);
+        toggle.title = this.tracker.i18n.t(this.settings.enabled ? 'reminders.on' : 'reminders.off');
+        toggle.innerHTML = `<i class="fas ${this.settings.enabled ? 'fa-bell' : 'fa-bell-slash'}"></i>`;
+    }
+
+    renderBanner(now) {
+        const banner = document.getElementById('reminderBanner');
+        if (!banner) return;
+
+        const pending = this.settings.enabled ? this.getPendingReminders(now) : [];
+        banner.innerHTML = '';
+        banner.hidden = pending.length === 0;
+
+        pending.forEach(reminder => {
+            const item = document.createElement('div');
+            item.className = 'reminder-item';
+            item.innerHTML = `
+                <i class="fas fa-bell"></i>
+                <span class="reminder-text"></span>
+                <button type="button" class="reminder-action" data-action="done">${this.tracker.i18n.t('reminders.done')}</button>
+                <button type="button" class="reminder-action" data-action="snooze">${this.tracker.i18n.t('reminders.snooze', { minutes: this.settings.snoozeMinutes })}</button>
+            `;
+            item.querySelector('.reminder-text').textContent = this.tracker.i18n.taskText(reminder.task);
+            item.querySelector('[data-action="done"]').addEventListener('click', () => this.markDone(reminder.task.id));
+            item.querySelector('[data-action="snooze"]').addEventListener('click', () => this.snooze(reminder.task.id));
+            banner.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,684 @@
+// Daily Regulation Tracker - Schedule Editor
+
+class ScheduleEditor {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.storageKey = 'customSchedule';
+        this.draft = null;
+        this.dragged = null;
+        this.openIconPicker = null;
+        this.icons = [
+            'fa-sun', 'fa-moon', 'fa-cloud-sun', 'fa-star', 'fa-heart', 'fa-leaf',
+            'fa-tooth', 'fa-pills', 'fa-brush', 'fa-shower', 'fa-soap', 'fa-bath',
+            'fa-glass-water', 'fa-mug-hot', 'fa-bowl-food', 'fa-apple-whole', 'fa-carrot', 'fa-utensils',
+            'fa-dumbbell', 'fa-person-running', 'fa-person-walking', 'fa-bicycle', 'fa-spa', 'fa-person-praying',
+            'fa-bed', 'fa-couch', 'fa-book', 'fa-music', 'fa-headphones', 'fa-pen',
+            'fa-calendar-check', 'fa-list-check', 'fa-broom', 'fa-shirt', 'fa-dog', 'fa-phone',
+            'fa-laptop', 'fa-briefcase', 'fa-house', 'fa-car', 'fa-cart-shopping', 'fa-seedling'
+        ];
+        this.defaultCategories = [
+            'hygiene', 'health', 'hydration', 'routine', 'planning',
+            'fitness', 'nutrition', 'wellness', 'sleep'
+        ];
+    }
+
+    loadCustomSchedule() {
+        const stored = this.tracker.storage.getItem(this.storageKey);
+        if (stored) {
+            try {
+                const schedule = JSON.parse(stored);
+                if (ScheduleSchema.isObject(schedule)) {
+                    return ScheduleSchema.normalize(schedule);
+                }
+                console.error('Custom schedule is not an object, using default:', schedule);
+            } catch (error) {
+                console.error('Invalid custom schedule, using default:', error);
+            }
+        }
+        return null;
+    }
+
+    isEditing() {
+        return this.draft !== null;
+    }
+
+    setupEventListeners() {
+        const editButton = document.getElementById('editScheduleButton');
+        if (editButton) {
+            editButton.addEventListener('click', () => {
+                if (this.isEditing()) {
+                    this.close();
+                } else {
+                    this.open();
+                }
+            });
+        }
+
+        // Close the icon picker when clicking anywhere else
+        document.addEventListener('click', (event) => {
+            if (this.openIconPicker && !this.openIconPicker.contains(event.target)) {
+                this.closeIconPicker();
+            }
+        });
+    }
+
+    open() {
+        this.draft = JSON.parse(JSON.stringify(this.tracker.schedule || {}));
+        document.body.classList.add('editing-schedule');
+        this.updateEditButton();
+        this.render();
+    }
+
+    close() {
+        this.draft = null;
+        this.dragged = null;
+        document.body.classList.remove('editing-schedule');
+        this.updateEditButton();
+        this.tracker.renderSchedule();
+    }
+
+    updateEditButton() {
+        const editButton = document.getElementById('editScheduleButton');
+        if (!editButton) return;
+
+        editButton.innerHTML = this.isEditing()
+            ? `<i class="fas fa-xmark"></i> ${this.tracker.i18n.t('editor.cancel')}`
+            : `<i class="fas fa-pen"></i> ${this.tracker.i18n.t('editor.edit')}`;
+    }
+
+    save() {
+        const problem = this.validate(this.draft);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+
+        const history = this.tracker.history;
+
+        // Freeze past days against the schedule they were tracked with, so
+        // removed tasks don't change historical totals
+        history.snapshotMissingDays(this.tracker.schedule);
+
+        this.tracker.schedule = this.draft;
+        this.tracker.storage.setItem(this.storageKey, JSON.stringify(this.draft));
+        history.saveScheduleSnapshot(this.tracker.getCurrentDateKey(), this.draft);
+
+        this.close();
+        this.tracker.refreshAfterScheduleChange();
+    }
+
+    async resetToDefault() {
+        if (!confirm(this.tracker.i18n.t('editor.resetConfirm'))) {
+            return;
+        }
+
+        try {
+            this.draft = await this.tracker.fetchDefaultSchedule();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load default schedule:', error);
+            this.tracker.showError(this.tracker.i18n.t('editor.resetFailed'));
+        }
+    }
+
+    validate(schedule) {
+        const sectionKeys = Object.keys(schedule);
+        if (sectionKeys.length === 0) {
+            return this.tracker.i18n.t('editor.needsSection');
+        }
+
+        for (const key of sectionKeys) {
+            const section = schedule[key];
+            if (!section.title.trim()) {
+                return this.tracker.i18n.t('editor.needsTitle');
+            }
+            if (section.tasks.some(task => !task.text.trim())) {
+                return this.tracker.i18n.t('editor.needsTaskName', { section: this.tracker.i18n.sectionTitle(key, section) });
+            }
+        }
+
+        // Anything the friendlier checks above don't cover
+        const problems = ScheduleSchema.validate(schedule);
+        if (problems.length > 0) {
+            return [
+                this.tracker.i18n.t('errors.scheduleInvalid'),
+                ...problems.map(problem => ScheduleSchema.describe(problem, this.tracker.i18n))
+            ].join('\n');
+        }
+        return null;
+    }
+
+    // Ids are generated once and never change on rename, which is what keeps
+    // stored completions attached to the right task across edits
+    generateId(prefix, text) {
+        const slug = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || prefix;
+        const existing = new Set([
+            ...Object.keys(this.draft),
+            ...Object.values(this.draft).flatMap(section => section.tasks.map(task => task.id)),
+            ...this.tracker.completedTasks
+        ]);
+
+        let id = slug;
+        let suffix = 2;
+        while (existing.has(id)) {
+            id = `${slug}-${suffix++}`;
+        }
+        return id;
+    }
+
+    getCategories() {
+        const categories = new Set(this.defaultCategories);
+        Object.values(this.draft).forEach(section => {
+            section.tasks.forEach(task => {
+                if (task.category) categories.add(task.category);
+            });
+        });
+        return [...categories].sort();
+    }
+
+    addSection() {
+        const key = this.generateId('section', 'section');
+        this.draft[key] = {
+            title: this.tracker.i18n.t('editor.newSection'),
+            icon: 'fa-star',
+            color: '#667eea',
+            tasks: []
+        };
+        this.render();
+    }
+
+    removeSection(key) {
+        const section = this.draft[key];
+        const message = this.tracker.i18n.t('editor.deleteSectionConfirm', {
+            section: this.tracker.i18n.sectionTitle(key, section),
+            count: section.tasks.length
+        });
+        if (section.tasks.length > 0 && !confirm(message)) {
+            return;
+        }
+        delete this.draft[key];
+        this.render();
+    }
+
+    moveSection(key, targetIndex) {
+        const keys = Object.keys(this.draft).filter(item => item !== key);
+        const index = Math.max(0, Math.min(keys.length, targetIndex));
+        keys.splice(index, 0, key);
+
+        const reordered = {};
+        keys.forEach(item => {
+            reordered[item] = this.draft[item];
+        });
+        this.draft = reordered;
+        this.render();
+    }
+
+    addTask(sectionKey) {
+        const task = {
+            id: this.generateId('task', 'new-task'),
+            text: '',
+            icon: 'fa-star',
+            category: 'routine'
+        };
+        this.draft[sectionKey].tasks.push(task);
+        this.render();
+
+        const input = document.querySelector(`[data-edit-task-id="${task.id}"] .editor-task-text`);
+        if (input) input.focus();
+    }
+
+    removeTask(sectionKey, index) {
+        this.draft[sectionKey].tasks.splice(index, 1);
+        this.render();
+    }
+
+    moveTask(fromSection, fromIndex, toSection, toIndex) {
+        const [task] = this.draft[fromSection].tasks.splice(fromIndex, 1);
+        const tasks = this.draft[toSection].tasks;
+
+        // Removing the task first shifts later positions in the same list
+        if (fromSection === toSection && fromIndex < toIndex) {
+            toIndex--;
+        }
+        tasks.splice(Math.max(0, Math.min(tasks.length, toIndex)), 0, task);
+        this.render();
+    }
+
+    render() {
+        const container = document.getElementById('scheduleContainer');
+        if (!container || !this.draft) return;
+
+        container.innerHTML = '';
+
+        const categoryList = document.createElement('datalist');
+        categoryList.id = 'editorCategories';
+        this.getCategories().forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            categoryList.appendChild(option);
+        });
+        container.appendChild(categoryList);
+
+        const sectionKeys = Object.keys(this.draft);
+        sectionKeys.forEach((key, index) => {
+            container.appendChild(this.createSectionEditor(key, this.draft[key], index, sectionKeys.length));
+        });
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'editor-toolbar';
+        const i18n = this.tracker.i18n;
+        toolbar.innerHTML = `
+            <button type="button" class="editor-button" data-action="add-section">
+                <i class="fas fa-plus"></i> ${i18n.t('editor.addSection')}
+            </button>
+            <button type="button" class="editor-button" data-action="reset-default">
+                <i class="fas fa-rotate-left"></i> ${i18n.t('editor.useDefault')}
+            </button>
+            <button type="button" class="editor-button primary" data-action="save">
+                <i class="fas fa-floppy-disk"></i> ${i18n.t('editor.save')}
+            </button>
+        `;
+        toolbar.querySelector('[data-action="add-section"]').addEventListener('click', () => this.addSection());
+        toolbar.querySelector('[data-action="reset-default"]').addEventListener('click', () => this.resetToDefault());
+        toolbar.querySelector('[data-action="save"]').addEventListener('click', () => this.save());
+        container.appendChild(toolbar);
+    }
+
+    createSectionEditor(key, section, index, count) {
+        const sectionDiv = document.createElement('div');
+        sectionDiv.className = 'schedule-section editor-section';
+        sectionDiv.dataset.sectionKey = key;
+        sectionDiv.style.setProperty('--section-color', section.color || '#667eea');
+
+        const header = document.createElement('div');
+        header.className = 'section-header editor-section-header';
+        const i18n = this.tracker.i18n;
+        header.innerHTML = `
+            <span class="drag-handle" draggable="true" title="${i18n.t('editor.dragToReorder')}"><i class="fas fa-grip-vertical"></i></span>
+            <input type="text" class="editor-section-title" aria-label="${i18n.t('editor.sectionTitle')}">
+            <input type="time" class="editor-section-remind" aria-label="${i18n.t('editor.sectionReminder')}" title="${i18n.t('editor.reminderTime')}">
+            <input type="color" class="editor-section-color" aria-label="${i18n.t('editor.sectionColor')}">
+            <button type="button" class="editor-icon-button" data-action="up" title="${i18n.t('editor.moveUp')}"><i class="fas fa-arrow-up"></i></button>
+            <button type="button" class="editor-icon-button" data-action="down" title="${i18n.t('editor.moveDown')}"><i class="fas fa-arrow-down"></i></button>
+            <button type="button" class="editor-icon-button" data-action="delete" title="${i18n.t('editor.deleteSection')}"><i class="fas fa-trash"></i></button>
+        `;
+
+        header.insertBefore(this.createIconPicker(section.icon, icon => {
+            section.icon = icon;
+        }), header.querySelector('.editor-section-title'));
+
+        // Shown translated; the stored title only changes once it is edited
+        const titleInput = header.querySelector('.editor-section-title');
+        titleInput.value = i18n.sectionTitle(key, section);
+        titleInput.addEventListener('input', () => {
+            section.title = titleInput.value;
+        });
+
+        const remindInput = header.querySelector('.editor-section-remind');
+        remindInput.value = section.remind || '';
+        remindInput.addEventListener('input', () => {
+            if (remindInput.value) {
+                section.remind = remindInput.value;
+            } else {
+                delete section.remind;
+            }
+        });
+
+        const colorInput = header.querySelector('.editor-section-color');
+        colorInput.value = section.color || '#667eea';
+        colorInput.addEventListener('input', () => {
+            section.color = colorInput.value;
+            sectionDiv.style.setProperty('--section-color', section.color);
+        });
+
+        const upButton = header.querySelector('[data-action="up"]');
+        const downButton = header.querySelector('[data-action="down"]');
+        upButton.disabled = index === 0;
+        downButton.disabled = index === count - 1;
+        upButton.addEventListener('click', () => this.moveSection(key, index - 1));
+        downButton.addEventListener('click', () => this.moveSection(key, index + 1));
+        header.querySelector('[data-action="delete"]').addEventListener('click', () => this.removeSection(key));
+
+        const handle = header.querySelector('.drag-handle');
+        handle.addEventListener('dragstart', (event) => {
+            this.dragged = { type: 'section', key: key };
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', key);
+            event.dataTransfer.setDragImage(sectionDiv, 20, 20);
+        });
+        handle.addEventListener('dragend', () => {
+            this.dragged = null;
+        });
+
+        sectionDiv.addEventListener('dragover', (event) => {
+            if (this.dragged && this.dragged.type === 'section' && this.dragged.key !== key) {
+                event.preventDefault();
+                sectionDiv.classList.add('drag-over');
+            }
+        });
+        sectionDiv.addEventListener('dragleave', () => sectionDiv.classList.remove('drag-over'));
+        sectionDiv.addEventListener('drop', (event) => {
+            sectionDiv.classList.remove('drag-over');
+            if (this.dragged && this.dragged.type === 'section') {
+                event.preventDefault();
+                this.moveSection(this.dragged.key, index);
+            }
+        });
+
+        const taskList = document.createElement('ul');
+        taskList.className = 'task-list editor-task-list';
+        section.tasks.forEach((task, taskIndex) => {
+            taskList.appendChild(this.createTaskEditor(key, task, taskIndex, section.tasks.length));
+        });
+
+        // Dropping on the list itself (e.g. an empty section) appends
+        taskList.addEventListener('dragover', (event) => {
+            if (this.dragged && this.dragged.type === 'task') {
+                event.preventDefault();
+            }
+        });
+        taskList.addEventListener('drop', (event) => {
+            if (this.dragged && this.dragged.type === 'task' && event.target === taskList) {
+                event.preventDefault();
+                this.moveTask(this.dragged.sectionKey, this.dragged.index, key, section.tasks.length);
+            }
+        });
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'editor-add-task';
+        addButton.innerHTML = `<i class="fas fa-plus"></i> ${this.tracker.i18n.t('editor.addTask')}`;
+        addButton.addEventListener('click', () => this.addTask(key));
+
+        sectionDiv.appendChild(header);
+        sectionDiv.appendChild(taskList);
+        sectionDiv.appendChild(addButton);
+
+        return sectionDiv;
+    }
+
+    createTaskEditor(sectionKey, task, index, count) {
+        const li = document.createElement('li');
+        li.className = 'task-item editor-task';
+        li.dataset.editTaskId = task.id;
+
+        const i18n = this.tracker.i18n;
+        li.innerHTML = `
+            <span class="drag-handle" title="${i18n.t('editor.dragToReorder')}"><i class="fas fa-grip-vertical"></i></span>
+            <div class="editor-task-fields">
+                <input type="text" class="editor-task-text" placeholder="${i18n.t('editor.taskName')}" aria-label="${i18n.t('editor.taskName')}">
+                <div class="editor-task-meta">
+                    <input type="text" class="editor-task-category" list="editorCategories" placeholder="${i18n.t('editor.category')}" aria-label="${i18n.t('editor.category')}">
+                    <input type="time" class="editor-task-remind" aria-label="${i18n.t('editor.reminderTime')}" title="${i18n.t('editor.taskReminderHint')}">
+                    <input type="number" class="editor-task-duration" min="1" placeholder="${i18n.t('editor.minutes')}" aria-label="${i18n.t('editor.duration')}" title="${i18n.t('editor.durationHint')}">
+                    <label class="editor-task-flag" title="${i18n.t('editor.medicationHint')}">
+                        <input type="checkbox" class="editor-task-medication">
+                        <i class="fas fa-pills"></i> ${i18n.t('editor.medication')}
+                    </label>
+                </div>
+                <div class="editor-task-meta editor-task-quantity">
+                    <input type="number" class="editor-task-target" min="1" placeholder="${i18n.t('editor.target')}" aria-label="${i18n.t('editor.dailyTarget')}" title="${i18n.t('editor.targetHint')}">
+                    <input type="text" class="editor-task-unit" placeholder="${i18n.t('editor.unit')}" aria-label="${i18n.t('editor.unit')}">
+                    <input type="number" class="editor-task-step" min="1" placeholder="${i18n.t('editor.step')}" aria-label="${i18n.t('editor.stepLabel')}">
+                </div>
+                <div class="editor-task-repeat"></div>
+            </div>
+            <button type="button" class="editor-icon-button" data-action="up" title="${i18n.t('editor.moveUp')}"><i class="fas fa-arrow-up"></i></button>
+            <button type="button" class="editor-icon-button" data-action="down" title="${i18n.t('editor.moveDown')}"><i class="fas fa-arrow-down"></i></button>
+            <button type="button" class="editor-icon-button" data-action="delete" title="${i18n.t('editor.deleteTask')}"><i class="fas fa-trash"></i></button>
+        `;
+
+        li.insertBefore(this.createIconPicker(task.icon, icon => {
+            task.icon = icon;
+        }), li.querySelector('.editor-task-fields'));
+
+        const textInput = li.querySelector('.editor-task-text');
+        textInput.value = i18n.taskText(task);
+        textInput.addEventListener('input', () => {
+            task.text = textInput.value;
+        });
+
+        const categoryInput = li.querySelector('.editor-task-category');
+        categoryInput.value = task.category || '';
+        categoryInput.addEventListener('input', () => {
+            const category = categoryInput.value.trim().toLowerCase();
+            if (category) {
+                task.category = category;
+            } else {
+                delete task.category;
+            }
+        });
+
+        const remindInput = li.querySelector('.editor-task-remind');
+        remindInput.value = task.remind || '';
+        remindInput.addEventListener('input', () => {
+            if (remindInput.value) {
+                task.remind = remindInput.value;
+            } else {
+                delete task.remind;
+            }
+        });
+
+        const durationInput = li.querySelector('.editor-task-duration');
+        durationInput.value = task.duration || '';
+        durationInput.addEventListener('input', () => {
+            const duration = Number(durationInput.value);
+            if (duration > 0) {
+                task.duration = duration;
+            } else {
+                delete task.duration;
+            }
+        });
+
+        const medicationInput = li.querySelector('.editor-task-medication');
+        medicationInput.checked = MedicationTracker.isMedicationTask(task);
+        medicationInput.addEventListener('change', () => {
+            if (medicationInput.checked) {
+                task.medication = true;
+            } else {
+                delete task.medication;
+            }
+        });
+
+        this.setupQuantityInputs(li, task);
+        this.renderRepeatEditor(li.querySelector('.editor-task-repeat'), task);
+
+        const upButton = li.querySelector('[data-action="up"]');
+        const downButton = li.querySelector('[data-action="down"]');
+        upButton.disabled = index === 0;
+        downButton.disabled = index === count - 1;
+        upButton.addEventListener('click', () => this.moveTask(sectionKey, index, sectionKey, index - 1));
+        downButton.addEventListener('click', () => this.moveTask(sectionKey, index, sectionKey, index + 2));
+        li.querySelector('[data-action="delete"]').addEventListener('click', () => this.removeTask(sectionKey, index));
+
+        // Only the handle starts a drag, so text in the inputs stays selectable
+        const handle = li.querySelector('.drag-handle');
+        handle.addEventListener('mousedown', () => {
+            li.draggable = true;
+        });
+        handle.addEventListener('mouseup', () => {
+            li.draggable = false;
+        });
+
+        li.addEventListener('dragstart', (event) => {
+            this.dragged = { type: 'task', sectionKey: sectionKey, index: index };
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', task.id);
+            li.classList.add('dragging');
+        });
+        li.addEventListener('dragend', () => {
+            this.dragged = null;
+            li.draggable = false;
+            li.classList.remove('dragging');
+        });
+        li.addEventListener('dragover', (event) => {
+            if (this.dragged && this.dragged.type === 'task') {
+                event.preventDefault();
+                li.classList.add('drag-over');
+            }
+        });
+        li.addEventListener('dragleave', () => li.classList.remove('drag-over'));
+        li.addEventListener('drop', (event) => {
+            li.classList.remove('drag-over');
+            if (this.dragged && this.dragged.type === 'task') {
+                event.preventDefault();
+                event.stopPropagation();
+                this.moveTask(this.dragged.sectionKey, this.dragged.index, sectionKey, index);
+            }
+        });
+
+        return li;
+    }
+
+    // Weekday rules are editable here; anything richer (every N days, dates,
+    // ranges) is shown read-only and kept as-is
+    // Target, unit and step are only kept while a target is set
+    setupQuantityInputs(li, task) {
+        const targetInput = li.querySelector('.editor-task-target');
+        const unitInput = li.querySelector('.editor-task-unit');
+        const stepInput = li.querySelector('.editor-task-step');
+
+        targetInput.value = task.target || '';
+        unitInput.value = task.unit || '';
+        stepInput.value = task.step || '';
+
+        const update = () => {
+            const target = Number(targetInput.value);
+            const step = Number(stepInput.value);
+            const unit = unitInput.value.trim();
+
+            delete task.target;
+            delete task.unit;
+            delete task.step;
+            if (target > 0) {
+                task.target = target;
+                if (unit) task.unit = unit;
+                if (step > 0) task.step = step;
+            }
+
+            unitInput.disabled = !task.target;
+            stepInput.disabled = !task.target;
+        };
+
+        [targetInput, unitInput, stepInput].forEach(input => input.addEventListener('input', update));
+        unitInput.disabled = !task.target;
+        stepInput.disabled = !task.target;
+    }
+
+    renderRepeatEditor(container, task) {
+        const repeat = task.repeat;
+        const isWeekdayRule = !repeat || (!Array.isArray(repeat) &&
+            Object.keys(repeat).every(key => key === 'days'));
+
+        if (!isWeekdayRule) {
+            container.textContent = TaskRecurrence.describe(repeat, this.tracker.i18n);
+            container.classList.add('custom');
+            return;
+        }
+
+        const selected = new Set(repeat ? repeat.days.map(day => TaskRecurrence.normalizeWeekday(day)) : []);
+
+        const names = this.tracker.i18n.weekdayNames('long');
+        this.tracker.i18n.weekdayNames('narrow').forEach((label, weekday) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'repeat-day';
+            chip.textContent = label;
+            chip.title = names[weekday];
+            chip.classList.toggle('active', selected.has(weekday));
+
+            chip.addEventListener('click', () => {
+                if (selected.has(weekday)) {
+                    selected.delete(weekday);
+                } else {
+                    selected.add(weekday);
+                }
+                chip.classList.toggle('active', selected.has(weekday));
+
+                // No days picked (or all of them) means every day
+                if (selected.size === 0 || selected.size === 7) {
+                    delete task.repeat;
+                } else {
+                    task.repeat = {
+                        days: [...selected].sort().map(day => TaskRecurrence.weekdays[day])
+                    };
+                }
+            });
+
+            container.appendChild(chip);
+        });
+    }
+
+    createIconPicker(currentIcon, onChange) {
+        const picker = document.createElement('div');
+        picker.className = 'icon-picker';
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'icon-picker-toggle task-icon';
+        toggle.title = this.tracker.i18n.t('editor.chooseIcon');
+        toggle.innerHTML = '<i></i>';
+        toggle.querySelector('i').className = `fas ${currentIcon}`;
+
+        const panel = document.createElement('div');
+        panel.className = 'icon-picker-panel';
+        panel.hidden = true;
+
+        const setIcon = (icon) => {
+            toggle.querySelector('i').className = `fas ${icon}`;
+            onChange(icon);
+        };
+
+        this.icons.forEach(icon => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'icon-picker-option';
+            option.title = icon;
+            option.innerHTML = `<i class="fas ${icon}"></i>`;
+            option.addEventListener('click', () => {
+                setIcon(icon);
+                this.closeIconPicker();
+            });
+            panel.appendChild(option);
+        });
+
+        // Any other Font Awesome icon can be typed in by name
+        const customInput = document.createElement('input');
+        customInput.type = 'text';
+        customInput.className = 'icon-picker-custom';
+        customInput.placeholder = 'fa-icon-name';
+        customInput.value = currentIcon;
+        customInput.addEventListener('change', () => {
+            const value = customInput.value.trim();
+            const icon = value.startsWith('fa-') ? value : `fa-${value}`;
+            const valid = !value || ScheduleSchema.patterns.icon.test(icon);
+            customInput.setAttribute('aria-invalid', !valid);
+            customInput.title = valid ? '' : this.tracker.i18n.t('schema.invalidIcon', { value: value });
+            if (value && valid) {
+                setIcon(icon);
+            }
+        });
+        panel.appendChild(customInput);
+
+        toggle.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const wasOpen = !panel.hidden;
+            this.closeIconPicker();
+            if (!wasOpen) {
+                panel.hidden = false;
+                this.openIconPicker = picker;
+            }
+        });
+
+        picker.appendChild(toggle);
+        picker.appendChild(panel);
+        return picker;
+    }
+
+    closeIconPicker() {
+        if (this.openIconPicker) {
+            this.openIconPicker.querySelector('.icon-picker-panel').hidden = true;
+            this.openIconPicker = null;
+        }
+    }
+}
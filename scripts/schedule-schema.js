@@ -0,0 +1,243 @@
+// Daily Regulation Tracker - Schedule Schema
+//
+// Checks a schedule before anything renders it, whether it comes from
+// assets/schedule.json, the editor or a backup:
+//
+//   {
+//     "<section key>": {
+//       "title": "Morning", "icon": "fa-sun",        required
+//       "color": "#fdcb6e", "remind": "08:00",       optional
+//       "tasks": [{
+//         "id": "brush-teeth", "text": "Brush teeth", "icon": "fa-tooth",   required
+//         "category": "hygiene", "remind": "08:15" or false, "repeat": {...}, optional
+//         "medication": true, "target": 2000, "unit": "ml", "step": 250,   optional
+//         "duration": 5                                                    optional
+//       }]
+//     }
+//   }
+//
+// Older versions of the editor saved optional fields it had left blank as
+// "" (an empty category, say); normalize() drops those, and nulls, so they
+// read as absent. A task's "remind": false opts out of its section's time.
+//
+// validate() lists every problem rather than stopping at the first, each as
+// { path, code, value? }, where code names a message under "schema." in the
+// catalogs. Section keys, task ids and icons end up in class names, element
+// ids and selectors, so they're limited to plain letters, digits and dashes.
+
+class ScheduleSchema {
+    static get sectionFields() {
+        return {
+            title: { type: 'text', required: true },
+            icon: { type: 'icon', required: true },
+            color: { type: 'color' },
+            remind: { type: 'time' },
+            tasks: { type: 'tasks', required: true }
+        };
+    }
+
+    static get taskFields() {
+        return {
+            id: { type: 'key', required: true },
+            text: { type: 'text', required: true },
+            icon: { type: 'icon', required: true },
+            category: { type: 'text' },
+            remind: { type: 'reminder' },
+            repeat: { type: 'repeat' },
+            medication: { type: 'boolean' },
+            target: { type: 'positive' },
+            unit: { type: 'string' },
+            step: { type: 'positive' },
+            duration: { type: 'positive' }
+        };
+    }
+
+    static get repeatFields() {
+        return ['days', 'every', 'start', 'dates', 'from', 'until'];
+    }
+
+    static get patterns() {
+        return {
+            key: /^[A-Za-z0-9][A-Za-z0-9_-]*$/,
+            icon: /^fa-[a-z0-9-]+$/,
+            color: /^#(?:[0-9a-fA-F]{3}){1,2}$/,
+            time: /^(?:[01]\d|2[0-3]):[0-5]\d$/
+        };
+    }
+
+    static isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Removes blank optional fields in place and returns the schedule
+    static normalize(schedule) {
+        if (!ScheduleSchema.isObject(schedule)) return schedule;
+
+        const strip = (object, fields) => {
+            Object.keys(fields).forEach(name => {
+                const value = object[name];
+                const blank = value === null || (typeof value === 'string' && !value.trim());
+                if (blank && !fields[name].required) {
+                    delete object[name];
+                }
+            });
+        };
+
+        Object.values(schedule).forEach(section => {
+            if (!ScheduleSchema.isObject(section)) return;
+            strip(section, ScheduleSchema.sectionFields);
+            if (!Array.isArray(section.tasks)) return;
+            section.tasks.forEach(task => {
+                if (ScheduleSchema.isObject(task)) strip(task, ScheduleSchema.taskFields);
+            });
+        });
+        return schedule;
+    }
+
+    static validate(schedule) {
+        const problems = [];
+        if (!ScheduleSchema.isObject(schedule)) {
+            problems.push({ path: '', code: 'notObject' });
+            return problems;
+        }
+
+        const sectionKeys = Object.keys(schedule);
+        if (sectionKeys.length === 0) {
+            problems.push({ path: '', code: 'noSections' });
+        }
+
+        const taskIds = new Map();
+        sectionKeys.forEach(key => {
+            const section = schedule[key];
+            if (!ScheduleSchema.patterns.key.test(key)) {
+                problems.push({ path: key, code: 'invalidKey', value: key });
+            }
+            if (!ScheduleSchema.isObject(section)) {
+                problems.push({ path: key, code: 'notObject' });
+                return;
+            }
+
+            ScheduleSchema.checkFields(section, ScheduleSchema.sectionFields, key, problems);
+            if (!Array.isArray(section.tasks)) return;
+
+            section.tasks.forEach((task, index) => {
+                const path = `${key}.tasks[${index}]`;
+                if (!ScheduleSchema.isObject(task)) {
+                    problems.push({ path: path, code: 'notObject' });
+                    return;
+                }
+
+                ScheduleSchema.checkFields(task, ScheduleSchema.taskFields, path, problems);
+                if (typeof task.id !== 'string') return;
+
+                if (taskIds.has(task.id)) {
+                    problems.push({ path: `${path}.id`, code: 'duplicateId', value: task.id, other: taskIds.get(task.id) });
+                } else {
+                    taskIds.set(task.id, path);
+                }
+            });
+        });
+
+        return problems;
+    }
+
+    static checkFields(object, fields, path, problems) {
+        Object.keys(fields).forEach(name => {
+            if (object[name] === undefined && fields[name].required) {
+                problems.push({ path: `${path}.${name}`, code: 'missing' });
+            }
+        });
+
+        Object.keys(object).forEach(name => {
+            const fieldPath = `${path}.${name}`;
+            if (!fields[name]) {
+                problems.push({ path: fieldPath, code: 'unknownKey', value: name });
+                return;
+            }
+
+            const value = object[name];
+            if (value === undefined) return;
+
+            if (fields[name].type === 'repeat') {
+                ScheduleSchema.checkRepeat(value, fieldPath, problems);
+            } else if (fields[name].type !== 'tasks' || !Array.isArray(value)) {
+                const code = ScheduleSchema.checkValue(fields[name].type, value);
+                if (code) problems.push({ path: fieldPath, code: code, value: value });
+            }
+        });
+    }
+
+    // Returns the problem with a single value, or null when it's fine
+    static checkValue(type, value) {
+        const patterns = ScheduleSchema.patterns;
+        switch (type) {
+            case 'text':
+                return typeof value === 'string' && value.trim() ? null : 'emptyText';
+            case 'string':
+                return typeof value === 'string' ? null : 'notString';
+            case 'key':
+                return typeof value === 'string' && patterns.key.test(value) ? null : 'invalidKey';
+            case 'icon':
+                return typeof value === 'string' && patterns.icon.test(value) ? null : 'invalidIcon';
+            case 'color':
+                return typeof value === 'string' && patterns.color.test(value) ? null : 'invalidColor';
+            case 'time':
+                return typeof value === 'string' && patterns.time.test(value) ? null : 'invalidTime';
+            case 'reminder':
+                return value === false ? null : ScheduleSchema.checkValue('time', value);
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'notBoolean';
+            case 'positive':
+                return typeof value === 'number' && value > 0 ? null : 'notPositive';
+            case 'tasks':
+                return 'notList';
+            default:
+                return null;
+        }
+    }
+
+    // See recurrence.js for what each field means
+    static checkRepeat(repeat, path, problems) {
+        const rules = Array.isArray(repeat) ? repeat : [repeat];
+        rules.forEach((rule, index) => {
+            const rulePath = Array.isArray(repeat) ? `${path}[${index}]` : path;
+            if (!ScheduleSchema.isObject(rule)) {
+                problems.push({ path: rulePath, code: 'notObject' });
+                return;
+            }
+
+            Object.keys(rule).forEach(name => {
+                const value = rule[name];
+                const fieldPath = `${rulePath}.${name}`;
+                if (!ScheduleSchema.repeatFields.includes(name)) {
+                    problems.push({ path: fieldPath, code: 'unknownKey', value: name });
+                    return;
+                }
+
+                let valid;
+                if (name === 'days') {
+                    valid = Array.isArray(value) && value.every(day => {
+                        const weekday = TaskRecurrence.normalizeWeekday(day);
+                        return Number.isInteger(weekday) && weekday >= 0 && weekday <= 6;
+                    });
+                } else if (name === 'every') {
+                    valid = Number.isInteger(value) && value > 0;
+                } else if (name === 'dates') {
+                    valid = Array.isArray(value) && value.every(date => DateKeys.isDateKey(date));
+                } else {
+                    valid = DateKeys.isDateKey(value);
+                }
+
+                if (!valid) {
+                    problems.push({ path: fieldPath, code: 'invalidRepeat', value: value });
+                }
+            });
+        });
+    }
+
+    static describe(problem, i18n) {
+        const value = typeof problem.value === 'string' ? problem.value : JSON.stringify(problem.value);
+        const message = i18n.t(`schema.${problem.code}`, { value: value, other: problem.other });
+        return problem.path ? `${problem.path}: ${message}` : message;
+    }
+}
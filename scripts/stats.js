@@ -0,0 +1,364 @@
+// Daily Regulation Tracker - Statistics
+//
+// Completion rates over the last 7/30/90 days by category, section and task,
+// the tasks skipped most, and how each week compares to the one before.
+// Everything is computed from the history index and drawn with plain
+// elements and inline SVG, so it works offline.
+//
+// Only days that were tracked count; a day nobody opened the app says
+// nothing about which tasks were skipped.
+
+class TrackerStats {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.ranges = [7, 30, 90];
+        this.range = 30;
+        this.skippedLimit = 5;
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    isOpen() {
+        const card = document.getElementById('statsCard');
+        return Boolean(card && card.open);
+    }
+
+    // Called after every change; skipped while the card is folded away
+    refresh() {
+        if (this.isOpen()) {
+            this.render();
+        }
+    }
+
+    getDateKeys(days, endKey = this.tracker.getCurrentDateKey()) {
+        const keys = [];
+        for (let offset = days - 1; offset >= 0; offset--) {
+            keys.push(DateKeys.addDays(endKey, -offset));
+        }
+        return keys;
+    }
+
+    // Adds up credit per category, section and task over the given days
+    collect(dateKeys) {
+        const history = this.tracker.history;
+        const i18n = this.tracker.i18n;
+        const todayKey = this.tracker.getCurrentDateKey();
+        const summary = { days: 0, total: 0, credit: 0 };
+        const categories = new Map();
+        const sections = new Map();
+        const tasks = new Map();
+
+        const add = (map, key, label, credit, extra) => {
+            if (!map.has(key)) {
+                map.set(key, { key: key, label: label, total: 0, credit: 0, skipped: 0, ...extra });
+            }
+            const entry = map.get(key);
+            entry.label = label;
+            entry.total += 1;
+            entry.credit += credit;
+            return entry;
+        };
+
+        dateKeys.forEach(dateKey => {
+            const record = history.days.get(dateKey);
+            if (!record || record.total === 0) return;
+
+            summary.days += 1;
+            Object.keys(record.sections).forEach(sectionKey => {
+                const section = record.sections[sectionKey];
+                const sectionTitle = i18n.sectionTitle(sectionKey, section);
+                section.tasks.forEach(task => {
+                    const category = task.category || 'other';
+                    summary.total += 1;
+                    summary.credit += task.credit;
+                    add(categories, category, this.getCategoryLabel(category), task.credit);
+                    add(sections, sectionKey, sectionTitle, task.credit);
+
+                    const entry = add(tasks, task.id, i18n.taskText(task), task.credit, { minutes: [], pastDays: 0 });
+                    entry.section = sectionTitle;
+                    // Today isn't over, so nothing open yet counts as skipped
+                    if (dateKey !== todayKey) {
+                        entry.pastDays += 1;
+                        if (!task.completed) entry.skipped += 1;
+                    }
+                    if (task.completedAt) {
+                        const at = new Date(task.completedAt);
+                        entry.minutes.push(at.getHours() * 60 + at.getMinutes());
+                    }
+                });
+            });
+        });
+
+        return {
+            summary: summary,
+            categories: [...categories.values()],
+            sections: [...sections.values()],
+            tasks: [...tasks.values()]
+        };
+    }
+
+    static getRate(entry) {
+        return entry.total > 0 ? (entry.credit / entry.total) * 100 : null;
+    }
+
+    // Middle value of the times a task was ticked, as minutes after midnight
+    static getUsualMinute(minutes) {
+        if (minutes.length === 0) return null;
+        const sorted = [...minutes].sort((a, b) => a - b);
+        return sorted[Math.floor((sorted.length - 1) / 2)];
+    }
+
+    // Completion rate for each of the last few weeks, oldest first
+    getWeeklyTrend(weeks) {
+        const todayKey = this.tracker.getCurrentDateKey();
+        const trend = [];
+        for (let week = weeks - 1; week >= 0; week--) {
+            const endKey = DateKeys.addDays(todayKey, -7 * week);
+            const dateKeys = this.getDateKeys(7, endKey);
+            const { summary } = this.collect(dateKeys);
+            trend.push({
+                startKey: dateKeys[0],
+                rate: summary.days > 0 ? TrackerStats.getRate(summary) : null
+            });
+        }
+        return trend;
+    }
+
+    getCategoryLabel(category) {
+        const key = `stats.categories.${category}`;
+        return this.tracker.i18n.lookup(key) !== undefined
+            ? this.tracker.i18n.t(key)
+            : category.charAt(0).toUpperCase() + category.slice(1);
+    }
+
+    setupEventListeners() {
+        const card = document.getElementById('statsCard');
+        if (card) {
+            card.addEventListener('toggle', () => this.refresh());
+        }
+
+        const ranges = document.getElementById('statsRanges');
+        if (!ranges) return;
+
+        this.ranges.forEach(days => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'history-mode-button';
+            button.dataset.range = days;
+            button.textContent = this.tracker.i18n.t('stats.days', { count: days });
+            button.addEventListener('click', () => {
+                this.range = days;
+                this.render();
+            });
+            ranges.appendChild(button);
+        });
+    }
+
+    render() {
+        const content = document.getElementById('statsContent');
+        if (!content) return;
+
+        document.querySelectorAll('#statsRanges [data-range]').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.range) === this.range);
+        });
+
+        const i18n = this.tracker.i18n;
+        const stats = this.collect(this.getDateKeys(this.range));
+        content.innerHTML = '';
+
+        if (stats.summary.days === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'stats-empty';
+            empty.textContent = i18n.t('stats.noData');
+            content.appendChild(empty);
+            return;
+        }
+
+        content.appendChild(this.createOverview(stats.summary));
+        content.appendChild(this.createTrendChart());
+        content.appendChild(this.createBarList(i18n.t('stats.byCategory'), stats.categories));
+        content.appendChild(this.createBarList(i18n.t('stats.bySection'), stats.sections));
+        content.appendChild(this.createSkippedList(stats.tasks));
+        content.appendChild(this.createTaskTable(stats.tasks));
+    }
+
+    createOverview(summary) {
+        const i18n = this.tracker.i18n;
+        const [previous, current] = this.getWeeklyTrend(2);
+
+        const overview = document.createElement('div');
+        overview.className = 'stats-overview';
+        overview.innerHTML = `
+            <div class="stats-figure">
+                <span class="stats-figure-value">${Math.round(TrackerStats.getRate(summary))}%</span>
+                <span class="stats-figure-label">${i18n.t('stats.completionRate')}</span>
+            </div>
+            <div class="stats-figure">
+                <span class="stats-figure-value">${summary.days}</span>
+                <span class="stats-figure-label">${i18n.t('stats.trackedDays', { count: summary.days })}</span>
+            </div>
+            <div class="stats-figure stats-change">
+                <span class="stats-figure-value"></span>
+                <span class="stats-figure-label">${i18n.t('stats.vsLastWeek')}</span>
+            </div>
+        `;
+
+        const change = overview.querySelector('.stats-change .stats-figure-value');
+        if (previous.rate === null || current.rate === null) {
+            change.textContent = '–';
+        } else {
+            const points = Math.round(current.rate - previous.rate);
+            change.textContent = `${points > 0 ? '+' : ''}${points}`;
+            change.classList.add(points >= 0 ? 'up' : 'down');
+            change.title = i18n.t('stats.pointsTitle');
+        }
+        return overview;
+    }
+
+    createTrendChart() {
+        const i18n = this.tracker.i18n;
+        const trend = this.getWeeklyTrend(Math.max(4, Math.ceil(this.range / 7)));
+        const barWidth = 20;
+        const height = 100;
+
+        const block = this.createBlock(i18n.t('stats.weeklyTrend'));
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'stats-trend');
+        svg.setAttribute('viewBox', `0 0 ${trend.length * barWidth} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('role', 'img');
+
+        const labels = document.createElement('div');
+        labels.className = 'stats-trend-labels';
+
+        const description = [];
+        trend.forEach((week, index) => {
+            const label = i18n.formatDate(DateKeys.parse(week.startKey), { month: 'short', day: 'numeric' });
+            const rate = week.rate === null ? null : Math.round(week.rate);
+            description.push(`${label}: ${rate === null ? i18n.t('history.noData') : `${rate}%`}`);
+
+            const barHeight = rate === null ? 0 : Math.max(2, rate);
+            const bar = document.createElementNS(svgNS, 'rect');
+            bar.setAttribute('x', index * barWidth + 3);
+            bar.setAttribute('y', height - barHeight);
+            bar.setAttribute('width', barWidth - 6);
+            bar.setAttribute('height', barHeight);
+            bar.setAttribute('class', index === trend.length - 1 ? 'current' : '');
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = description[description.length - 1];
+            bar.appendChild(title);
+            svg.appendChild(bar);
+
+            const text = document.createElement('span');
+            text.textContent = label;
+            labels.appendChild(text);
+        });
+        svg.setAttribute('aria-label', description.join(', '));
+
+        block.appendChild(svg);
+        block.appendChild(labels);
+        return block;
+    }
+
+    createBarList(title, entries) {
+        const block = this.createBlock(title);
+        const list = document.createElement('ul');
+        list.className = 'stats-bars';
+
+        entries
+            .sort((a, b) => TrackerStats.getRate(b) - TrackerStats.getRate(a))
+            .forEach(entry => {
+                const rate = Math.round(TrackerStats.getRate(entry));
+                const item = document.createElement('li');
+                item.innerHTML = `
+                    <span class="stats-bar-label"></span>
+                    <span class="stats-bar"><span class="stats-bar-fill" style="width: ${rate}%"></span></span>
+                    <span class="stats-bar-value">${rate}%</span>
+                `;
+                item.querySelector('.stats-bar-label').textContent = entry.label;
+                list.appendChild(item);
+            });
+
+        block.appendChild(list);
+        return block;
+    }
+
+    createSkippedList(tasks) {
+        const i18n = this.tracker.i18n;
+        const block = this.createBlock(i18n.t('stats.mostSkipped'));
+        const skipped = tasks
+            .filter(task => task.skipped > 0)
+            .sort((a, b) => b.skipped - a.skipped || TrackerStats.getRate(a) - TrackerStats.getRate(b))
+            .slice(0, this.skippedLimit);
+
+        if (skipped.length === 0) {
+            const none = document.createElement('p');
+            none.className = 'stats-empty';
+            none.textContent = i18n.t('stats.nothingSkipped');
+            block.appendChild(none);
+            return block;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'stats-skipped';
+        skipped.forEach(task => {
+            const item = document.createElement('li');
+            item.innerHTML = '<span class="stats-skipped-name"></span> <span class="stats-skipped-count"></span>';
+            item.querySelector('.stats-skipped-name').textContent = task.label;
+            item.querySelector('.stats-skipped-count').textContent =
+                i18n.t('stats.skippedCount', { skipped: task.skipped, count: task.pastDays, section: task.section });
+            list.appendChild(item);
+        });
+        block.appendChild(list);
+        return block;
+    }
+
+    createTaskTable(tasks) {
+        const i18n = this.tracker.i18n;
+        const block = this.createBlock(i18n.t('stats.byTask'));
+        const table = document.createElement('table');
+        table.className = 'stats-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th scope="col">${i18n.t('stats.task')}</th>
+                    <th scope="col">${i18n.t('stats.rate')}</th>
+                    <th scope="col">${i18n.t('stats.usualTime')}</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+
+        const body = table.querySelector('tbody');
+        tasks
+            .sort((a, b) => TrackerStats.getRate(b) - TrackerStats.getRate(a))
+            .forEach(task => {
+                const minute = TrackerStats.getUsualMinute(task.minutes);
+                const row = document.createElement('tr');
+                row.innerHTML = '<th scope="row"><span class="stats-task-name"></span> <span class="stats-task-section"></span></th><td></td><td></td>';
+                row.querySelector('.stats-task-name').textContent = task.label;
+                row.querySelector('.stats-task-section').textContent = task.section;
+                row.children[1].textContent = `${Math.round(TrackerStats.getRate(task))}%`;
+                row.children[2].textContent = minute === null
+                    ? '–'
+                    : i18n.formatTime(new Date(2000, 0, 1, Math.floor(minute / 60), minute % 60));
+                body.appendChild(row);
+            });
+
+        block.appendChild(table);
+        return block;
+    }
+
+    createBlock(title) {
+        const block = document.createElement('div');
+        block.className = 'stats-block';
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        block.appendChild(heading);
+        return block;
+    }
+}
@@ -0,0 +1,275 @@
+// Daily Regulation Tracker - Storage
+//
+// App data lives in IndexedDB, which doesn't share localStorage's few
+// megabytes of quota, with localStorage as the fallback where IndexedDB
+// can't be opened (some private windows block it). MemoryBackend keeps
+// everything in a Map, for tests. Day records, settings and schedules are
+// all plain keys to them, and all backends offer the same small async API:
+//
+//   readAll()      -> Map of every key and value
+//   read(key)      -> the value, or null
+//   write(changes) -> saves a Map of key -> value (null removes the key)
+//
+// TrackerStorage reads everything into memory once at startup, and the rest
+// of the app reads and writes synchronously through ProfileStorage; history,
+// stats and streaks scan every day on each render. Writes update memory
+// straight away and are saved together shortly after; call flush() and wait
+// for it before leaving the page.
+//
+// Tabs tell each other which keys they saved over a BroadcastChannel and
+// read those back, so one tab's copy doesn't go stale and later write old
+// values over another's. onChange hears about keys changed that way.
+//
+// Data written by older versions straight into localStorage is moved into
+// IndexedDB the first time it opens. The profile list, the active profile
+// and the sync device id belong to the device rather than to a profile, and
+// stay in localStorage.
+
+class IndexedDbBackend {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static get databaseName() {
+        return 'daily-care';
+    }
+
+    static get storeName() {
+        return 'items';
+    }
+
+    static open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(IndexedDbBackend.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(IndexedDbBackend.storeName);
+            };
+            request.onsuccess = () => resolve(new IndexedDbBackend(request.result));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    readAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(IndexedDbBackend.storeName, 'readonly');
+            const store = transaction.objectStore(IndexedDbBackend.storeName);
+            const keys = store.getAllKeys();
+            const values = store.getAll();
+            transaction.oncomplete = () => {
+                resolve(new Map(keys.result.map((key, index) => [key, values.result[index]])));
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    read(key) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(IndexedDbBackend.storeName, 'readonly');
+            const request = transaction.objectStore(IndexedDbBackend.storeName).get(key);
+            transaction.oncomplete = () => resolve(request.result === undefined ? null : request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    write(changes) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(IndexedDbBackend.storeName, 'readwrite');
+            const store = transaction.objectStore(IndexedDbBackend.storeName);
+            changes.forEach((value, key) => {
+                if (value === null) {
+                    store.delete(key);
+                } else {
+                    store.put(value, key);
+                }
+            });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+class LocalStorageBackend {
+    // Everything in localStorage except the device's own keys
+    static appKeys() {
+        return Object.keys(localStorage).filter(key => !TrackerStorage.deviceKeys.includes(key));
+    }
+
+    async readAll() {
+        return new Map(LocalStorageBackend.appKeys().map(key => [key, localStorage.getItem(key)]));
+    }
+
+    async read(key) {
+        return TrackerStorage.deviceKeys.includes(key) ? null : localStorage.getItem(key);
+    }
+
+    async write(changes) {
+        changes.forEach((value, key) => {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
+            }
+        });
+    }
+}
+
+class MemoryBackend {
+    constructor(items = new Map()) {
+        this.items = items;
+    }
+
+    async readAll() {
+        return new Map(this.items);
+    }
+
+    async read(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async write(changes) {
+        changes.forEach((value, key) => {
+            if (value === null) {
+                this.items.delete(key);
+            } else {
+                this.items.set(key, value);
+            }
+        });
+    }
+}
+
+class TrackerStorage {
+    constructor(backend, items) {
+        this.backend = backend;
+        this.items = items;
+        this.pending = new Map();
+        this.writing = Promise.resolve();
+        this.flushTimer = null;
+        // Set by the app to tell the user when saving fails, and to hear
+        // about keys another tab changed
+        this.onError = null;
+        this.onChange = null;
+        this.channel = null;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(TrackerStorage.channelName);
+            this.channel.onmessage = (event) => {
+                this.receive(event.data).catch(error => console.error('Reading changes from another tab failed:', error));
+            };
+        }
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    static get channelName() {
+        return 'daily-care-storage';
+    }
+
+    static get deviceKeys() {
+        return ['profiles', 'activeProfile', 'syncDeviceId'];
+    }
+
+    static async open(openBackend = () => IndexedDbBackend.open()) {
+        let backend;
+        try {
+            backend = await openBackend();
+            await TrackerStorage.migrate(backend);
+        } catch (error) {
+            console.error('IndexedDB unavailable, using localStorage:', error);
+            backend = new LocalStorageBackend();
+        }
+        return new TrackerStorage(backend, await backend.readAll());
+    }
+
+    // localStorage is only cleared once IndexedDB has the data, so an
+    // interrupted move just happens again next time
+    static async migrate(backend) {
+        const keys = LocalStorageBackend.appKeys();
+        if (keys.length === 0) return;
+
+        await backend.write(new Map(keys.map(key => [key, localStorage.getItem(key)])));
+        keys.forEach(key => localStorage.removeItem(key));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+        this.queue(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+        this.queue(key, null);
+    }
+
+    keys() {
+        return [...this.items.keys()];
+    }
+
+    queue(key, value) {
+        this.pending.set(key, value);
+        if (this.flushTimer === null) {
+            this.flushTimer = setTimeout(() => this.flush(), 0);
+        }
+    }
+
+    // Resolves once everything written so far has been saved
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (this.pending.size > 0) {
+            const changes = this.pending;
+            this.pending = new Map();
+            this.writing = this.writing
+                .then(() => this.backend.write(changes))
+                .then(() => {
+                    if (this.channel) this.channel.postMessage([...changes.keys()]);
+                })
+                .catch(error => {
+                    console.error('Saving failed:', error);
+                    if (this.onError) this.onError(error);
+                });
+        }
+        return this.writing;
+    }
+
+    // Another tab saved these keys. Messages can arrive after this tab has
+    // saved something newer, so the values are read back from the backend
+    // once this tab's own writes are done, and keys changed here since keep
+    // their value, which is about to be saved.
+    async receive(keys) {
+        await this.flush();
+
+        const changed = [];
+        for (const key of keys) {
+            const value = await this.backend.read(key);
+            if (this.pending.has(key) || this.getItem(key) === value) continue;
+
+            this.refresh(key, value);
+            changed.push(key);
+        }
+
+        if (changed.length > 0 && this.onChange) {
+            this.onChange(changed);
+        }
+    }
+
+    // Keeps the copy in memory in step with a value just read
+    refresh(key, value) {
+        if (this.pending.has(key)) return;
+
+        if (value === null) {
+            this.items.delete(key);
+        } else {
+            this.items.set(key, value);
+        }
+    }
+}
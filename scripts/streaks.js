@@ -0,0 +1,182 @@
+// Daily Regulation Tracker - Streaks
+
+class StreakTracker {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.settingsKey = 'streakSettings';
+        this.milestones = [7, 30, 100];
+        this.settings = this.loadSettings();
+        this.taskStreaks = new Map();
+        this.perfectStreak = { current: 0, best: 0 };
+    }
+
+    init() {
+        this.refresh();
+        this.setupRestDayPicker();
+        this.render();
+    }
+
+    loadSettings() {
+        const defaults = { restDays: [] };
+        const stored = this.tracker.storage.getItem(this.settingsKey);
+        if (stored) {
+            try {
+                return { ...defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('Invalid streak settings:', error);
+            }
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        this.tracker.storage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    toggleRestDay(weekday) {
+        const restDays = new Set(this.settings.restDays);
+        if (restDays.has(weekday)) {
+            restDays.delete(weekday);
+        } else {
+            restDays.add(weekday);
+        }
+        this.settings.restDays = [...restDays].sort();
+        this.saveSettings();
+        this.refresh();
+        this.render();
+    }
+
+    isRestDay(dateKey) {
+        const weekday = DateKeys.getWeekday(dateKey);
+        return this.settings.restDays.includes(weekday);
+    }
+
+    refresh() {
+        this.taskStreaks.clear();
+
+        if (this.tracker.schedule) {
+            Object.values(this.tracker.schedule).forEach(section => {
+                section.tasks.forEach(task => {
+                    this.taskStreaks.set(task.id, this.computeStreak((record, dateKey) =>
+                        this.evaluateTask(task.id, record, dateKey)));
+                });
+            });
+        }
+
+        this.perfectStreak = this.computeStreak((record, dateKey) =>
+            this.evaluatePerfectDay(record, dateKey));
+    }
+
+    getTaskStreak(taskId) {
+        return this.taskStreaks.get(taskId) || { current: 0, best: 0 };
+    }
+
+    // Each day resolves to 'done', 'missed' or 'skip'. Skipped days (rest
+    // days, or days the task wasn't on the schedule) neither extend nor break
+    // a streak. Today only counts once it's done, so an unfinished morning
+    // doesn't zero out yesterday's run.
+    computeStreak(evaluate) {
+        const history = this.tracker.history;
+        const dateKeys = [...history.days.keys()].sort();
+        if (dateKeys.length === 0) {
+            return { current: 0, best: 0 };
+        }
+
+        const todayKey = this.tracker.getCurrentDateKey();
+        let current = 0;
+        let best = 0;
+
+        for (let dateKey = dateKeys[0]; dateKey <= todayKey; dateKey = DateKeys.addDays(dateKey, 1)) {
+            const status = evaluate(history.days.get(dateKey), dateKey);
+
+            if (status === 'done') {
+                current++;
+                best = Math.max(best, current);
+            } else if (status === 'missed' && dateKey !== todayKey) {
+                current = 0;
+            }
+        }
+
+        return { current, best };
+    }
+
+    evaluateTask(taskId, record, dateKey) {
+        if (record) {
+            const task = this.findTask(record, taskId);
+            if (!task) return 'skip';
+            if (task.completed) return 'done';
+        } else if (!this.isScheduledOn(taskId, dateKey)) {
+            return 'skip';
+        }
+        return this.isRestDay(dateKey) ? 'skip' : 'missed';
+    }
+
+    // Days the app wasn't opened have no record, so fall back to the current
+    // schedule's recurrence rules to decide whether the task was due
+    isScheduledOn(taskId, dateKey) {
+        for (const section of Object.values(this.tracker.schedule || {})) {
+            const task = section.tasks.find(item => item.id === taskId);
+            if (task) return TaskRecurrence.appliesOn(task.repeat, dateKey);
+        }
+        return false;
+    }
+
+    evaluatePerfectDay(record, dateKey) {
+        if (record && record.total > 0 && record.percentage === 100) {
+            return 'done';
+        }
+        return this.isRestDay(dateKey) ? 'skip' : 'missed';
+    }
+
+    findTask(record, taskId) {
+        for (const section of Object.values(record.sections)) {
+            const task = section.tasks.find(item => item.id === taskId);
+            if (task) return task;
+        }
+        return null;
+    }
+
+    getMilestone(count) {
+        return this.milestones.includes(count) ? count : null;
+    }
+
+    setupRestDayPicker() {
+        const container = document.getElementById('restDays');
+        if (!container) return;
+
+        const names = this.tracker.i18n.weekdayNames('long');
+        this.tracker.i18n.weekdayNames('narrow').forEach((label, weekday) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'rest-day';
+            button.dataset.weekday = weekday;
+            button.textContent = label;
+            button.title = names[weekday];
+            button.addEventListener('click', () => this.toggleRestDay(weekday));
+            container.appendChild(button);
+        });
+    }
+
+    render() {
+        document.querySelectorAll('.task-item').forEach(item => {
+            const badge = item.querySelector('.task-streak');
+            if (!badge) return;
+
+            const streak = this.getTaskStreak(item.dataset.taskId);
+            badge.hidden = streak.current < 2;
+            badge.innerHTML = `<i class="fas fa-fire"></i> ${streak.current}`;
+            badge.title = this.tracker.i18n.t('streaks.current', { count: streak.current, best: streak.best });
+        });
+
+        const perfect = document.getElementById('perfectStreak');
+        if (perfect) {
+            perfect.hidden = this.perfectStreak.best === 0;
+            perfect.innerHTML = `<i class="fas fa-fire"></i> ${this.perfectStreak.current}`;
+            perfect.title = this.tracker.i18n.t('streaks.perfect', { count: this.perfectStreak.current, best: this.perfectStreak.best });
+        }
+
+        document.querySelectorAll('.rest-day').forEach(button => {
+            button.classList.toggle('active', this.settings.restDays.includes(Number(button.dataset.weekday)));
+        });
+    }
+}
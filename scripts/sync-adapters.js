@@ -0,0 +1,98 @@
+// Daily Regulation Tracker - Sync Adapters
+//
+// A sync adapter moves completion events (see completion-log.js) between
+// this device and somewhere shared. Adapters only need two methods, both
+// returning promises and rejecting when the backend can't be reached:
+//
+//   pull(profileId, dateKey)          all events stored for that profile's
+//                                     day, in any order
+//   push(profileId, dateKey, events)  store more events for that day
+//
+// Every profile keeps its own days, so people sharing a device (and a
+// backend) never see each other's ticks. The same profile id on another
+// device is the same person.
+//
+// Events may be pushed more than once (after a retry, say); they are told
+// apart by time, task, state and device, so storing duplicates is harmless.
+// An error with a status of 401 or 403 means the backend refused access.
+
+// Talks to a small REST endpoint that anyone can host (dev/sync-server.js
+// is a complete one):
+//
+//   GET  <url>/profiles/<id>/days/<date>         -> { "events": [...] }, 404 when empty
+//   POST <url>/profiles/<id>/days/<date>/events  <- { "events": [...] }
+//
+// With a token set, requests carry "Authorization: Bearer <token>".
+class RestSyncAdapter {
+    constructor(options) {
+        this.url = options.url.replace(/\/+$/, '');
+        this.token = options.token || '';
+    }
+
+    static requestFailed(action, response) {
+        const error = new Error(`Sync ${action} failed with status ${response.status}`);
+        error.status = response.status;
+        return error;
+    }
+
+    getHeaders() {
+        return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    }
+
+    dayUrl(profileId, dateKey) {
+        return `${this.url}/profiles/${encodeURIComponent(profileId)}/days/${dateKey}`;
+    }
+
+    async pull(profileId, dateKey) {
+        // no-store also keeps the service worker from answering from its cache
+        const response = await fetch(this.dayUrl(profileId, dateKey), { headers: this.getHeaders(), cache: 'no-store' });
+        if (response.status === 404) return [];
+        if (!response.ok) {
+            throw RestSyncAdapter.requestFailed('pull', response);
+        }
+        const data = await response.json();
+        return Array.isArray(data.events) ? data.events : [];
+    }
+
+    async push(profileId, dateKey, events) {
+        const response = await fetch(`${this.dayUrl(profileId, dateKey)}/events`, {
+            method: 'POST',
+            headers: { ...this.getHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ events: events })
+        });
+        if (!response.ok) {
+            throw RestSyncAdapter.requestFailed('push', response);
+        }
+    }
+}
+
+// Keeps everything in memory. Handing the same store to two trackers lets
+// them sync with each other; switching "online" off makes every call fail
+// the way an unreachable server would.
+class MemorySyncAdapter {
+    constructor(store = new Map()) {
+        this.store = store;
+        this.online = true;
+    }
+
+    checkOnline() {
+        if (!this.online) {
+            throw new Error('Sync backend is offline');
+        }
+    }
+
+    static key(profileId, dateKey) {
+        return `${profileId}/${dateKey}`;
+    }
+
+    async pull(profileId, dateKey) {
+        this.checkOnline();
+        return [...(this.store.get(MemorySyncAdapter.key(profileId, dateKey)) || [])];
+    }
+
+    async push(profileId, dateKey, events) {
+        this.checkOnline();
+        const key = MemorySyncAdapter.key(profileId, dateKey);
+        this.store.set(key, [...(this.store.get(key) || []), ...events]);
+    }
+}
@@ -0,0 +1,261 @@
+// Daily Regulation Tracker - Sync
+//
+// Keeps completions in step across devices. Every tick and untick is queued
+// here (syncQueue) before anything is sent, so changes made offline go out
+// once the backend can be reached again. Pulled events are merged task by
+// task (CompletionLog.applyEvents): ticking one task on the phone and another
+// on the laptop keeps both, and when the same task changed on both, the
+// later change wins.
+//
+// The backend is whatever adapter is plugged in (see sync-adapters.js). The
+// settings panel sets up the REST one; setAdapter() takes any other.
+
+class TrackerSync {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.settingsKey = 'syncSettings';
+        this.queueKey = 'syncQueue';
+        // Shared by every profile on this device, so stored unprefixed; the
+        // backend keeps each profile's days apart instead
+        this.deviceKey = 'syncDeviceId';
+        this.pullInterval = 5 * 60000;
+        // Yesterday too, for ticks made elsewhere just before the day ended
+        this.pullDays = 2;
+        this.settings = this.loadSettings();
+        this.queue = this.loadQueue();
+        this.deviceId = this.loadDeviceId();
+        this.adapter = this.createAdapter();
+        this.status = this.adapter ? 'idle' : 'off';
+        this.lastSynced = null;
+        this.running = null;
+        this.rerun = false;
+    }
+
+    loadSettings() {
+        const defaults = { url: '', token: '' };
+        const stored = this.tracker.storage.getItem(this.settingsKey);
+        if (stored) {
+            try {
+                return { ...defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('Invalid sync settings:', error);
+            }
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        this.tracker.storage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    loadQueue() {
+        const stored = this.tracker.storage.getItem(this.queueKey);
+        if (stored) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                console.error('Invalid sync queue:', error);
+            }
+        }
+        return [];
+    }
+
+    saveQueue() {
+        this.tracker.storage.setItem(this.queueKey, JSON.stringify(this.queue));
+    }
+
+    loadDeviceId() {
+        let deviceId = localStorage.getItem(this.deviceKey);
+        if (!deviceId) {
+            deviceId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+            localStorage.setItem(this.deviceKey, deviceId);
+        }
+        return deviceId;
+    }
+
+    getProfileId() {
+        return this.tracker.profiles.active.id;
+    }
+
+    createAdapter() {
+        return /^https?:\/\//i.test(this.settings.url) ? new RestSyncAdapter(this.settings) : null;
+    }
+
+    setAdapter(adapter) {
+        this.adapter = adapter;
+        this.status = adapter ? 'idle' : 'off';
+        this.renderStatus();
+    }
+
+    init() {
+        this.setupSettingsPanel();
+
+        window.addEventListener('online', () => this.sync());
+        window.addEventListener('offline', () => {
+            if (!this.adapter) return;
+            this.status = 'offline';
+            this.renderStatus();
+        });
+
+        // Retry pending changes every minute, otherwise check in now and then
+        this.tracker.clock.onTick(now => {
+            if (this.queue.length > 0 || !this.lastSynced || now - this.lastSynced >= this.pullInterval) {
+                this.sync();
+            }
+        });
+
+        this.sync();
+    }
+
+    enqueue(dateKey, event) {
+        if (!this.adapter) return;
+        this.queue.push({ dateKey: dateKey, event: event });
+        this.saveQueue();
+    }
+
+    // Everything recorded before sync was turned on goes up in the first round
+    queueHistory() {
+        const prefix = this.tracker.completionLog.dayPrefix;
+        this.tracker.storage.keys().forEach(key => {
+            const dateKey = key.slice(prefix.length);
+            if (!key.startsWith(prefix) || !DateKeys.isDateKey(dateKey)) return;
+
+            this.tracker.completionLog.loadDay(dateKey).events.forEach(event => {
+                this.queue.push({ dateKey: dateKey, event: event });
+            });
+        });
+        this.saveQueue();
+    }
+
+    // Runs one round at a time; a request during a round gets one more after it
+    sync() {
+        if (!this.adapter) return Promise.resolve();
+        if (this.running) {
+            this.rerun = true;
+            return this.running;
+        }
+
+        this.running = this.run().finally(() => {
+            this.running = null;
+            this.renderStatus();
+            if (this.rerun) {
+                this.rerun = false;
+                this.sync();
+            }
+        });
+        return this.running;
+    }
+
+    async run() {
+        if (navigator.onLine === false) {
+            this.status = 'offline';
+            return;
+        }
+
+        this.status = 'syncing';
+        this.renderStatus();
+        try {
+            await this.flush();
+            const todayKey = this.tracker.getCurrentDateKey();
+            for (let offset = 0; offset < this.pullDays; offset++) {
+                await this.pull(DateKeys.addDays(todayKey, -offset));
+            }
+            this.status = 'synced';
+            this.lastSynced = this.tracker.clock.now();
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.status = error.status === 401 || error.status === 403 ? 'denied' : 'error';
+        }
+    }
+
+    async flush() {
+        const batch = this.queue.slice();
+        const dateKeys = [...new Set(batch.map(item => item.dateKey))];
+
+        for (const dateKey of dateKeys) {
+            const items = batch.filter(item => item.dateKey === dateKey);
+            await this.adapter.push(this.getProfileId(), dateKey, items.map(item => item.event));
+            // Anything queued in the meantime waits for the next round
+            this.queue = this.queue.filter(item => !items.includes(item));
+            this.saveQueue();
+        }
+    }
+
+    async pull(dateKey) {
+        const events = await this.adapter.pull(this.getProfileId(), dateKey);
+
+        if (dateKey === this.tracker.getCurrentDateKey()) {
+            if (CompletionLog.applyEvents(this.tracker.completionDay, events)) {
+                this.tracker.applySyncedCompletions();
+            }
+            return;
+        }
+
+        const day = this.tracker.completionLog.loadDay(dateKey);
+        if (CompletionLog.applyEvents(day, events)) {
+            this.tracker.completionLog.saveDay(dateKey, day);
+            this.tracker.history.refresh();
+            this.tracker.stats.refresh();
+        }
+    }
+
+    setupSettingsPanel() {
+        const urlInput = document.getElementById('syncUrlInput');
+        const tokenInput = document.getElementById('syncTokenInput');
+        const syncButton = document.getElementById('syncNowButton');
+        if (!urlInput || !tokenInput) return;
+
+        urlInput.value = this.settings.url;
+        tokenInput.value = this.settings.token;
+
+        const update = () => {
+            const wasOff = !this.adapter;
+            this.settings = { url: urlInput.value.trim(), token: tokenInput.value.trim() };
+            this.saveSettings();
+            this.setAdapter(this.createAdapter());
+
+            if (!this.adapter) {
+                this.queue = [];
+                this.saveQueue();
+            } else if (wasOff) {
+                this.queueHistory();
+            }
+            this.sync();
+        };
+        urlInput.addEventListener('change', update);
+        tokenInput.addEventListener('change', update);
+
+        if (syncButton) {
+            syncButton.addEventListener('click', () => this.sync());
+        }
+        this.renderStatus();
+    }
+
+    renderStatus() {
+        const status = document.getElementById('syncStatus');
+        const syncButton = document.getElementById('syncNowButton');
+        if (!status) return;
+
+        const i18n = this.tracker.i18n;
+        const messages = {
+            off: () => i18n.t(this.settings.url ? 'sync.invalidUrl' : 'sync.off'),
+            idle: () => '',
+            syncing: () => i18n.t('sync.syncing'),
+            synced: () => i18n.t('sync.synced', { time: i18n.formatTime(this.lastSynced) }),
+            offline: () => i18n.t('sync.offline'),
+            error: () => i18n.t('sync.failed'),
+            denied: () => i18n.t('sync.denied')
+        };
+
+        const parts = [messages[this.status]()];
+        if (this.adapter && this.queue.length > 0) {
+            parts.push(i18n.t('sync.waiting', { count: this.queue.length }));
+        }
+        status.textContent = parts.filter(Boolean).join(' ');
+        status.dataset.status = this.status;
+
+        if (syncButton) {
+            syncButton.disabled = !this.adapter || this.status === 'syncing';
+        }
+    }
+}
@@ -0,0 +1,353 @@
+// Daily Regulation Tracker - Task Timer
+//
+// A task can say how long it takes, in minutes ("duration": 5). Its row
+// then gets a start button that opens a focus timer, which can be paused
+// and resumed. When the time is up a chime plays and the task is ticked
+// through toggleTask, so it can be undone like any other tick.
+//
+// Wellness tasks can show a breathing guide in place of the countdown ring.
+// With reduced motion the circle doesn't grow and shrink, it only fades, and
+// the "breathe in / hold / breathe out" prompts carry the rhythm. The chosen
+// guide is kept under "timerSettings". Closing the dialog stops the timer.
+
+class TaskTimer {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.settingsKey = 'timerSettings';
+        this.settings = this.loadSettings();
+        this.overlay = null;
+        this.task = null;
+        this.duration = 0;
+        // Time run before the last pause; startedAt is null while paused
+        this.elapsed = 0;
+        this.startedAt = null;
+        this.intervalId = null;
+        this.phase = null;
+        this.audio = null;
+    }
+
+    static isTimedTask(task) {
+        return typeof task.duration === 'number' && task.duration > 0;
+    }
+
+    // Seconds per phase, repeated for as long as the timer runs
+    static get breathingPatterns() {
+        return {
+            box: [
+                { phase: 'in', seconds: 4 },
+                { phase: 'hold', seconds: 4 },
+                { phase: 'out', seconds: 4 },
+                { phase: 'hold', seconds: 4 }
+            ],
+            '478': [
+                { phase: 'in', seconds: 4 },
+                { phase: 'hold', seconds: 7 },
+                { phase: 'out', seconds: 8 }
+            ]
+        };
+    }
+
+    loadSettings() {
+        const defaults = { breathing: 'box' };
+        const stored = this.tracker.storage.getItem(this.settingsKey);
+        if (stored) {
+            try {
+                return { ...defaults, ...JSON.parse(stored) };
+            } catch (error) {
+                console.error('Invalid timer settings:', error);
+            }
+        }
+        return defaults;
+    }
+
+    saveSettings() {
+        this.tracker.storage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    // Start button on a task row; hidden once the task is done
+    setupTaskItem(li, task) {
+        const i18n = this.tracker.i18n;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'task-timer-button';
+        button.innerHTML = '<i class="fas fa-play"></i> <span></span>';
+        button.querySelector('span').textContent = i18n.t('timer.minutes', { count: task.duration });
+        button.title = i18n.t('timer.start');
+        button.setAttribute('aria-label', i18n.t('timer.startFor', { task: i18n.taskText(task), count: task.duration }));
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.openDialog(task);
+        });
+        li.insertBefore(button, li.querySelector('.task-streak'));
+
+        this.updateTaskItem(li, task.id);
+    }
+
+    updateTaskItem(li, taskId) {
+        const button = li.querySelector('.task-timer-button');
+        if (button) {
+            button.hidden = this.tracker.completedTasks.has(taskId);
+        }
+    }
+
+    isWellness(task) {
+        return task.category === 'wellness';
+    }
+
+    getPattern() {
+        if (!this.task || !this.isWellness(this.task)) return null;
+        return TaskTimer.breathingPatterns[this.settings.breathing] || null;
+    }
+
+    getElapsed() {
+        const running = this.startedAt === null ? 0 : this.tracker.clock.now().getTime() - this.startedAt;
+        return Math.min(this.duration, this.elapsed + running);
+    }
+
+    isRunning() {
+        return this.startedAt !== null;
+    }
+
+    openDialog(task) {
+        this.closeDialog();
+
+        const i18n = this.tracker.i18n;
+        this.task = task;
+        this.duration = task.duration * 60000;
+        this.elapsed = 0;
+        this.phase = null;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal-dialog timer-dialog" role="dialog" aria-modal="true" aria-labelledby="timerTitle">
+                <h3 id="timerTitle"></h3>
+                <div class="settings-field timer-guide" hidden>
+                    <label for="timerGuideSelect">${i18n.t('timer.guide')}</label>
+                    <select id="timerGuideSelect"></select>
+                </div>
+                <div class="timer-view">
+                    <svg class="timer-ring" viewBox="0 0 36 36" aria-hidden="true">
+                        <circle class="timer-ring-track" cx="18" cy="18" r="16"></circle>
+                        <circle class="timer-ring-fill" cx="18" cy="18" r="16" pathLength="100"></circle>
+                    </svg>
+                    <div class="breathing-circle" aria-hidden="true"></div>
+                    <div class="timer-readout">
+                        <span class="timer-remaining" role="timer"></span>
+                        <span class="timer-phase" aria-live="polite"></span>
+                    </div>
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="editor-button" data-action="close">${i18n.t('common.close')}</button>
+                    <button type="button" class="editor-button primary" data-action="toggle"></button>
+                </div>
+            </div>
+        `;
+        this.overlay.querySelector('#timerTitle').textContent = i18n.taskText(task);
+
+        if (this.isWellness(task)) {
+            const guide = this.overlay.querySelector('.timer-guide');
+            const select = guide.querySelector('select');
+            ['box', '478', 'none'].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = i18n.t(`timer.guides.${value}`);
+                select.appendChild(option);
+            });
+            select.value = this.settings.breathing;
+            select.addEventListener('change', () => {
+                this.settings.breathing = select.value;
+                this.saveSettings();
+                this.phase = null;
+                this.update();
+            });
+            guide.hidden = false;
+        }
+
+        this.overlay.querySelector('[data-action="toggle"]').addEventListener('click', () => {
+            if (this.isRunning()) {
+                this.pause();
+            } else {
+                this.start();
+            }
+        });
+        this.overlay.querySelector('[data-action="close"]').addEventListener('click', () => this.closeDialog());
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.closeDialog();
+        });
+        this.overlay.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.closeDialog();
+        });
+
+        document.body.appendChild(this.overlay);
+        // Opened from the start button, so the timer starts right away
+        this.start();
+        this.overlay.querySelector('[data-action="toggle"]').focus();
+    }
+
+    closeDialog() {
+        this.stop();
+        if (this.audio) {
+            this.audio.close().catch(() => {});
+            this.audio = null;
+        }
+        if (this.overlay) {
+            document.body.removeChild(this.overlay);
+            this.overlay = null;
+        }
+        this.task = null;
+    }
+
+    start() {
+        if (this.isRunning() || this.getElapsed() >= this.duration) return;
+
+        // Browsers only allow sound that a click set up
+        if (!this.audio) {
+            this.audio = this.createAudio();
+        }
+        this.startedAt = this.tracker.clock.now().getTime();
+        this.intervalId = setInterval(() => this.update(), 250);
+        this.update();
+    }
+
+    pause() {
+        if (!this.isRunning()) return;
+
+        this.elapsed = this.getElapsed();
+        this.stop();
+        this.update();
+    }
+
+    stop() {
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        this.startedAt = null;
+    }
+
+    update() {
+        if (!this.overlay) return;
+
+        const i18n = this.tracker.i18n;
+        const elapsed = this.getElapsed();
+        const remaining = this.duration - elapsed;
+        const pattern = this.getPattern();
+        const view = this.overlay.querySelector('.timer-view');
+
+        view.classList.toggle('breathing', Boolean(pattern));
+        view.classList.toggle('paused', !this.isRunning());
+        this.overlay.querySelector('.timer-remaining').textContent = this.formatTime(remaining);
+        this.overlay.querySelector('.timer-ring-fill').setAttribute('stroke-dasharray', `${(remaining / this.duration) * 100} 100`);
+
+        const toggle = this.overlay.querySelector('[data-action="toggle"]');
+        toggle.hidden = remaining <= 0;
+        toggle.innerHTML = this.isRunning()
+            ? `<i class="fas fa-pause"></i> ${i18n.t('timer.pause')}`
+            : `<i class="fas fa-play"></i> ${i18n.t('timer.resume')}`;
+
+        if (remaining <= 0) {
+            this.finish();
+            return;
+        }
+
+        const phaseText = this.overlay.querySelector('.timer-phase');
+        if (!pattern) {
+            phaseText.textContent = this.isRunning() ? '' : i18n.t('timer.paused');
+            return;
+        }
+
+        const step = this.getBreathingStep(pattern, elapsed);
+        if (this.isRunning()) {
+            phaseText.textContent = `${i18n.t(`timer.phases.${step.phase}`)} · ${step.secondsLeft}`;
+        } else {
+            phaseText.textContent = i18n.t('timer.paused');
+        }
+        this.setBreathingPhase(step);
+    }
+
+    // Where in the breathing cycle the timer is after the given time
+    getBreathingStep(pattern, elapsed) {
+        const cycle = pattern.reduce((sum, step) => sum + step.seconds, 0) * 1000;
+        let offset = elapsed % cycle;
+        for (let index = 0; index < pattern.length; index++) {
+            const length = pattern[index].seconds * 1000;
+            if (offset < length) {
+                return {
+                    index: index + Math.floor(elapsed / cycle) * pattern.length,
+                    phase: pattern[index].phase,
+                    seconds: pattern[index].seconds,
+                    secondsLeft: Math.ceil((length - offset) / 1000)
+                };
+            }
+            offset -= length;
+        }
+        return { index: 0, phase: pattern[0].phase, seconds: pattern[0].seconds, secondsLeft: pattern[0].seconds };
+    }
+
+    // The circle is sized by CSS; each phase just sets how long the change
+    // to its size takes
+    setBreathingPhase(step) {
+        if (this.phase === step.index) return;
+        this.phase = step.index;
+
+        const circle = this.overlay.querySelector('.breathing-circle');
+        if (step.phase === 'hold') return;
+
+        circle.style.transitionDuration = `${step.seconds}s`;
+        circle.classList.toggle('expanded', step.phase === 'in');
+    }
+
+    finish() {
+        const task = this.task;
+        this.stop();
+        this.playChime();
+
+        const i18n = this.tracker.i18n;
+        this.overlay.querySelector('.timer-view').classList.add('finished');
+        this.overlay.querySelector('.timer-phase').textContent = i18n.t('timer.finished');
+
+        // The task may have been ticked meanwhile, or left today's schedule
+        const shown = document.querySelector(`[data-task-id="${task.id}"]`);
+        if (shown && !this.tracker.completedTasks.has(task.id)) {
+            this.tracker.toggleTask(task.id);
+        }
+    }
+
+    formatTime(milliseconds) {
+        const totalSeconds = Math.ceil(milliseconds / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    createAudio() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return null;
+
+        try {
+            return new AudioContext();
+        } catch (error) {
+            console.error('Audio unavailable:', error);
+            return null;
+        }
+    }
+
+    // Two soft notes, a fifth apart
+    playChime() {
+        const context = this.audio;
+        if (!context) return;
+
+        [523.25, 783.99].forEach((frequency, index) => {
+            const start = context.currentTime + index * 0.3;
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.0001, start);
+            gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + 1.5);
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 1.5);
+        });
+    }
+}
@@ -0,0 +1,190 @@
+// Daily Regulation Tracker - Day Timeline
+//
+// When each task was ticked (and unticked) over one day, drawn per section
+// against the section's reminder time, followed by the same events as a
+// list. Shown with a day's details in the history card.
+
+class DayTimeline {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.axisHours = [0, 6, 12, 18, 24];
+    }
+
+    // The day runs from the configured day start to the same hour next day
+    getDayBounds(dateKey) {
+        const start = DateKeys.parse(dateKey);
+        start.setHours(this.tracker.dateKeys.dayStartHour, 0, 0, 0);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+        return { start: start.getTime(), end: end.getTime() };
+    }
+
+    getReminder(dateKey, section, task) {
+        const time = (task && task.remind) || section.remind;
+        return time ? this.tracker.dateKeys.timeOnDay(dateKey, time).getTime() : null;
+    }
+
+    formatDuration(minutes) {
+        const i18n = this.tracker.i18n;
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        if (hours > 0 && rest > 0) return i18n.t('timeline.hoursMinutes', { hours: hours, minutes: rest });
+        if (hours > 0) return i18n.t('timeline.hours', { count: hours });
+        return i18n.t('timeline.minutes', { count: rest });
+    }
+
+    describeOffset(at, reminder) {
+        const i18n = this.tracker.i18n;
+        const time = i18n.formatTime(new Date(reminder));
+        const minutes = Math.round((at - reminder) / 60000);
+        if (minutes === 0) return i18n.t('timeline.atReminder', { time: time });
+
+        const key = minutes < 0 ? 'timeline.beforeReminder' : 'timeline.afterReminder';
+        return i18n.t(key, { duration: this.formatDuration(Math.abs(minutes)), time: time });
+    }
+
+    create(record) {
+        const i18n = this.tracker.i18n;
+        const tasks = new Map();
+        Object.keys(record.sections).forEach(sectionKey => {
+            const section = record.sections[sectionKey];
+            section.tasks.forEach(task => tasks.set(task.id, { task: task, section: section, sectionKey: sectionKey }));
+        });
+
+        // Events for tasks no longer on that day's schedule have nothing to show against
+        const events = record.events.filter(event => tasks.has(event.taskId));
+        // Days saved before the event log may still know when tasks were ticked
+        const logged = new Set(events.map(event => `${event.taskId}|${event.at}`));
+        tasks.forEach(({ task }) => {
+            if (task.completedAt && !logged.has(`${task.id}|${task.completedAt}`)) {
+                events.push({ taskId: task.id, completed: true, at: task.completedAt });
+            }
+        });
+        events.sort((a, b) => a.at - b.at);
+        const untimed = [...tasks.values()].filter(({ task }) => task.completed && task.completedAt === null);
+
+        const timeline = document.createElement('div');
+        timeline.className = 'day-timeline';
+        const title = document.createElement('div');
+        title.className = 'history-section-title';
+        title.textContent = i18n.t('timeline.title');
+        timeline.appendChild(title);
+
+        if (events.length === 0 && untimed.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'timeline-note';
+            empty.textContent = i18n.t('timeline.empty');
+            timeline.appendChild(empty);
+            return timeline;
+        }
+
+        if (events.length > 0) {
+            timeline.appendChild(this.createChart(record, events, tasks));
+            timeline.appendChild(this.createEventList(record, events, tasks));
+        }
+
+        if (untimed.length > 0) {
+            const note = document.createElement('p');
+            note.className = 'timeline-note';
+            note.textContent = i18n.t('timeline.untimed', { count: untimed.length });
+            timeline.appendChild(note);
+        }
+
+        return timeline;
+    }
+
+    // One track per section, with its reminder and every tick on it
+    createChart(record, events, tasks) {
+        const i18n = this.tracker.i18n;
+        const bounds = this.getDayBounds(record.dateKey);
+        const position = (time) => {
+            const ratio = (time - bounds.start) / (bounds.end - bounds.start);
+            return `${Math.min(100, Math.max(0, ratio * 100))}%`;
+        };
+
+        const chart = document.createElement('div');
+        chart.className = 'timeline-chart';
+        chart.setAttribute('aria-hidden', 'true');
+
+        Object.keys(record.sections).forEach(sectionKey => {
+            const section = record.sections[sectionKey];
+            const sectionEvents = events.filter(event => tasks.get(event.taskId).sectionKey === sectionKey);
+            const reminder = this.getReminder(record.dateKey, section);
+            if (sectionEvents.length === 0 && reminder === null) return;
+
+            const row = document.createElement('div');
+            row.className = `timeline-row ${sectionKey}`;
+            row.innerHTML = '<span class="timeline-label"></span><div class="timeline-track"></div>';
+            row.querySelector('.timeline-label').textContent = i18n.sectionTitle(sectionKey, section);
+            const track = row.querySelector('.timeline-track');
+
+            if (reminder !== null) {
+                const marker = document.createElement('span');
+                marker.className = 'timeline-reminder';
+                marker.style.left = position(reminder);
+                marker.title = i18n.t('timeline.reminder', { time: i18n.formatTime(new Date(reminder)) });
+                track.appendChild(marker);
+            }
+
+            sectionEvents.forEach(event => {
+                const dot = document.createElement('span');
+                dot.className = `timeline-dot${event.completed ? '' : ' unchecked'}`;
+                dot.style.left = position(event.at);
+                dot.title = `${i18n.formatTime(new Date(event.at))} · ${i18n.taskText(tasks.get(event.taskId).task)}`;
+                track.appendChild(dot);
+            });
+
+            chart.appendChild(row);
+        });
+
+        const axis = document.createElement('div');
+        axis.className = 'timeline-axis';
+        this.axisHours.forEach(hours => {
+            const tick = document.createElement('span');
+            tick.style.left = `${(hours / 24) * 100}%`;
+            const time = new Date(bounds.start);
+            time.setHours(time.getHours() + hours);
+            tick.textContent = i18n.formatTime(time, { hour: 'numeric' });
+            axis.appendChild(tick);
+        });
+        chart.appendChild(axis);
+
+        return chart;
+    }
+
+    createEventList(record, events, tasks) {
+        const i18n = this.tracker.i18n;
+        const list = document.createElement('ol');
+        list.className = 'timeline-events';
+
+        events.forEach(event => {
+            const { task, section, sectionKey } = tasks.get(event.taskId);
+            const item = document.createElement('li');
+            item.className = event.completed ? 'done' : 'unchecked';
+            item.innerHTML = `
+                <time></time>
+                <i class="fas ${event.completed ? 'fa-check' : 'fa-rotate-left'}"></i>
+                <span class="timeline-task"></span>
+                <span class="timeline-detail"></span>
+            `;
+
+            const at = new Date(event.at);
+            item.querySelector('time').dateTime = at.toISOString();
+            item.querySelector('time').textContent = i18n.formatTime(at);
+            item.querySelector('.timeline-task').textContent = i18n.taskText(task);
+
+            const reminder = this.getReminder(record.dateKey, section, task);
+            const details = [i18n.sectionTitle(sectionKey, section)];
+            if (!event.completed) {
+                details.push(i18n.t('timeline.unchecked'));
+            } else if (reminder !== null) {
+                details.push(this.describeOffset(event.at, reminder));
+            }
+            item.querySelector('.timeline-detail').textContent = details.join(' · ');
+
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+}
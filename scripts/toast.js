@@ -0,0 +1,74 @@
+// Daily Regulation Tracker - Toasts
+//
+// One short message at a time along the bottom of the screen, optionally
+// with an action button ("Undo"). A new message replaces the one showing,
+// and the timer pauses while the pointer or keyboard focus is on the toast.
+
+class Toast {
+    constructor() {
+        this.duration = 5000;
+        this.timerId = null;
+        this.remaining = 0;
+        this.listening = false;
+    }
+
+    getElement() {
+        const element = document.getElementById('toast');
+        if (element && !this.listening) {
+            this.listening = true;
+            element.addEventListener('mouseenter', () => this.pause());
+            element.addEventListener('focusin', () => this.pause());
+            element.addEventListener('mouseleave', () => this.resume());
+            element.addEventListener('focusout', () => this.resume());
+        }
+        return element;
+    }
+
+    show(message, options = {}) {
+        const element = this.getElement();
+        if (!element) return;
+
+        element.innerHTML = '<span class="toast-message"></span>';
+        element.querySelector('.toast-message').textContent = message;
+        // Errors are announced straight away rather than politely
+        element.classList.toggle('toast-error', options.type === 'error');
+        element.setAttribute('role', options.type === 'error' ? 'alert' : 'status');
+
+        if (options.action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = options.action.label;
+            button.addEventListener('click', () => {
+                this.hide();
+                options.action.onClick();
+            });
+            element.appendChild(button);
+        }
+
+        element.hidden = false;
+        this.remaining = options.duration || this.duration;
+        this.resume();
+    }
+
+    hide() {
+        clearTimeout(this.timerId);
+        this.timerId = null;
+        const element = this.getElement();
+        if (element) {
+            element.hidden = true;
+        }
+    }
+
+    pause() {
+        clearTimeout(this.timerId);
+        this.timerId = null;
+    }
+
+    resume() {
+        const element = this.getElement();
+        if (!element || element.hidden || this.timerId !== null) return;
+
+        this.timerId = setTimeout(() => this.hide(), this.remaining);
+    }
+}
@@ -0,0 +1,177 @@
+// Daily Regulation Tracker - Undo & Redo
+//
+// Ticks, amounts, doses and Reset Day are recorded as actions:
+//
+//   { type: 'toggle', taskId, completed }
+//   { type: 'amount', taskId, from, to }
+//   { type: 'dose', key, taken }
+//   { type: 'reset', snapshot }
+//
+// Each one offers "Undo" in a toast, and Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y)
+// step back and forth. Both stacks are saved under undo_<date>, so they
+// survive a reload but start empty every day.
+
+class UndoHistory {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.prefix = 'undo_';
+        this.maxActions = 50;
+        this.done = [];
+        this.undone = [];
+        // Set while an action is being undone or redone, so replaying it
+        // doesn't record it again
+        this.applying = false;
+    }
+
+    load() {
+        const storage = this.tracker.storage;
+        const key = this.prefix + this.tracker.getCurrentDateKey();
+
+        // Earlier days can't be undone any more
+        storage.keys()
+            .filter(candidate => candidate.startsWith(this.prefix) && candidate !== key)
+            .forEach(candidate => storage.removeItem(candidate));
+
+        const stored = storage.getItem(key);
+        if (stored) {
+            try {
+                const history = JSON.parse(stored);
+                this.done = history.done || [];
+                this.undone = history.undone || [];
+            } catch (error) {
+                console.error('Invalid undo history:', error);
+            }
+        }
+    }
+
+    save() {
+        const key = this.prefix + this.tracker.getCurrentDateKey();
+        if (this.done.length === 0 && this.undone.length === 0) {
+            this.tracker.storage.removeItem(key);
+        } else {
+            this.tracker.storage.setItem(key, JSON.stringify({ done: this.done, undone: this.undone }));
+        }
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+            // Text fields keep their own undo
+            const target = event.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    record(action) {
+        if (this.applying) return;
+
+        this.done.push(action);
+        if (this.done.length > this.maxActions) {
+            this.done.shift();
+        }
+        this.undone = [];
+        this.save();
+
+        this.tracker.toast.show(this.describe(action), {
+            action: { label: this.tracker.i18n.t('undo.undo'), onClick: () => this.undo() }
+        });
+    }
+
+    undo() {
+        const action = this.done.pop();
+        if (!action) return;
+
+        if (!this.replay(action, true)) {
+            this.drop(action, 'undo.nothingToUndo');
+            return;
+        }
+        this.undone.push(action);
+        this.save();
+
+        this.tracker.toast.show(this.tracker.i18n.t('undo.undone', { action: this.describe(action) }), {
+            action: { label: this.tracker.i18n.t('undo.redo'), onClick: () => this.redo() }
+        });
+    }
+
+    redo() {
+        const action = this.undone.pop();
+        if (!action) return;
+
+        if (!this.replay(action, false)) {
+            this.drop(action, 'undo.nothingToRedo');
+            return;
+        }
+        this.done.push(action);
+        this.save();
+
+        this.tracker.toast.show(this.describe(action), {
+            action: { label: this.tracker.i18n.t('undo.undo'), onClick: () => this.undo() }
+        });
+    }
+
+    // An action on a task taken off today's schedule since (or a dose no
+    // longer listed) can't be replayed either way, so it's let go
+    drop(action, messageKey) {
+        this.save();
+        this.tracker.toast.show(this.tracker.i18n.t(messageKey, { action: this.describe(action) }));
+    }
+
+    // Returns false when the action no longer applies to anything
+    replay(action, backwards) {
+        const tracker = this.tracker;
+        const isShown = (taskId) => Boolean(document.querySelector(`[data-task-id="${taskId}"]`));
+
+        this.applying = true;
+        try {
+            if (action.type === 'toggle') {
+                if (!isShown(action.taskId)) return false;
+                tracker.setTaskCompleted(action.taskId, backwards ? !action.completed : action.completed, false);
+            } else if (action.type === 'amount') {
+                const task = tracker.quantities.findTask(action.taskId);
+                if (!task || !isShown(action.taskId)) return false;
+                tracker.quantities.setAmount(task, backwards ? action.from : action.to, false);
+            } else if (action.type === 'dose') {
+                if (!tracker.medications.doses[action.key]) return false;
+                tracker.medications.setDose(action.key, backwards ? !action.taken : action.taken);
+            } else if (action.type === 'reset') {
+                if (backwards) {
+                    tracker.restoreDay(action.snapshot);
+                } else {
+                    tracker.clearDay();
+                }
+            }
+            return true;
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    describe(action) {
+        const i18n = this.tracker.i18n;
+        if (action.type === 'reset') {
+            return i18n.t('undo.reset');
+        }
+        if (action.type === 'dose') {
+            const dose = this.tracker.medications.doses[action.key];
+            const name = dose ? this.tracker.medications.describeDose(dose) : '';
+            return i18n.t(action.taken ? 'medications.takeDose' : 'medications.notTaken', { name: name });
+        }
+
+        const task = this.tracker.quantities.findTask(action.taskId);
+        const text = task ? i18n.taskText(task) : action.taskId;
+        if (action.type === 'amount') {
+            return `${text}: ${task ? this.tracker.quantities.formatAmount(action.to, task) : action.to}`;
+        }
+        return i18n.t(action.completed ? 'undo.done' : 'undo.unticked', { task: text });
+    }
+}
@@ -0,0 +1,176 @@
+// Daily Regulation Tracker - Service Worker
+//
+// Bump CACHE_VERSION whenever the precache list changes so old caches are
+// dropped on activate.
+
+const CACHE_VERSION = 'v22';
+const APP_CACHE = `daily-care-app-${CACHE_VERSION}`;
+const CDN_CACHE = `daily-care-cdn-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './styles/main.css',
+    './scripts/clock.js',
+    './scripts/storage.js',
+    './scripts/profiles.js',
+    './scripts/i18n.js',
+    './scripts/accessibility.js',
+    './scripts/toast.js',
+    './scripts/undo.js',
+    './scripts/date-keys.js',
+    './scripts/recurrence.js',
+    './scripts/schedule-schema.js',
+    './scripts/quantities.js',
+    './scripts/medications.js',
+    './scripts/task-timer.js',
+    './scripts/journal.js',
+    './scripts/location-picker.js',
+    './scripts/forecast.js',
+    './scripts/quotes.js',
+    './scripts/completion-log.js',
+    './scripts/sync-adapters.js',
+    './scripts/sync.js',
+    './scripts/history.js',
+    './scripts/timeline.js',
+    './scripts/stats.js',
+    './scripts/streaks.js',
+    './scripts/achievements.js',
+    './scripts/schedule-editor.js',
+    './scripts/reminders.js',
+    './scripts/backup.js',
+    './scripts/main.js',
+    './assets/schedule.json',
+    './assets/quotes.json',
+    './assets/i18n/en.json',
+    './assets/i18n/es.json',
+    './assets/i18n/de.json',
+    './assets/icons/icon-192.png',
+    './assets/icons/icon-512.png'
+];
+
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0';
+const CDN_ASSETS = [
+    `${FONT_AWESOME}/css/all.min.css`,
+    `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`,
+    // The outlined heart for quotes that aren't favorites yet
+    `${FONT_AWESOME}/webfonts/fa-regular-400.woff2`
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const appCache = await caches.open(APP_CACHE);
+        await appCache.addAll(APP_SHELL);
+
+        // The icon font is nice to have offline but must not block install
+        try {
+            const cdnCache = await caches.open(CDN_CACHE);
+            await cdnCache.addAll(CDN_ASSETS.map(url => new Request(url, { mode: 'cors' })));
+        } catch (error) {
+            console.log('Could not precache icon font:', error);
+        }
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('daily-care-') && key !== APP_CACHE && key !== CDN_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    // Sync requests opt out of caching and must always see the server
+    if (request.method !== 'GET' || request.cache === 'no-store') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else if (request.url.startsWith(FONT_AWESOME)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // Weather and geocoding requests go straight to the network; the app
+    // keeps its own copy of the last good forecast
+});
+
+// Serve the cached app shell immediately and refresh it in the background,
+// so the next launch picks up new versions
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(APP_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const network = fetch(request)
+        .then(response => {
+            // Responses the server marks no-store are never kept
+            if (response.ok && !/no-store/.test(response.headers.get('Cache-Control') || '')) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        return cached;
+    }
+
+    const response = await network;
+    if (response) {
+        return response;
+    }
+    if (request.mode === 'navigate') {
+        return cache.match('./index.html');
+    }
+    return Response.error();
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+// Reminder notification buttons ("Done" / "Snooze") are handled by the page;
+// open one if the app isn't running
+self.addEventListener('notificationclick', (event) => {
+    const notification = event.notification;
+    const action = event.action || 'open';
+    const taskId = notification.data && notification.data.taskId;
+    notification.close();
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+        if (windows.length > 0) {
+            const client = windows[0];
+            if (taskId && action !== 'open') {
+                client.postMessage({ type: 'reminder-action', action: action, taskId: taskId });
+            }
+            return client.focus();
+        }
+
+        const url = taskId && action !== 'open'
+            ? `./?reminderAction=${encodeURIComponent(action)}&task=${encodeURIComponent(taskId)}`
+            : './';
+        return self.clients.openWindow(url);
+    })());
+});
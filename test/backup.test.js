@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, MemoryLocalStorage } = require('./support');
+
+const { DataBackup, CompletionLog } = loadScripts([
+    'date-keys', 'completion-log', 'schedule-schema', 'backup'
+]);
+
+function createBackup() {
+    const storage = new MemoryLocalStorage();
+    const tracker = {
+        storage: storage,
+        i18n: { t: (key, params) => (params ? `${key} ${JSON.stringify(params)}` : key) }
+    };
+    return { backup: new DataBackup(tracker), storage };
+}
+
+function backupWith(fields) {
+    return { format: 'daily-care-backup', version: 3, ...fields };
+}
+
+const read = (storage, key) => JSON.parse(storage.getItem(key));
+
+test('a backup with well-formed groups and settings is accepted', () => {
+    const { backup } = createBackup();
+    assert.equal(backup.validate(backupWith({
+        days: { '2024-05-14': CompletionLog.createDay(['brush-teeth']) },
+        quantities: { '2024-05-14': { water: 4 } },
+        journal: { '2024-05-14': { mood: 4, energy: null, sleep: 7.5, note: 'ok', taskNotes: {} } },
+        weatherTasks: { '2024-05-14': [{ id: 'sunscreen', text: 'Sunscreen', icon: 'fa-sun' }] },
+        medicationLog: { '2024-05-14': { 'medication:m1': { taskId: 'medication', medicationId: 'm1', takenAt: null } } },
+        reminders: { '2024-05-14': { fired: {}, snoozed: {} } },
+        weatherLocation: { name: 'Denver', latitude: 39.7, longitude: -104.9 },
+        medications: [{ id: 'm1', name: 'Vitamin D' }],
+        streakSettings: null
+    })), null);
+});
+
+test('values the app would trip over on the next load are refused', () => {
+    const { backup } = createBackup();
+    const refused = [
+        [{ medications: { id: 'm1' } }, 'backup.invalidValue'],
+        [{ weatherLocation: { name: 'Denver' } }, 'backup.invalidValue'],
+        [{ favoriteLocations: [{ latitude: '39', longitude: -104 }] }, 'backup.invalidValue'],
+        [{ userQuotes: 'be kind' }, 'backup.invalidValue'],
+        [{ streakSettings: [] }, 'backup.invalidValue'],
+        [{ quantities: { '2024-05-14': { water: 'four' } } }, 'backup.invalidEntry'],
+        [{ journal: { '2024-05-14': { mood: 'good' } } }, 'backup.invalidEntry'],
+        [{ weatherTasks: { '2024-05-14': { id: 'sunscreen' } } }, 'backup.invalidEntry'],
+        [{ medicationLog: { '2024-05-14': { 'medication:m1': 'taken' } } }, 'backup.invalidEntry'],
+        [{ reminders: { '2024-05-14': { fired: {} } } }, 'backup.invalidEntry']
+    ];
+    refused.forEach(([fields, message]) => {
+        const problem = backup.validate(backupWith(fields));
+        assert.ok(problem && problem.startsWith(message), `${JSON.stringify(fields)} gave ${problem}`);
+    });
+});
+
+test('days differing only in a journal or amount still count as conflicts', () => {
+    const { backup, storage } = createBackup();
+    storage.setItem('journal_2024-05-14', JSON.stringify({ mood: 4, note: '' }));
+    storage.setItem('quantities_2024-05-15', JSON.stringify({ water: 2 }));
+    storage.setItem('reminders_2024-05-16', JSON.stringify({ fired: { read: 1 }, snoozed: {} }));
+
+    assert.deepEqual(Array.from(backup.findConflicts(backupWith({
+        journal: { '2024-05-14': { mood: 2, note: '' } },
+        quantities: { '2024-05-15': { water: 3 } },
+        reminders: { '2024-05-16': { fired: {}, snoozed: {} } }
+    }))), ['2024-05-14', '2024-05-15']);
+});
+
+test('combining merges every per-day group, not just completions', () => {
+    const { backup, storage } = createBackup();
+    storage.setItem('dailyTracker_2024-05-14', JSON.stringify(CompletionLog.createDay(['brush-teeth'])));
+    storage.setItem('quantities_2024-05-14', JSON.stringify({ water: 5, steps: 1000 }));
+    storage.setItem('journal_2024-05-14', JSON.stringify({
+        mood: 4, energy: null, sleep: null, note: '', taskNotes: { exercise: 'run' }
+    }));
+    storage.setItem('weatherTasks_2024-05-14', JSON.stringify([{ id: 'sunscreen' }]));
+    storage.setItem('medicationLog_2024-05-14', JSON.stringify({
+        'medication:m1': { taskId: 'medication', takenAt: null },
+        'medication:m2': { taskId: 'medication', takenAt: 500 }
+    }));
+    storage.setItem('scheduleSnapshot_2024-05-14', JSON.stringify({ morning: { title: 'Mine' } }));
+
+    backup.applyBackup(backupWith({
+        days: { '2024-05-14': CompletionLog.createDay(['medication']) },
+        quantities: { '2024-05-14': { water: 3, steps: 4000 } },
+        journal: { '2024-05-14': {
+            mood: 1, energy: 3, sleep: 8, note: 'tired', taskNotes: { exercise: 'swim', medication: '10mg' }
+        } },
+        weatherTasks: { '2024-05-14': [{ id: 'umbrella' }, { id: 'sunscreen' }] },
+        medicationLog: { '2024-05-14': {
+            'medication:m1': { taskId: 'medication', takenAt: 900 },
+            'medication:m2': { taskId: 'medication', takenAt: 700 },
+            'medication:m3': { taskId: 'medication', takenAt: null }
+        } },
+        snapshots: { '2024-05-14': { morning: { title: 'Theirs' } } }
+    }), 'merge');
+
+    const day = CompletionLog.parse(read(storage, 'dailyTracker_2024-05-14'));
+    assert.deepEqual(Array.from(CompletionLog.completedIds(day)).sort(), ['brush-teeth', 'medication']);
+    assert.deepEqual(read(storage, 'quantities_2024-05-14'), { water: 5, steps: 4000 });
+    assert.deepEqual(read(storage, 'journal_2024-05-14'), {
+        mood: 4, energy: 3, sleep: 8, note: 'tired', taskNotes: { exercise: 'run', medication: '10mg' }
+    });
+    assert.deepEqual(read(storage, 'weatherTasks_2024-05-14').map(task => task.id), ['sunscreen', 'umbrella']);
+    assert.deepEqual(read(storage, 'medicationLog_2024-05-14'), {
+        'medication:m1': { taskId: 'medication', takenAt: 900 },
+        'medication:m2': { taskId: 'medication', takenAt: 500 },
+        'medication:m3': { taskId: 'medication', takenAt: null }
+    });
+    assert.deepEqual(read(storage, 'scheduleSnapshot_2024-05-14'), { morning: { title: 'Mine' } });
+});
+
+test('"Use backup" and "Keep mine" replace or keep whole entries', () => {
+    const { backup, storage } = createBackup();
+    const journal = { '2024-05-14': { mood: 1, note: 'theirs' } };
+
+    storage.setItem('journal_2024-05-14', JSON.stringify({ mood: 4, note: 'mine' }));
+    backup.applyBackup(backupWith({ journal }), 'mine');
+    assert.deepEqual(read(storage, 'journal_2024-05-14'), { mood: 4, note: 'mine' });
+
+    backup.applyBackup(backupWith({ journal }), 'theirs');
+    assert.deepEqual(read(storage, 'journal_2024-05-14'), { mood: 1, note: 'theirs' });
+});
@@ -0,0 +1,118 @@
+// Denver moves its clocks at 2am: forward on 2026-03-08, back on 2026-11-01
+process.env.TZ = 'America/Denver';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, MemoryLocalStorage } = require('./support');
+
+const { DateKeys } = loadScripts(['date-keys']);
+
+function createDateKeys(dayStartHour) {
+    return new DateKeys({ storage: new MemoryLocalStorage(), settings: { dayStartHour: dayStartHour } });
+}
+
+const hours = milliseconds => milliseconds / 3600000;
+
+test('the time zone is in effect', () => {
+    assert.equal(new Date(2026, 0, 15).getTimezoneOffset(), 420);
+    assert.equal(new Date(2026, 6, 15).getTimezoneOffset(), 360);
+});
+
+test('keyFor counts the hours before the day start towards the previous day', () => {
+    const dateKeys = createDateKeys(4);
+
+    // Spring forward: 03:30 only exists in daylight time
+    assert.equal(dateKeys.keyFor(new Date(2026, 2, 8, 1, 59)), '2026-03-07');
+    assert.equal(dateKeys.keyFor(new Date(2026, 2, 8, 3, 30)), '2026-03-07');
+    assert.equal(dateKeys.keyFor(new Date(2026, 2, 8, 4, 0)), '2026-03-08');
+
+    // Fall back: 01:30 happens twice, and both belong to the day before
+    assert.equal(dateKeys.keyFor(new Date('2026-11-01T01:30:00-06:00')), '2026-10-31');
+    assert.equal(dateKeys.keyFor(new Date('2026-11-01T01:30:00-07:00')), '2026-10-31');
+    assert.equal(dateKeys.keyFor(new Date('2026-11-01T03:59:00-07:00')), '2026-10-31');
+    assert.equal(dateKeys.keyFor(new Date('2026-11-01T04:00:00-07:00')), '2026-11-01');
+});
+
+test('nextBoundary lands on the day start, making 23 and 25 hour days', () => {
+    const dateKeys = createDateKeys(4);
+
+    const springStart = new Date('2026-03-07T04:00:00-07:00');
+    const springEnd = dateKeys.nextBoundary(new Date(2026, 2, 7, 12, 0));
+    assert.equal(springEnd.toISOString(), '2026-03-08T10:00:00.000Z');
+    assert.equal(hours(springEnd - springStart), 23);
+    assert.equal(dateKeys.keyFor(springEnd), '2026-03-08');
+
+    // From inside the skipped hour's day, the boundary is still the next one
+    assert.equal(dateKeys.nextBoundary(new Date(2026, 2, 8, 3, 30)).toISOString(), '2026-03-08T10:00:00.000Z');
+
+    const fallStart = new Date('2026-10-31T04:00:00-06:00');
+    const fallEnd = dateKeys.nextBoundary(new Date('2026-11-01T01:30:00-07:00'));
+    assert.equal(fallEnd.toISOString(), '2026-11-01T11:00:00.000Z');
+    assert.equal(hours(fallEnd - fallStart), 25);
+    assert.equal(dateKeys.keyFor(fallEnd), '2026-11-01');
+});
+
+test('a day start inside the skipped hour moves to the first moment that exists', () => {
+    const dateKeys = createDateKeys(2);
+    const boundary = dateKeys.nextBoundary(new Date(2026, 2, 7, 12, 0));
+    assert.equal(boundary.toISOString(), '2026-03-08T09:00:00.000Z');
+    assert.equal(dateKeys.keyFor(boundary), '2026-03-08');
+    assert.equal(dateKeys.keyFor(new Date(boundary.getTime() - 1)), '2026-03-07');
+});
+
+test('timeOnDay keeps wall-clock times across the change', () => {
+    const dateKeys = createDateKeys(4);
+
+    assert.equal(dateKeys.timeOnDay('2026-03-08', '09:00').toISOString(), '2026-03-08T15:00:00.000Z');
+    assert.equal(dateKeys.timeOnDay('2026-11-01', '09:00').toISOString(), '2026-11-01T16:00:00.000Z');
+
+    // Before the day start is the early hours of the next date
+    assert.equal(dateKeys.timeOnDay('2026-03-07', '01:00').toISOString(), '2026-03-08T08:00:00.000Z');
+    assert.equal(dateKeys.timeOnDay('2026-10-31', '03:00').toISOString(), '2026-11-01T10:00:00.000Z');
+
+    // A time in the skipped hour comes out an hour later, still on the same day
+    const skipped = dateKeys.timeOnDay('2026-03-07', '02:30');
+    assert.equal(skipped.getHours(), 3);
+    assert.equal(dateKeys.keyFor(skipped), '2026-03-07');
+
+    // A time that happens twice is the first of the two
+    const repeated = dateKeys.timeOnDay('2026-10-31', '01:30');
+    assert.equal(repeated.toISOString(), '2026-11-01T07:30:00.000Z');
+    assert.equal(dateKeys.keyFor(repeated), '2026-10-31');
+});
+
+test('convertUtcDays uses the offset in effect on each side of the change', () => {
+    const dateKeys = createDateKeys(4);
+    const schedule = {
+        evening: {
+            title: 'Evening',
+            icon: 'fa-moon',
+            tasks: [
+                { id: 'five', text: 'Five', icon: 'fa-clock', remind: '17:00' },
+                { id: 'six', text: 'Six', icon: 'fa-clock', remind: '18:00' },
+                { id: 'noon', text: 'Noon', icon: 'fa-clock', remind: '12:00' }
+            ]
+        }
+    };
+
+    // In standard time the UTC date flipped at 17:00, in daylight time at 18:00
+    const converted = dateKeys.convertUtcDays({
+        '2026-03-08': ['five', 'noon'],
+        '2026-03-09': ['five', 'six', 'noon'],
+        '2026-11-01': ['five', 'six'],
+        '2026-11-02': ['five', 'noon']
+    }, schedule);
+
+    const sorted = {};
+    Object.keys(converted).sort().forEach(dateKey => {
+        sorted[dateKey] = Array.from(converted[dateKey]).sort();
+    });
+    assert.deepEqual(sorted, {
+        '2026-03-07': ['five'],
+        '2026-03-08': ['noon', 'six'],
+        '2026-03-09': ['five', 'noon'],
+        '2026-10-31': ['six'],
+        '2026-11-01': ['five'],
+        '2026-11-02': ['noon']
+    });
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./support');
+const { createServer } = require('../dev/weather-stub');
+
+const { WeatherForecast, DailyTracker, DateKeys, TrackerClock } = loadScripts([
+    'clock', 'date-keys', 'forecast', 'main'
+]);
+
+// The stand-in builds its forecast for this day, and the app's clock is set
+// to an hour of it (or of a later day)
+const today = '2024-05-14';
+
+function createForecast(hour = 8, dayOffset = 0) {
+    const time = new Date(2024, 4, 14 + dayOffset, hour).getTime();
+    const clock = new TrackerClock({ now: () => time });
+    const tracker = {
+        clock: clock,
+        getCurrentDateKey: () => DateKeys.format(clock.now()),
+        getWeatherCondition: code => DailyTracker.prototype.getWeatherCondition.call(null, code),
+        i18n: { formatTemperature: celsius => `${celsius}°C` }
+    };
+    return new WeatherForecast(tracker);
+}
+
+async function fetchStub(scenario) {
+    const server = createServer(scenario, () => new Date(2024, 4, 14, 8));
+    await new Promise(resolve => server.listen(0, 'localhost', resolve));
+    try {
+        const response = await fetch(`http://localhost:${server.address().port}/stub/forecast`);
+        return { headers: response.headers, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+const fetchForecast = async scenario => (await fetchStub(scenario)).body;
+
+const activeRules = (forecast, conditions) => {
+    forecast.conditions = conditions;
+    return Array.from(forecast.getActiveRules(), rule => rule.id);
+};
+
+test('parse turns the parallel arrays into hours and days', async () => {
+    const forecast = createForecast();
+    const data = await fetchForecast('storm');
+    const parsed = forecast.parse(data);
+
+    assert.equal(parsed.hourly.length, 7 * 24);
+    assert.equal(parsed.daily.length, 7);
+
+    const afternoon = parsed.hourly.find(hour => hour.time === `${today}T15:00`);
+    assert.equal(afternoon.condition, 'thunderstorm');
+    assert.equal(afternoon.precipitationChance, 90);
+    assert.equal(typeof afternoon.temperature, 'number');
+
+    assert.equal(parsed.daily[0].date, today);
+    assert.equal(parsed.daily[0].condition, 'thunderstorm');
+    assert.equal(parsed.daily[1].condition, 'clouds');
+    assert.deepEqual([parsed.daily[0].high, parsed.daily[0].low], [20, 4]);
+});
+
+test('the stand-in\'s API asks not to be cached', async () => {
+    const { headers } = await fetchStub('sunny');
+    assert.equal(headers.get('Cache-Control'), 'no-store');
+});
+
+test('parse copes with a response missing a section', () => {
+    const parsed = createForecast().parse({ daily: { time: [] } });
+    assert.equal(parsed.hourly.length, 0);
+    assert.equal(parsed.daily.length, 0);
+});
+
+test('each scenario triggers its rules', async () => {
+    const expected = {
+        sunny: ['sunscreen', 'outfit'],
+        rain: ['umbrella', 'outfit'],
+        storm: ['umbrella', 'indoor-exercise', 'outfit'],
+        mild: ['outfit']
+    };
+
+    for (const [scenario, rules] of Object.entries(expected)) {
+        const forecast = createForecast();
+        const conditions = forecast.getConditions(forecast.parse(await fetchForecast(scenario)));
+        assert.deepEqual(activeRules(forecast, conditions), rules, scenario);
+    }
+});
+
+test('conditions only look at the rest of today', async () => {
+    const data = await fetchForecast('storm');
+
+    const morning = createForecast(8);
+    const before = morning.getConditions(morning.parse(data));
+    assert.equal(before.precipitationChance, 90);
+    assert.equal(before.thunderstorm, true);
+    assert.equal(before.uvIndex, 4);
+    assert.equal(before.high, '20°C');
+    assert.equal(before.low, '4°C');
+
+    // Once the storm hours have passed the rain chance drops, though the day
+    // as a whole is still stormy
+    const evening = createForecast(20);
+    const after = evening.getConditions(evening.parse(data));
+    assert.equal(after.precipitationChance, 40);
+    assert.equal(after.thunderstorm, true);
+    assert.deepEqual(activeRules(evening, after), ['indoor-exercise', 'outfit']);
+});
+
+test('a forecast from an earlier day gives no conditions', async () => {
+    const forecast = createForecast(8, 7);
+    assert.equal(forecast.getConditions(forecast.parse(await fetchForecast('sunny'))), null);
+    assert.deepEqual(activeRules(forecast, null), []);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, MemoryLocalStorage } = require('./support');
+
+const { TrackerHistory, CompletionLog, QuantityTracker, DailyJournal, MedicationTracker } = loadScripts([
+    'date-keys', 'recurrence', 'completion-log', 'quantities', 'journal', 'medications', 'history'
+]);
+
+const schedule = {
+    morning: {
+        title: 'Morning',
+        icon: 'fa-sun',
+        tasks: [{ id: 'brush-teeth', text: 'Brush teeth', icon: 'fa-tooth' }]
+    }
+};
+
+function createHistory() {
+    const tracker = {
+        storage: new MemoryLocalStorage(),
+        schedule: schedule,
+        completionDay: CompletionLog.createDay(),
+        getCurrentDateKey: () => '2024-05-14',
+        getDaySchedule: () => schedule
+    };
+    tracker.quantities = new QuantityTracker(tracker);
+    tracker.journal = new DailyJournal(tracker);
+    tracker.medications = new MedicationTracker(tracker);
+    tracker.history = new TrackerHistory(tracker);
+    return tracker;
+}
+
+test('a day with only a journal entry is listed, with nothing ticked', () => {
+    const tracker = createHistory();
+    tracker.storage.setItem('dailyTracker_2024-05-12', JSON.stringify(CompletionLog.createDay(['brush-teeth'])));
+    tracker.storage.setItem('journal_2024-05-13', JSON.stringify({ mood: 4, note: 'Slept in' }));
+    tracker.storage.setItem('journal_notes', '{}');
+
+    tracker.history.buildIndex();
+    const days = tracker.history.days;
+    assert.deepEqual([...days.keys()].sort(), ['2024-05-12', '2024-05-13', '2024-05-14']);
+
+    const journalOnly = days.get('2024-05-13');
+    assert.equal(journalOnly.completed, 0);
+    assert.equal(journalOnly.total, 1);
+    assert.equal(journalOnly.journal.mood, 4);
+    assert.equal(journalOnly.journal.note, 'Slept in');
+    assert.equal(days.get('2024-05-12').completed, 1);
+});
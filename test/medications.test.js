@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readJson, MemoryLocalStorage } = require('./support');
+
+const { MedicationTracker, ScheduleEditor } = loadScripts(['schedule-schema', 'medications', 'schedule-editor']);
+
+function createMedications(schedule, customSchedule) {
+    const storage = new MemoryLocalStorage();
+    if (customSchedule !== undefined) {
+        storage.setItem('customSchedule', typeof customSchedule === 'string' ? customSchedule : JSON.stringify(customSchedule));
+    }
+    const tracker = { storage: storage, schedule: schedule };
+    tracker.scheduleEditor = new ScheduleEditor(tracker);
+    return { medications: new MedicationTracker(tracker), storage };
+}
+
+// The shipped schedule as it was before medication tasks were marked
+function legacySchedule() {
+    const schedule = readJson('assets/schedule.json');
+    Object.values(schedule).forEach(section => {
+        section.tasks.forEach(task => delete task.medication);
+    });
+    return schedule;
+}
+
+const medicationIds = schedule => Object.values(schedule)
+    .flatMap(section => section.tasks.filter(task => task.medication === true).map(task => task.id))
+    .sort();
+
+test('the shipped medication tasks get marked in the schedule in use', () => {
+    const schedule = legacySchedule();
+    const { medications, storage } = createMedications(schedule);
+    medications.markLegacyTasks();
+
+    assert.deepEqual(medicationIds(schedule), ['take-medication-evening', 'take-medication-morning']);
+    assert.equal(storage.getItem('customSchedule'), null);
+    assert.equal(storage.getItem('medicationTasksMarked'), 'true');
+});
+
+test('a saved custom schedule is marked and written back as itself', () => {
+    const custom = {
+        morning: {
+            title: 'Mornings',
+            icon: 'fa-sun',
+            tasks: [
+                { id: 'take-medication-morning', text: 'Pills', icon: 'fa-pills' },
+                { id: 'stretch', text: 'Stretch', icon: 'fa-spa' }
+            ]
+        }
+    };
+    const { medications, storage } = createMedications(JSON.parse(JSON.stringify(custom)), custom);
+    medications.markLegacyTasks();
+
+    const saved = JSON.parse(storage.getItem('customSchedule'));
+    assert.deepEqual(Object.keys(saved), ['morning']);
+    assert.equal(saved.morning.title, 'Mornings');
+    assert.deepEqual(medicationIds(saved), ['take-medication-morning']);
+});
+
+test('the default standing in for a custom schedule that failed to load doesn\'t replace it', () => {
+    const custom = {
+        morning: {
+            title: '',
+            icon: 'fa-sun',
+            tasks: [{ id: 'take-medication-morning', text: 'Pills', icon: 'fa-pills' }]
+        }
+    };
+    const { medications, storage } = createMedications(legacySchedule(), custom);
+    medications.markLegacyTasks();
+
+    const saved = JSON.parse(storage.getItem('customSchedule'));
+    assert.deepEqual(Object.keys(saved), ['morning']);
+    assert.equal(saved.morning.tasks.length, 1);
+    assert.equal(saved.morning.tasks[0].medication, true);
+});
+
+test('an unreadable custom schedule is left as it is', () => {
+    const { medications, storage } = createMedications(legacySchedule(), '{ not json');
+    medications.markLegacyTasks();
+
+    assert.equal(storage.getItem('customSchedule'), '{ not json');
+    assert.equal(storage.getItem('medicationTasksMarked'), 'true');
+});
+
+// A tracker that's running low on one medication, with notifications allowed
+function createRunningLow(registration, Notification) {
+    const { MedicationTracker } = loadScripts(['medications'], { Notification: Notification });
+    const storage = new MemoryLocalStorage();
+    const tracker = {
+        storage: storage,
+        schedule: { morning: { title: 'Morning', icon: 'fa-sun', tasks: [{ id: 'pills', text: 'Pills', icon: 'fa-pills', medication: true }] } },
+        i18n: { t: key => key },
+        getCurrentDateKey: () => '2024-05-14',
+        reminders: {
+            settings: { enabled: true },
+            isSupported: () => true,
+            getServiceWorkerRegistration: async () => registration
+        }
+    };
+    const medications = new MedicationTracker(tracker);
+    medications.medications = [{ id: 'sertraline', name: 'Sertraline', sections: ['morning'], pillsPerDose: 1, stock: 2, refillDays: 7 }];
+    return { medications, storage };
+}
+
+// Chrome on Android once a service worker is registered
+class IllegalNotification {
+    constructor() {
+        throw new TypeError('Illegal constructor');
+    }
+}
+IllegalNotification.permission = 'granted';
+
+test('the refill alert goes through the service worker when there is one', async () => {
+    const shown = [];
+    const registration = { showNotification: async (title, options) => shown.push(options.tag) };
+    const { medications, storage } = createRunningLow(registration, IllegalNotification);
+
+    medications.checkSupply();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(shown, ['refill-sertraline']);
+    assert.equal(JSON.parse(storage.getItem('medications'))[0].refillAlertedOn, '2024-05-14');
+});
+
+test('a refill alert that can\'t be shown neither throws nor counts as sent', async () => {
+    const { medications, storage } = createRunningLow(null, IllegalNotification);
+
+    const originalError = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args);
+    try {
+        assert.doesNotThrow(() => medications.checkSupply());
+        await new Promise(resolve => setImmediate(resolve));
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.equal(errors.length, 1);
+    assert.equal(medications.medications[0].refillAlertedOn, undefined);
+    assert.equal(storage.getItem('medications'), null);
+});
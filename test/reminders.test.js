@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeTimers, MemoryLocalStorage } = require('./support');
+
+const { ReminderScheduler, TrackerClock, DateKeys, TaskRecurrence, CompletionLog, DailyTracker } = loadScripts([
+    'clock', 'date-keys', 'recurrence', 'completion-log', 'reminders', 'main'
+]);
+
+const schedule = {
+    morning: {
+        title: 'Morning',
+        icon: 'fa-sun',
+        remind: '09:00',
+        tasks: [
+            { id: 'brush-teeth', text: 'Brush teeth', icon: 'fa-tooth' },
+            { id: 'medication', text: 'Take medication', icon: 'fa-pills', remind: '08:30' },
+            { id: 'coffee', text: 'Drink coffee', icon: 'fa-mug-hot', remind: false }
+        ]
+    },
+    evening: {
+        title: 'Evening',
+        icon: 'fa-moon',
+        tasks: [
+            { id: 'read', text: 'Read', icon: 'fa-book', remind: '21:00' }
+        ]
+    }
+};
+
+// Arrays made inside the scripts' context are copied out, since
+// deepStrictEqual also compares prototypes
+const ids = reminders => Array.from(reminders, reminder => reminder.task.id);
+
+// A tracker with just what the scheduler uses, on a clock that only moves
+// when the test says so
+function createReminders(time) {
+    const timers = new FakeTimers(new Date(`2024-05-14T${time}:00`).getTime());
+    const clock = new TrackerClock({ now: () => timers.now, timers: timers });
+    const storage = new MemoryLocalStorage();
+    const dateKeys = new DateKeys({ storage: storage, settings: { dayStartHour: 0 } });
+    const tracker = {
+        storage: storage,
+        clock: clock,
+        dateKeys: dateKeys,
+        schedule: schedule,
+        completedTasks: new Set(),
+        i18n: { t: key => key, taskText: task => task.text, sectionTitle: (key, section) => section.title },
+        getCurrentDateKey: () => dateKeys.keyFor(clock.now()),
+        getTasksForDate: (section, dateKey) => section.tasks.filter(task => TaskRecurrence.appliesOn(task.repeat, dateKey)),
+        toggleTask: taskId => tracker.completedTasks.add(taskId)
+    };
+
+    const reminders = new ReminderScheduler(tracker, clock);
+    reminders.settings.enabled = true;
+    return { reminders, tracker, timers };
+}
+
+const dueIds = (reminders) => ids(reminders.getDueReminders());
+
+test('tasks fall due at their own time, or else their section\'s', () => {
+    const { reminders, timers } = createReminders('08:00');
+    assert.deepEqual(dueIds(reminders), []);
+
+    timers.advanceTo(new Date('2024-05-14T08:30:00').getTime());
+    assert.deepEqual(dueIds(reminders), ['medication']);
+
+    timers.advanceTo(new Date('2024-05-14T09:00:00').getTime());
+    assert.deepEqual(dueIds(reminders), ['brush-teeth', 'medication']);
+});
+
+test('remind: false opts a task out of its section\'s reminder', () => {
+    const { reminders } = createReminders('12:00');
+    assert.ok(!dueIds(reminders).includes('coffee'));
+    assert.ok(!reminders.getReminders().some(reminder => reminder.task.id === 'coffee'));
+});
+
+test('finished tasks and reminders that already fired are not due', () => {
+    const { reminders, tracker } = createReminders('09:30');
+    tracker.completedTasks.add('brush-teeth');
+    assert.deepEqual(dueIds(reminders), ['medication']);
+
+    reminders.check();
+    assert.deepEqual(dueIds(reminders), []);
+    assert.deepEqual(ids(reminders.getPendingReminders()), ['medication']);
+});
+
+test('a snoozed reminder comes back once the snooze is over', () => {
+    const { reminders, timers } = createReminders('09:30');
+    reminders.check();
+    reminders.snooze('medication');
+    const snoozedAt = timers.now;
+
+    assert.ok(!dueIds(reminders).includes('medication'));
+    assert.ok(!reminders.getPendingReminders().some(reminder => reminder.task.id === 'medication'));
+
+    const later = minutes => ids(reminders.getDueReminders(new Date(snoozedAt + minutes * 60000)));
+    assert.deepEqual(later(9), []);
+    assert.deepEqual(later(10), ['medication']);
+});
+
+test('snoozes and fired reminders survive a reload on the same day', () => {
+    const { reminders, tracker } = createReminders('09:30');
+    reminders.check();
+    reminders.snooze('medication');
+
+    const reloaded = new ReminderScheduler(tracker, tracker.clock);
+    reloaded.settings.enabled = true;
+    assert.deepEqual(dueIds(reloaded), []);
+});
+
+test('scheduleNext aims a timer at the next reminder and fires it on time', () => {
+    const { reminders, timers } = createReminders('08:00');
+    reminders.check();
+    assert.equal(timers.pending(), 1);
+
+    timers.advanceTo(new Date('2024-05-14T08:29:59').getTime());
+    assert.equal(reminders.state.fired.medication, undefined);
+
+    timers.advanceTo(new Date('2024-05-14T08:30:00').getTime());
+    assert.equal(reminders.state.fired.medication, new Date('2024-05-14T08:30:00').getTime());
+    assert.equal(reminders.state.fired['brush-teeth'], undefined);
+
+    // ...and then at the one after
+    timers.advanceTo(new Date('2024-05-14T09:00:00').getTime());
+    assert.ok(reminders.state.fired['brush-teeth']);
+    assert.equal(timers.pending(), 1);
+});
+
+test('scheduleNext wakes up for the end of a snooze', () => {
+    const { reminders, timers } = createReminders('21:05');
+    reminders.check();
+    assert.ok(reminders.state.fired.read);
+
+    reminders.snooze('read');
+    timers.advanceBy(10 * 60000);
+    assert.equal(reminders.state.fired.read, timers.now);
+});
+
+test('scheduleNext sets no timer when reminders are off or nothing is left', () => {
+    const { reminders, tracker, timers } = createReminders('08:00');
+    reminders.settings.enabled = false;
+    reminders.check();
+    assert.equal(timers.pending(), 0);
+
+    reminders.settings.enabled = true;
+    ['brush-teeth', 'medication', 'read'].forEach(taskId => tracker.completedTasks.add(taskId));
+    reminders.check();
+    assert.equal(timers.pending(), 0);
+});
+
+test('the minute tick catches up after the device slept through a timer', () => {
+    const { reminders, tracker, timers } = createReminders('08:00');
+    reminders.init();
+
+    // Asleep: time moves on but no timer runs
+    timers.timers.clear();
+    timers.now = new Date('2024-05-14T09:15:00').getTime();
+    assert.deepEqual(Object.keys(reminders.state.fired), []);
+
+    tracker.clock.tick();
+    assert.deepEqual(Object.keys(reminders.state.fired).sort(), ['brush-teeth', 'medication']);
+});
+
+test('"Done" from a reminder ticks the task and stops it nagging', () => {
+    const { reminders, tracker } = createReminders('09:30');
+    reminders.check();
+    reminders.handleAction('done', 'medication');
+
+    assert.ok(tracker.completedTasks.has('medication'));
+    assert.ok(!reminders.getPendingReminders().some(reminder => reminder.task.id === 'medication'));
+});
+
+test('"Done" on a task with no row on the page still records the tick', () => {
+    const { reminders, tracker } = createReminders('09:30');
+    const saved = [];
+    // The app's own completion path, with the rest of the page stubbed out
+    Object.assign(tracker, {
+        completionDay: CompletionLog.createDay(),
+        sync: { deviceId: 'phone', enqueue() {} },
+        undo: { record() {} },
+        medications: { onTaskCompleted() {} },
+        history: { refresh() {} },
+        stats: { refresh() {} },
+        streaks: { refresh() {}, render() {} },
+        achievements: { refresh: () => [] },
+        reminders: reminders,
+        saveCompletedTasks: () => saved.push(Array.from(tracker.completedTasks)),
+        updateProgress() {},
+        announceProgress() {},
+        toggleTask: DailyTracker.prototype.toggleTask,
+        setTaskCompleted: DailyTracker.prototype.setTaskCompleted
+    });
+
+    reminders.check();
+    reminders.handleAction('done', 'medication');
+
+    assert.ok(tracker.completedTasks.has('medication'));
+    assert.deepEqual(Array.from(CompletionLog.completedIds(tracker.completionDay)), ['medication']);
+    assert.deepEqual(saved, [['medication']]);
+    assert.ok(!reminders.getPendingReminders().some(reminder => reminder.task.id === 'medication'));
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readJson, MemoryLocalStorage } = require('./support');
+
+const { ScheduleSchema, ScheduleEditor, DataBackup, DailyTracker } = loadScripts([
+    'date-keys', 'recurrence', 'completion-log', 'schedule-schema', 'schedule-editor', 'backup', 'main'
+]);
+
+function schedule(task, section = {}) {
+    return {
+        morning: {
+            title: 'Morning',
+            icon: 'fa-sun',
+            ...section,
+            tasks: [{ id: 'brush-teeth', text: 'Brush teeth', icon: 'fa-tooth', ...task }]
+        }
+    };
+}
+
+const codes = value => Array.from(ScheduleSchema.validate(value), problem => `${problem.path} ${problem.code}`);
+
+test('the shipped schedule passes', () => {
+    assert.deepEqual(codes(readJson('assets/schedule.json')), []);
+});
+
+test('a task can opt out of its section\'s reminder with false', () => {
+    assert.deepEqual(codes(schedule({ remind: false }, { remind: '08:00' })), []);
+    assert.deepEqual(codes(schedule({ remind: '08:15' })), []);
+    assert.deepEqual(codes(schedule({ remind: true })), ['morning.tasks[0].remind invalidTime']);
+    assert.deepEqual(codes(schedule({ remind: '8am' })), ['morning.tasks[0].remind invalidTime']);
+
+    // Sections have nothing to opt out of
+    assert.deepEqual(codes(schedule({}, { remind: false })), ['morning.remind invalidTime']);
+});
+
+test('normalize drops blank optional fields and keeps required ones', () => {
+    const normalized = ScheduleSchema.normalize(schedule(
+        { category: '', unit: ' ', remind: null, text: '' },
+        { color: '', remind: '' }
+    ));
+
+    assert.deepEqual(Object.keys(normalized.morning).sort(), ['icon', 'tasks', 'title']);
+    assert.deepEqual(Object.keys(normalized.morning.tasks[0]).sort(), ['icon', 'id', 'text']);
+    assert.deepEqual(codes(normalized), ['morning.tasks[0].text emptyText']);
+});
+
+test('normalize leaves things that aren\'t a schedule for validate to report', () => {
+    assert.equal(ScheduleSchema.normalize(null), null);
+    assert.deepEqual(codes(ScheduleSchema.normalize({ morning: 'x', evening: { tasks: 'x' } })), [
+        'morning notObject',
+        'evening.title missing',
+        'evening.icon missing',
+        'evening.tasks notList'
+    ]);
+});
+
+test('a custom schedule saved with an empty category still loads', () => {
+    const storage = new MemoryLocalStorage();
+    storage.setItem('customSchedule', JSON.stringify(schedule({ category: '' })));
+    const editor = new ScheduleEditor({ storage: storage });
+
+    const loaded = editor.loadCustomSchedule();
+    assert.equal('category' in loaded.morning.tasks[0], false);
+    assert.deepEqual(codes(loaded), []);
+});
+
+// The app's own loadSchedule, with the rest of the page stubbed out
+async function loadSchedule(stored) {
+    const storage = new MemoryLocalStorage();
+    if (stored !== undefined) {
+        storage.setItem('customSchedule', stored);
+    }
+    const errors = [];
+    const tracker = {
+        storage: storage,
+        i18n: { t: key => key },
+        showError: message => errors.push(message),
+        fetchDefaultSchedule: async () => readJson('assets/schedule.json'),
+        checkSchedule: DailyTracker.prototype.checkSchedule
+    };
+    tracker.scheduleEditor = new ScheduleEditor(tracker);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await DailyTracker.prototype.loadSchedule.call(tracker);
+    } finally {
+        console.error = originalError;
+    }
+    return { schedule: tracker.schedule, errors };
+}
+
+test('a saved custom schedule that isn\'t an object falls back to the default, with an error', async () => {
+    const shipped = readJson('assets/schedule.json');
+    for (const stored of ['null', '42', '"morning"', '[]', '{ not json']) {
+        const { schedule, errors } = await loadSchedule(stored);
+        assert.deepEqual(schedule, shipped, stored);
+        assert.deepEqual(errors, ['errors.customScheduleInvalid'], stored);
+    }
+});
+
+test('without a custom schedule the default loads quietly', async () => {
+    const { schedule, errors } = await loadSchedule();
+    assert.deepEqual(schedule, readJson('assets/schedule.json'));
+    assert.deepEqual(errors, []);
+});
+
+test('an old backup with an empty category imports, without it', () => {
+    const backup = new DataBackup({ storage: new MemoryLocalStorage(), i18n: { t: key => key } });
+    const file = { format: 'daily-care-backup', version: 3, schedule: schedule({ category: '', remind: false }) };
+
+    assert.equal(backup.validate(file), null);
+    backup.applyBackup(file, 'merge');
+    const saved = JSON.parse(backup.tracker.storage.getItem('customSchedule'));
+    assert.deepEqual(saved.morning.tasks[0], { id: 'brush-teeth', text: 'Brush teeth', icon: 'fa-tooth', remind: false });
+});
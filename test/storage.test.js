@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./support');
+
+function loadStorage(globals) {
+    return loadScripts(['storage', 'profiles'], globals);
+}
+
+// Records every write, and holds each one until the test lets it finish
+class SlowBackend {
+    constructor(MemoryBackend) {
+        this.memory = new MemoryBackend();
+        this.writes = [];
+    }
+
+    readAll() {
+        return this.memory.readAll();
+    }
+
+    read(key) {
+        return this.memory.read(key);
+    }
+
+    write(changes) {
+        return new Promise((resolve, reject) => {
+            this.writes.push({
+                changes: Object.fromEntries(changes),
+                finish: () => this.memory.write(changes).then(resolve),
+                fail: reject
+            });
+        });
+    }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Messages between tabs take a moment to arrive
+async function until(condition) {
+    for (let waited = 0; !condition(); waited += 5) {
+        if (waited > 2000) throw new Error('Timed out waiting for another tab');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Copies values made inside the scripts' context, since deepStrictEqual
+// also compares prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('migrate moves app data out of localStorage and leaves the device keys', async () => {
+    const { TrackerStorage, MemoryBackend, window } = loadStorage();
+    const localStorage = window.localStorage;
+    localStorage.setItem('profiles', '[{"id":"default"}]');
+    localStorage.setItem('activeProfile', 'default');
+    localStorage.setItem('syncDeviceId', 'abc');
+    localStorage.setItem('profile:default:dailyTracker_2024-05-14', '{"completed":{},"events":[]}');
+    localStorage.setItem('profile:default:streakSettings', '{}');
+
+    const backend = new MemoryBackend();
+    await TrackerStorage.migrate(backend);
+
+    assert.deepEqual(Object.keys(localStorage).sort(), ['activeProfile', 'profiles', 'syncDeviceId']);
+    assert.deepEqual([...backend.items.keys()].sort(), [
+        'profile:default:dailyTracker_2024-05-14',
+        'profile:default:streakSettings'
+    ]);
+    assert.equal(backend.items.get('profile:default:streakSettings'), '{}');
+});
+
+test('an interrupted migration leaves localStorage as it was', async () => {
+    const { TrackerStorage, window } = loadStorage();
+    window.localStorage.setItem('profile:default:streakSettings', '{}');
+
+    await assert.rejects(TrackerStorage.migrate({ write: () => Promise.reject(new Error('quota')) }));
+    assert.equal(window.localStorage.getItem('profile:default:streakSettings'), '{}');
+});
+
+test('without IndexedDB, open falls back to localStorage', async () => {
+    const { TrackerStorage, LocalStorageBackend, window } = loadStorage();
+    window.localStorage.setItem('syncDeviceId', 'abc');
+    window.localStorage.setItem('profile:default:streakSettings', '{"goal":5}');
+
+    const errors = [];
+    const originalError = console.error;
+    console.error = (...args) => errors.push(args);
+    let store;
+    try {
+        store = await TrackerStorage.open();
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.ok(store.backend instanceof LocalStorageBackend);
+    assert.equal(errors.length, 1);
+    assert.equal(store.getItem('profile:default:streakSettings'), '{"goal":5}');
+    assert.equal(store.getItem('syncDeviceId'), null);
+
+    store.setItem('profile:default:journal_2024-05-14', '{"note":"hi"}');
+    await store.flush();
+    assert.equal(window.localStorage.getItem('profile:default:journal_2024-05-14'), '{"note":"hi"}');
+});
+
+test('a backend that fails to migrate falls back with the data intact', async () => {
+    const { TrackerStorage, LocalStorageBackend, window } = loadStorage();
+    window.localStorage.setItem('profile:default:streakSettings', '{"goal":5}');
+
+    const originalError = console.error;
+    console.error = () => {};
+    let store;
+    try {
+        store = await TrackerStorage.open(async () => ({ write: () => Promise.reject(new Error('quota')) }));
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.ok(store.backend instanceof LocalStorageBackend);
+    assert.equal(store.getItem('profile:default:streakSettings'), '{"goal":5}');
+});
+
+test('open migrates into the backend it opened and reads from it', async () => {
+    const { TrackerStorage, MemoryBackend, window } = loadStorage();
+    window.localStorage.setItem('profile:default:streakSettings', '{"goal":5}');
+    const backend = new MemoryBackend(new Map([['profile:default:journal_2024-05-13', '{}']]));
+
+    const store = await TrackerStorage.open(async () => backend);
+    assert.equal(store.backend, backend);
+    assert.deepEqual(plain(store.keys()).sort(), ['profile:default:journal_2024-05-13', 'profile:default:streakSettings']);
+    assert.equal(window.localStorage.getItem('profile:default:streakSettings'), null);
+});
+
+test('writes are saved in the order they were made, each batch after the last', async () => {
+    const { TrackerStorage, MemoryBackend } = loadStorage();
+    const backend = new SlowBackend(MemoryBackend);
+    const store = new TrackerStorage(backend, new Map());
+
+    store.setItem('a', '1');
+    store.setItem('b', '1');
+    const first = store.flush();
+    store.setItem('a', '2');
+    store.removeItem('b');
+    const second = store.flush();
+
+    // Reads see the latest values straight away
+    assert.equal(store.getItem('a'), '2');
+    assert.equal(store.getItem('b'), null);
+
+    await tick();
+    assert.equal(backend.writes.length, 1, 'the second batch waits for the first');
+    assert.deepEqual(backend.writes[0].changes, { a: '1', b: '1' });
+
+    backend.writes[0].finish();
+    await first;
+    await tick();
+    assert.equal(backend.writes.length, 2);
+    assert.deepEqual(backend.writes[1].changes, { a: '2', b: null });
+
+    backend.writes[1].finish();
+    await second;
+    assert.deepEqual(Object.fromEntries(backend.memory.items), { a: '2' });
+});
+
+test('writes made together are saved in one batch shortly after', async () => {
+    const { TrackerStorage, MemoryBackend } = loadStorage();
+    const backend = new SlowBackend(MemoryBackend);
+    const store = new TrackerStorage(backend, new Map());
+
+    store.setItem('a', '1');
+    store.setItem('a', '2');
+    store.setItem('b', '1');
+    assert.equal(backend.writes.length, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(backend.writes.length, 1);
+    assert.deepEqual(backend.writes[0].changes, { a: '2', b: '1' });
+    backend.writes[0].finish();
+    await store.flush();
+});
+
+test('a failed write is reported and later writes still go through', async () => {
+    const { TrackerStorage, MemoryBackend } = loadStorage();
+    const backend = new SlowBackend(MemoryBackend);
+    const store = new TrackerStorage(backend, new Map());
+    const reported = [];
+    store.onError = error => reported.push(error.message);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        store.setItem('a', '1');
+        const first = store.flush();
+        store.setItem('b', '1');
+        const second = store.flush();
+
+        await tick();
+        backend.writes[0].fail(new Error('quota'));
+        await first;
+        await tick();
+        backend.writes[1].finish();
+        await second;
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.deepEqual(reported, ['quota']);
+    assert.deepEqual(Object.fromEntries(backend.memory.items), { b: '1' });
+});
+
+test('other tabs hear about saved changes and keep their own newer ones', async () => {
+    const { TrackerStorage, MemoryBackend } = loadStorage({ BroadcastChannel: BroadcastChannel });
+    const backend = new MemoryBackend(new Map([['a', '1'], ['b', '1']]));
+    const first = new TrackerStorage(backend, await backend.readAll());
+    const second = new TrackerStorage(backend, await backend.readAll());
+    const heard = [];
+    second.onChange = keys => heard.push(...keys);
+
+    try {
+        first.setItem('a', '2');
+        first.removeItem('b');
+        first.setItem('c', '1');
+        second.setItem('c', '2');
+        await first.flush();
+
+        await until(() => heard.length > 0);
+        assert.equal(second.getItem('a'), '2');
+        assert.equal(second.getItem('b'), null);
+        assert.equal(second.getItem('c'), '2');
+        assert.deepEqual(heard.sort(), ['a', 'b']);
+
+        // Saving the same values again doesn't count as a change
+        await second.flush();
+        await until(() => first.getItem('c') === '2');
+        heard.length = 0;
+        first.setItem('a', '2');
+        first.setItem('d', '1');
+        await first.flush();
+        await until(() => heard.length > 0);
+        assert.equal(second.getItem('d'), '1');
+        assert.deepEqual(heard, ['d']);
+    } finally {
+        first.channel.close();
+        second.channel.close();
+    }
+});
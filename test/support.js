@@ -0,0 +1,145 @@
+// Daily Regulation Tracker - Test support
+//
+// The app is a set of plain browser scripts sharing one global scope. A test
+// runs the ones it needs in a fresh context with just enough of a browser
+// around them, and gets back every class those scripts declare:
+//
+//   const { DateKeys } = loadScripts(['date-keys']);
+//
+// Nothing on the page exists (getElementById finds nothing), so the parts
+// under test run without rendering.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+// Keys are kept as own properties, like the real thing, so
+// Object.keys(localStorage) lists exactly the stored keys
+class MemoryLocalStorage {
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this, key) ? this[key] : null;
+    }
+
+    setItem(key, value) {
+        this[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this[key];
+    }
+
+    // Lets it stand in for a profile's storage as well
+    keys() {
+        return Object.keys(this);
+    }
+}
+
+// setTimeout and friends that only move when told to, for TrackerClock
+class FakeTimers {
+    constructor(start) {
+        this.now = start;
+        this.nextId = 1;
+        this.timers = new Map();
+    }
+
+    setTimeout(callback, delay) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback: callback, at: this.now + Math.max(0, delay) });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    setInterval(callback, delay) {
+        const id = this.nextId++;
+        this.timers.set(id, { callback: callback, at: this.now + delay, every: delay });
+        return id;
+    }
+
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    pending() {
+        return [...this.timers.values()].filter(timer => !timer.every).length;
+    }
+
+    // Runs everything due up to the given time, in order
+    advanceTo(time) {
+        for (;;) {
+            const due = [...this.timers.entries()]
+                .filter(([, timer]) => timer.at <= time)
+                .sort((a, b) => a[1].at - b[1].at)[0];
+            if (!due) break;
+
+            const [id, timer] = due;
+            this.now = timer.at;
+            if (timer.every) {
+                timer.at += timer.every;
+            } else {
+                this.timers.delete(id);
+            }
+            timer.callback();
+        }
+        this.now = time;
+    }
+
+    advanceBy(milliseconds) {
+        this.advanceTo(this.now + milliseconds);
+    }
+}
+
+function createDocument() {
+    return {
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        visibilityState: 'visible'
+    };
+}
+
+function loadScripts(names, globals = {}) {
+    const context = {
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: setInterval,
+        clearInterval: clearInterval,
+        URL: URL,
+        URLSearchParams: URLSearchParams,
+        localStorage: new MemoryLocalStorage(),
+        document: createDocument(),
+        navigator: {},
+        location: { search: '', pathname: '/' },
+        history: { replaceState() {} },
+        addEventListener() {},
+        removeEventListener() {},
+        ...globals
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    const classNames = [];
+    names.forEach(name => {
+        const filename = path.join(root, 'scripts', `${name}.js`);
+        const source = fs.readFileSync(filename, 'utf8');
+        vm.runInContext(source, context, { filename: filename });
+        for (const match of source.matchAll(/^class (\w+)/gm)) {
+            classNames.push(match[1]);
+        }
+    });
+
+    const classes = vm.runInContext(`({ ${classNames.join(', ')} })`, context);
+    return { ...classes, window: context };
+}
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(root, relativePath), 'utf8'));
+}
+
+module.exports = { loadScripts, readJson, FakeTimers, MemoryLocalStorage };
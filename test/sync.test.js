@@ -0,0 +1,209 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, FakeTimers, MemoryLocalStorage } = require('./support');
+
+const scripts = ['clock', 'date-keys', 'completion-log', 'sync-adapters', 'sync'];
+
+// Each device runs the scripts in its own context, with its own storage and
+// device id, and both talk to the same backend store. Profiles on one device
+// share its localStorage, and so its device id
+function createDevice(store, timers, profileId = 'default', localStorage = new MemoryLocalStorage()) {
+    const { TrackerSync, TrackerClock, CompletionLog, DateKeys, MemorySyncAdapter, window } = loadScripts(scripts, { localStorage: localStorage });
+    const clock = new TrackerClock({ now: () => timers.now, timers: timers });
+
+    const tracker = {
+        storage: new MemoryLocalStorage(),
+        profiles: { active: { id: profileId } },
+        clock: clock,
+        completedTasks: new Set(),
+        refreshed: 0,
+        history: { refresh: () => tracker.refreshed++ },
+        stats: { refresh() {} },
+        getCurrentDateKey: () => DateKeys.format(clock.now()),
+        applySyncedCompletions: () => {
+            tracker.completedTasks = new Set(CompletionLog.completedIds(tracker.completionDay));
+        }
+    };
+    tracker.completionLog = new CompletionLog(tracker);
+    tracker.completionDay = CompletionLog.createDay();
+
+    // What ticking a box does in the app, minus the page
+    tracker.toggle = (taskId, completed) => {
+        const event = CompletionLog.record(tracker.completionDay, taskId, completed, clock.now().getTime(), tracker.sync.deviceId);
+        tracker.applySyncedCompletions();
+        tracker.sync.enqueue(tracker.getCurrentDateKey(), event);
+    };
+
+    tracker.sync = new TrackerSync(tracker);
+    const adapter = new MemorySyncAdapter(store);
+    tracker.sync.setAdapter(adapter);
+    return { tracker, sync: tracker.sync, adapter, window, CompletionLog };
+}
+
+function createDevices() {
+    const store = new Map();
+    const timers = new FakeTimers(new Date('2024-05-14T10:00:00').getTime());
+    return { store, timers, phone: createDevice(store, timers), laptop: createDevice(store, timers) };
+}
+
+const done = device => Array.from(device.tracker.completedTasks).sort();
+
+test('the devices get different ids', () => {
+    const { phone, laptop } = createDevices();
+    assert.notEqual(phone.sync.deviceId, laptop.sync.deviceId);
+});
+
+test('a tick on one device shows up on the other', async () => {
+    const { phone, laptop, store } = createDevices();
+    phone.tracker.toggle('brush-teeth', true);
+    await phone.sync.sync();
+
+    assert.equal(phone.sync.queue.length, 0);
+    assert.equal(store.get('default/2024-05-14').length, 1);
+
+    await laptop.sync.sync();
+    assert.deepEqual(done(laptop), ['brush-teeth']);
+    assert.equal(laptop.sync.status, 'synced');
+});
+
+test('profiles sharing a device and a backend keep their ticks apart', async () => {
+    const { phone, store, timers } = createDevices();
+    const partner = createDevice(store, timers, 'sam', phone.window.localStorage);
+    const partnerLaptop = createDevice(store, timers, 'sam');
+    assert.equal(partner.sync.deviceId, phone.sync.deviceId);
+
+    phone.tracker.toggle('brush-teeth', true);
+    partner.tracker.toggle('exercise', true);
+    await phone.sync.sync();
+    await partner.sync.sync();
+    await phone.sync.sync();
+    await partnerLaptop.sync.sync();
+
+    assert.deepEqual(done(phone), ['brush-teeth']);
+    assert.deepEqual(done(partner), ['exercise']);
+    assert.deepEqual(done(partnerLaptop), ['exercise']);
+    assert.deepEqual([...store.keys()].sort(), ['default/2024-05-14', 'sam/2024-05-14']);
+});
+
+test('changes made offline wait in the queue until the device is back online', async () => {
+    const { phone, laptop, store } = createDevices();
+    phone.window.navigator.onLine = false;
+
+    phone.tracker.toggle('brush-teeth', true);
+    phone.tracker.toggle('exercise', true);
+    await phone.sync.sync();
+
+    assert.equal(phone.sync.status, 'offline');
+    assert.equal(phone.sync.queue.length, 2);
+    assert.equal(JSON.parse(phone.tracker.storage.getItem('syncQueue')).length, 2);
+    assert.equal(store.size, 0);
+
+    phone.window.navigator.onLine = true;
+    await phone.sync.sync();
+    assert.equal(phone.sync.queue.length, 0);
+
+    await laptop.sync.sync();
+    assert.deepEqual(done(laptop), ['brush-teeth', 'exercise']);
+});
+
+test('a failed round keeps the queue, across a reload, and the minute tick retries', async () => {
+    const { phone, laptop, store, timers } = createDevices();
+    phone.adapter.online = false;
+
+    phone.tracker.toggle('brush-teeth', true);
+    await phone.sync.sync();
+    assert.equal(phone.sync.status, 'error');
+    assert.equal(phone.sync.queue.length, 1);
+
+    // The page is reloaded while the backend is still down
+    const { TrackerSync } = loadScripts(scripts);
+    const reloaded = new TrackerSync(phone.tracker);
+    assert.equal(reloaded.queue.length, 1);
+    reloaded.setAdapter(phone.adapter);
+    phone.tracker.sync = reloaded;
+    reloaded.init();
+    await reloaded.running;
+    assert.equal(reloaded.status, 'error');
+
+    phone.adapter.online = true;
+    timers.advanceBy(60000);
+    await reloaded.running;
+    assert.equal(reloaded.status, 'synced');
+    assert.equal(reloaded.queue.length, 0);
+    assert.equal(store.get('default/2024-05-14').length, 1);
+
+    await laptop.sync.sync();
+    assert.deepEqual(done(laptop), ['brush-teeth']);
+});
+
+test('ticks of different tasks on both devices are both kept', async () => {
+    const { phone, laptop } = createDevices();
+    phone.tracker.toggle('brush-teeth', true);
+    laptop.tracker.toggle('exercise', true);
+
+    await phone.sync.sync();
+    await laptop.sync.sync();
+    await phone.sync.sync();
+
+    assert.deepEqual(done(phone), ['brush-teeth', 'exercise']);
+    assert.deepEqual(done(laptop), ['brush-teeth', 'exercise']);
+});
+
+test('when both devices changed the same task, the later change wins', async () => {
+    const { phone, laptop, timers } = createDevices();
+    phone.tracker.toggle('exercise', true);
+    await phone.sync.sync();
+    await laptop.sync.sync();
+
+    // Unticked on the laptop while it was offline, then unticked and ticked
+    // again on the phone: the laptop's change arrives last but is older
+    laptop.window.navigator.onLine = false;
+    timers.advanceBy(5 * 60000);
+    laptop.tracker.toggle('exercise', false);
+    await laptop.sync.sync();
+    timers.advanceBy(5 * 60000);
+    phone.tracker.toggle('exercise', false);
+    phone.tracker.toggle('exercise', true);
+    await phone.sync.sync();
+
+    laptop.window.navigator.onLine = true;
+    await laptop.sync.sync();
+    await phone.sync.sync();
+    assert.deepEqual(done(phone), ['exercise']);
+    assert.deepEqual(done(laptop), ['exercise']);
+
+    // An untick that went out first loses to a later tick arriving after it
+    timers.advanceBy(5 * 60000);
+    phone.tracker.toggle('exercise', false);
+    await phone.sync.sync();
+    timers.advanceBy(60000);
+    laptop.tracker.toggle('exercise', false);
+    laptop.tracker.toggle('exercise', true);
+    await laptop.sync.sync();
+    await phone.sync.sync();
+    assert.deepEqual(done(phone), ['exercise']);
+    assert.deepEqual(done(laptop), ['exercise']);
+
+    // ...and a later untick beats the tick
+    timers.advanceBy(60000);
+    phone.tracker.toggle('exercise', false);
+    await phone.sync.sync();
+    await laptop.sync.sync();
+    assert.deepEqual(done(phone), []);
+    assert.deepEqual(done(laptop), []);
+});
+
+test('ticks made elsewhere late yesterday land in yesterday\'s record', async () => {
+    const { phone, laptop, timers } = createDevices();
+    timers.now = new Date('2024-05-13T23:50:00').getTime();
+    phone.tracker.toggle('read', true);
+    await phone.sync.sync();
+
+    timers.now = new Date('2024-05-14T08:00:00').getTime();
+    await laptop.sync.sync();
+
+    const yesterday = laptop.tracker.completionLog.loadDay('2024-05-13');
+    assert.deepEqual(Array.from(laptop.CompletionLog.completedIds(yesterday)), ['read']);
+    assert.equal(laptop.tracker.refreshed, 1);
+    assert.deepEqual(done(laptop), []);
+});
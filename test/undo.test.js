@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, MemoryLocalStorage } = require('./support');
+
+const scripts = ['quantities', 'undo'];
+
+// A tracker with today's list showing only the given task rows. Rows are
+// only looked up, so the quantity ring lookup finds nothing to draw
+function createUndo(shownIds) {
+    const document = {
+        querySelector: selector => {
+            const match = /data-task-id="([^"]+)"/.exec(selector);
+            return match && shownIds.includes(match[1]) && !selector.includes('.quantity-task') ? {} : null;
+        },
+        addEventListener() {}
+    };
+    const { UndoHistory, QuantityTracker } = loadScripts(scripts, { document: document });
+
+    const toasts = [];
+    const completions = [];
+    const tracker = {
+        storage: new MemoryLocalStorage(),
+        schedule: {
+            morning: {
+                title: 'Morning',
+                icon: 'fa-sun',
+                tasks: [
+                    { id: 'brush-teeth', text: 'Brush teeth', icon: 'fa-tooth' },
+                    { id: 'water', text: 'Water', icon: 'fa-glass-water', target: 8 }
+                ]
+            }
+        },
+        completedTasks: new Set(),
+        getCurrentDateKey: () => '2024-05-14',
+        i18n: { t: (key, values) => `${key} ${JSON.stringify(values || {})}`, taskText: task => task.text, formatNumber: String },
+        toast: { show: message => toasts.push(message) },
+        setTaskCompleted: (taskId, completed, celebrate = true) => {
+            completions.push({ taskId, completed, celebrate });
+            if (completed) {
+                tracker.completedTasks.add(taskId);
+            } else {
+                tracker.completedTasks.delete(taskId);
+            }
+        },
+        updateProgress() {},
+        history: { refresh() {} },
+        stats: { refresh() {} }
+    };
+    tracker.quantities = new QuantityTracker(tracker);
+    tracker.undo = new UndoHistory(tracker);
+    return { undo: tracker.undo, tracker, toasts, completions };
+}
+
+test('an action on a task no longer on the list is dropped, not claimed as undone', () => {
+    const { undo, toasts, completions } = createUndo([]);
+    undo.done.push({ type: 'toggle', taskId: 'brush-teeth', completed: true });
+
+    undo.undo();
+    assert.equal(completions.length, 0);
+    assert.equal(undo.done.length, 0);
+    assert.equal(undo.undone.length, 0);
+    assert.match(toasts[0], /^undo\.nothingToUndo /);
+
+    undo.undone.push({ type: 'toggle', taskId: 'brush-teeth', completed: true });
+    undo.redo();
+    assert.equal(undo.undone.length, 0);
+    assert.equal(undo.done.length, 0);
+    assert.match(toasts[1], /^undo\.nothingToRedo /);
+});
+
+test('a task still on the list is undone and redone', () => {
+    const { undo, tracker, toasts } = createUndo(['brush-teeth']);
+    tracker.completedTasks.add('brush-teeth');
+    undo.done.push({ type: 'toggle', taskId: 'brush-teeth', completed: true });
+
+    undo.undo();
+    assert.ok(!tracker.completedTasks.has('brush-teeth'));
+    assert.equal(undo.undone.length, 1);
+    assert.match(toasts[0], /^undo\.undone /);
+
+    undo.redo();
+    assert.ok(tracker.completedTasks.has('brush-teeth'));
+    assert.equal(undo.done.length, 1);
+});
+
+test('redoing an amount that reaches the target doesn\'t celebrate again', () => {
+    const { undo, completions } = createUndo(['water']);
+    undo.undone.push({ type: 'amount', taskId: 'water', from: 7, to: 8 });
+
+    undo.redo();
+    assert.deepEqual(completions.map(completion => ({ ...completion })), [{ taskId: 'water', completed: true, celebrate: false }]);
+});